@@ -0,0 +1,359 @@
+/**
+ * API Diagnostics Module
+ * Checks a provider configuration step by step (settings, reachability,
+ * authentication, deployment/model, api-version, a text request and a real
+ * vision round-trip with a bundled image) and reports each check with a hint
+ */
+
+// 16 × 16 solid red PNG; the vision check asks for its colour
+const DIAGNOSTIC_IMAGE_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAIAAACQkWg2AAAAFklEQVR42mO4I2JDEmIY1TCqYfhqAAAeBCwQ81sZJgAAAABJRU5ErkJggg==';
+
+const DIAGNOSTIC_IMAGE_INFO = {
+    width: 16,
+    height: 16,
+    format: 'png',
+    size: 79,
+    filename: 'diagnostic-red-square.png'
+};
+
+const DIAGNOSTIC_STATUS = {
+    PASS: 'pass',
+    WARN: 'warn',
+    FAIL: 'fail',
+    SKIP: 'skip'
+};
+
+// What to try next when the test request fails for a reason the specific checks do not cover
+const DIAGNOSTIC_ERROR_HINTS = {
+    [API_ERROR_KINDS.BAD_REQUEST]: 'The endpoint rejected the request. Check the model name and that the URL points to a chat/completions-style API of the selected provider.',
+    [API_ERROR_KINDS.RATE_LIMIT]: 'The key works but its quota or rate limit is exhausted. Wait a minute or raise the limit for this deployment.',
+    [API_ERROR_KINDS.TIMEOUT]: 'No answer within the timeout. Local servers may still be loading the model; try again or raise the timeout.',
+    [API_ERROR_KINDS.SERVER]: 'The provider reported a server error. Try again later or check its status page.',
+    [API_ERROR_KINDS.CONTENT_FILTER]: 'The test prompt was blocked by a content filter. Review the content filter settings of the deployment.'
+};
+
+/**
+ * Create a diagnostic check result
+ * @private
+ */
+function createDiagnosticCheck(id, label, status, detail = '', hint = '') {
+    return { id, label, status, detail, hint };
+}
+
+/**
+ * Send one diagnostic request and describe what came back
+ * Network failures are caught and reported instead of thrown.
+ * @private
+ */
+async function sendDiagnosticRequest(adapter, config, request, { signal, requestInspector, label } = {}) {
+    const url = adapter.buildUrl(config, { stream: false });
+    const headers = adapter.buildHeaders(config);
+    const payload = adapter.buildPayload(request, config);
+    const secrets = [config.apiKey].filter(Boolean);
+
+    const trace = requestInspector?.begin(request, label, config) || null;
+    requestInspector?.recordRequest(trace, { url, headers, payload }, secrets);
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, config.timeout || DEFAULT_CONFIG.timeout);
+    const abortFromCaller = () => controller.abort();
+    signal?.addEventListener('abort', abortFromCaller);
+
+    const startedAt = performance.now();
+    try {
+        const response = adapter.send
+            ? await adapter.send(payload, config, controller.signal)
+            : await fetch(url, { method: 'POST', headers, body: JSON.stringify(payload), signal: controller.signal });
+        const latencyMs = Math.round(performance.now() - startedAt);
+        const bodyText = await response.text();
+
+        if (!response.ok) {
+            const error = createHttpApiError(response, bodyText);
+            requestInspector?.recordAttempt(trace, { attempt: 1, latencyMs, error }, secrets);
+            requestInspector?.fail(trace, error, secrets);
+            return { url, status: response.status, ok: false, bodyText, error, latencyMs };
+        }
+
+        let raw = null;
+        let parsed = { content: null, usage: null, finishReason: null };
+        try {
+            raw = JSON.parse(bodyText);
+            parsed = adapter.parseResponse(raw);
+        } catch (parseError) {
+            // Reported by the caller as an unexpected response
+        }
+        requestInspector?.recordAttempt(trace, { attempt: 1, latencyMs }, secrets);
+        requestInspector?.finish(trace, { parsed, raw, cached: false, latencyMs }, secrets);
+        return { url, status: response.status, ok: true, bodyText, raw, parsed, latencyMs };
+    } catch (error) {
+        if (signal?.aborted) {
+            requestInspector?.fail(trace, error, secrets);
+            throw new DOMException('Diagnostics cancelled', 'AbortError');
+        }
+        const apiError = toApiError(error, timedOut);
+        requestInspector?.recordAttempt(trace, { attempt: 1, latencyMs: Math.round(performance.now() - startedAt), error: apiError }, secrets);
+        requestInspector?.fail(trace, apiError, secrets);
+        return { url, status: null, ok: false, networkError: true, timedOut, error: apiError };
+    } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', abortFromCaller);
+    }
+}
+
+/**
+ * Find out why a request never got an HTTP response
+ * An opaque no-cors request succeeds when the server is up, which means the browser
+ * blocked the real request (CORS) rather than the network.
+ * @private
+ */
+async function describeNetworkFailure(result, adapter) {
+    if (result.timedOut) {
+        return {
+            detail: 'No response before the timeout',
+            hint: 'Check that the URL is correct and the server is running. Local servers may need more time on first use; raise the timeout if so.'
+        };
+    }
+    if (adapter.send) {
+        return { detail: result.error.message, hint: 'The provider answers locally; check its settings.' };
+    }
+
+    const url = new URL(result.url);
+    if (typeof location !== 'undefined' && location.protocol === 'https:' && url.protocol === 'http:') {
+        return {
+            detail: 'Blocked as mixed content',
+            hint: 'This page is served over https and cannot call an http:// endpoint. Use an https URL, or open the tool over http / from a local file.'
+        };
+    }
+
+    try {
+        await fetch(url.origin, { mode: 'no-cors', cache: 'no-store' });
+        return {
+            detail: `${url.host} is reachable, but the browser blocked the response (CORS)`,
+            hint: 'The server must allow this page\'s origin. For Azure OpenAI add it under CORS on the resource; for local servers start them with CORS enabled (e.g. OLLAMA_ORIGINS=*); otherwise call the API through a proxy.'
+        };
+    } catch (probeError) {
+        return {
+            detail: `Cannot connect to ${url.host}`,
+            hint: 'Check the URL for typos, that the server is running, and your network/VPN or firewall.'
+        };
+    }
+}
+
+/**
+ * Check whether an error response says the api-version is not valid
+ * @private
+ */
+function isApiVersionError(result) {
+    return !result.ok && [400, 404].includes(result.status) && /api[- ]version/i.test(result.bodyText || '');
+}
+
+/**
+ * Check whether an error response says the deployment or model does not exist
+ * @private
+ */
+function isNotFoundError(result) {
+    return !result.ok && !isApiVersionError(result) && (
+        result.status === 404 ||
+        /DeploymentNotFound|model_not_found|model .*(does not exist|not found)|not_found_error/i.test(result.bodyText || '')
+    );
+}
+
+/**
+ * Check whether an error response says the model cannot read images
+ * @private
+ */
+function isVisionUnsupportedError(result) {
+    return !result.ok && result.status === 400 &&
+        /image|vision|multimodal|multi-modal|image_url|content type/i.test(result.bodyText || '');
+}
+
+/**
+ * Run the configuration diagnostics
+ * @param {Object} config - MetadataAPI configuration to test
+ * @param {Object} options - Options
+ * @param {Function} options.onCheck - Called with each check result as soon as it is known
+ * @param {AbortSignal} options.signal - Cancels the diagnostics
+ * @param {RequestInspector} options.requestInspector - Records the test requests, if set
+ * @returns {Promise<Object>} { ok, checks } where ok is true when no check failed
+ */
+async function runApiDiagnostics(config, { onCheck = null, signal = null, requestInspector = null } = {}) {
+    const checks = [];
+    const report = (...args) => {
+        const check = createDiagnosticCheck(...args);
+        checks.push(check);
+        if (onCheck) onCheck(check);
+        return check;
+    };
+    const finish = () => ({ ok: !checks.some(check => check.status === DIAGNOSTIC_STATUS.FAIL), checks });
+
+    // 1. Settings
+    const providerId = config.provider || DEFAULT_PROVIDER;
+    const adapter = getProviderAdapter(providerId);
+    if (!adapter) {
+        report('settings', 'Settings complete', DIAGNOSTIC_STATUS.FAIL, `Provider '${providerId}' is not registered`, 'Select a provider in the list.');
+        return finish();
+    }
+    const missingFields = getMissingProviderFields(adapter, config);
+    if (missingFields.length > 0) {
+        report('settings', 'Settings complete', DIAGNOSTIC_STATUS.FAIL, `Missing: ${missingFields.join(', ')}`,
+            `${adapter.label} needs ${missingFields.join(', ')}. Fill in the highlighted fields.`);
+        return finish();
+    }
+    report('settings', 'Settings complete', DIAGNOSTIC_STATUS.PASS, adapter.label);
+
+    const checksApiVersion = (adapter.requiredFields || []).includes('apiVersion');
+    const modelLabel = providerId === 'azure-openai' ? 'Deployment found' : 'Model found';
+    const plannedChecks = [
+        ['reachability', 'Endpoint reachable'],
+        ['authentication', 'Authentication'],
+        ['model', modelLabel],
+        ...(checksApiVersion ? [['api-version', 'API version valid']] : []),
+        ['text', 'Text request'],
+        ['vision', 'Vision round-trip']
+    ];
+    const skipRemaining = reason => {
+        plannedChecks
+            .filter(([id]) => !checks.some(check => check.id === id))
+            .forEach(([id, label]) => report(id, label, DIAGNOSTIC_STATUS.SKIP, reason));
+        return finish();
+    };
+
+    // 2–5. A tiny text-only request tells reachability, authentication, deployment and api-version apart
+    const textRequest = {
+        messages: [{ role: 'user', text: 'Reply with the single word OK.', images: [] }],
+        maxTokens: 16,
+        temperature: 0,
+        topP: 1,
+        context: { property: null, imageInfo: DIAGNOSTIC_IMAGE_INFO }
+    };
+    const text = await sendDiagnosticRequest(adapter, config, textRequest, { signal, requestInspector, label: 'diagnostics: text' });
+
+    if (text.networkError) {
+        const failure = await describeNetworkFailure(text, adapter);
+        report('reachability', 'Endpoint reachable', DIAGNOSTIC_STATUS.FAIL, failure.detail, failure.hint);
+        return skipRemaining('Endpoint not reachable');
+    }
+    report('reachability', 'Endpoint reachable', DIAGNOSTIC_STATUS.PASS, `HTTP ${text.status} in ${text.latencyMs} ms`);
+
+    const authFailed = text.status === 401 || text.status === 403;
+    report('authentication', 'Authentication', authFailed ? DIAGNOSTIC_STATUS.FAIL : DIAGNOSTIC_STATUS.PASS,
+        authFailed ? `HTTP ${text.status}` : 'Key accepted',
+        authFailed
+            ? providerId === 'azure-openai'
+                ? 'Use a key from Keys and Endpoint of this Azure OpenAI resource; keys of other resources are rejected. A 403 can also mean network rules block your IP.'
+                : 'Check the API key and that it belongs to the provider selected above.'
+            : '');
+
+    if (authFailed) {
+        return skipRemaining('Authentication failed');
+    }
+
+    const notFound = isNotFoundError(text);
+    report('model', modelLabel, notFound ? DIAGNOSTIC_STATUS.FAIL : DIAGNOSTIC_STATUS.PASS,
+        notFound ? `HTTP ${text.status}` : (config.deployment && providerId === 'azure-openai' ? config.deployment : config.modelName || ''),
+        notFound
+            ? providerId === 'azure-openai'
+                ? `No deployment named '${config.deployment}' on this resource. Use the deployment name (not the model name) exactly as shown in Azure AI Foundry.`
+                : `The endpoint does not know the model '${config.modelName}'. Check its spelling${providerId === 'openai-compatible' ? ' and that it is pulled/loaded on the server' : ' and that your account has access to it'}.`
+            : '');
+
+    if (checksApiVersion) {
+        const versionFailed = isApiVersionError(text);
+        report('api-version', 'API version valid', versionFailed ? DIAGNOSTIC_STATUS.FAIL : DIAGNOSTIC_STATUS.PASS,
+            versionFailed ? `'${config.apiVersion}' was rejected` : config.apiVersion,
+            versionFailed ? 'Use a supported api-version such as 2024-10-21, or a newer preview version listed in the Azure OpenAI docs.' : '');
+    }
+
+    if (!text.ok) {
+        const explained = notFound || isApiVersionError(text);
+        report('text', 'Text request', explained ? DIAGNOSTIC_STATUS.SKIP : DIAGNOSTIC_STATUS.FAIL,
+            explained ? 'See above' : redactText(text.error.message, [config.apiKey]).slice(0, 300),
+            explained ? '' : DIAGNOSTIC_ERROR_HINTS[text.error.kind] || '');
+        return skipRemaining('Text request failed');
+    }
+    report('text', 'Text request', text.parsed.content !== null ? DIAGNOSTIC_STATUS.PASS : DIAGNOSTIC_STATUS.WARN,
+        text.parsed.content !== null ? `Answered in ${text.latencyMs} ms` : 'Response has no text',
+        text.parsed.content !== null ? '' : 'The response did not look like the selected provider\'s format. Check that the URL points to the right kind of API.');
+
+    // 6. Real vision round-trip with the bundled image
+    const visionRequest = {
+        messages: [{
+            role: 'user',
+            text: 'What is the colour of this image? Answer with one word.',
+            images: [DIAGNOSTIC_IMAGE_URL]
+        }],
+        maxTokens: 256,
+        temperature: 0,
+        topP: 1,
+        imageDetail: 'low',
+        context: { property: null, imageInfo: DIAGNOSTIC_IMAGE_INFO }
+    };
+    const vision = await sendDiagnosticRequest(adapter, config, visionRequest, { signal, requestInspector, label: 'diagnostics: vision' });
+
+    if (!vision.ok) {
+        const unsupported = isVisionUnsupportedError(vision);
+        report('vision', 'Vision round-trip', DIAGNOSTIC_STATUS.FAIL,
+            vision.networkError ? vision.error.message : `HTTP ${vision.status}`,
+            unsupported
+                ? 'The model rejected the image. Choose a vision-capable model or deployment (e.g. gpt-4o, Claude 3+, Gemini, llava).'
+                : DIAGNOSTIC_ERROR_HINTS[vision.error.kind] || '');
+        return finish();
+    }
+
+    const answer = (vision.parsed.content || '').trim();
+    if (/\bred\b|crimson|scarlet/i.test(answer)) {
+        report('vision', 'Vision round-trip', DIAGNOSTIC_STATUS.PASS, `Identified the test image as "${answer.slice(0, 40)}" in ${vision.latencyMs} ms`);
+    } else {
+        report('vision', 'Vision round-trip', DIAGNOSTIC_STATUS.WARN,
+            answer ? `Answered "${answer.slice(0, 60)}" for a red test image` : 'Empty answer',
+            'The request works, but the model may not see images. Check that the model or deployment supports vision input.');
+    }
+    return finish();
+}
+
+/**
+ * Render diagnostic check results as a list
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<Object>} checks - Check results from runApiDiagnostics()
+ */
+function renderDiagnosticsReport(container, checks) {
+    const icons = { pass: '✅', warn: '⚠️', fail: '❌', skip: '⏭' };
+    container.innerHTML = '';
+    checks.forEach(check => {
+        const row = document.createElement('div');
+        row.className = `diagnostic-check diagnostic-${check.status}`;
+
+        const title = document.createElement('div');
+        title.className = 'diagnostic-title';
+        title.textContent = `${icons[check.status]} ${check.label}${check.detail ? ` – ${check.detail}` : ''}`;
+        row.appendChild(title);
+
+        if (check.hint) {
+            const hint = document.createElement('div');
+            hint.className = 'diagnostic-hint';
+            hint.textContent = check.hint;
+            row.appendChild(hint);
+        }
+        container.appendChild(row);
+    });
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIAGNOSTIC_IMAGE_URL,
+        DIAGNOSTIC_STATUS,
+        runApiDiagnostics,
+        renderDiagnosticsReport
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.DIAGNOSTIC_IMAGE_URL = DIAGNOSTIC_IMAGE_URL;
+window.DIAGNOSTIC_STATUS = DIAGNOSTIC_STATUS;
+window.runApiDiagnostics = runApiDiagnostics;
+window.renderDiagnosticsReport = renderDiagnosticsReport;
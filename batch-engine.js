@@ -0,0 +1,271 @@
+/**
+ * Batch Engine Module
+ * Queue-based job runner with a concurrency limit, pause/resume/cancel and
+ * progress reporting, plus a requests-per-minute rate limiter
+ */
+
+const BATCH_ITEM_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Create a sliding-window rate limiter
+ * @param {number} requestsPerMinute - Maximum requests per rolling minute (0 or less disables the limit)
+ * @returns {Object} Rate limiter with an acquire(signal) method that resolves when a request may be sent
+ */
+function createRateLimiter(requestsPerMinute) {
+    const windowMs = 60000;
+    const timestamps = [];
+
+    async function acquire(signal) {
+        if (!requestsPerMinute || requestsPerMinute <= 0) return;
+
+        while (true) {
+            if (signal?.aborted) {
+                throw new DOMException('Request cancelled', 'AbortError');
+            }
+
+            const now = Date.now();
+            while (timestamps.length > 0 && now - timestamps[0] >= windowMs) {
+                timestamps.shift();
+            }
+
+            if (timestamps.length < requestsPerMinute) {
+                timestamps.push(now);
+                return;
+            }
+
+            // Sleep until the oldest request leaves the window; cancelling the job ends the wait
+            await sleepWithSignal(windowMs - (now - timestamps[0]) + 10, signal);
+        }
+    }
+
+    return { acquire };
+}
+
+/**
+ * Runs a worker over a list of items with bounded concurrency
+ */
+class BatchJob {
+    /**
+     * @param {Object} options - Job options
+     * @param {Array} options.items - Items to process
+     * @param {Function} options.worker - async (item, signal) => result; throw to mark the item failed
+     * @param {number} options.concurrency - Maximum items processed at once
+     * @param {Function} options.onItemStatus - Called with (item, status, error) whenever an item changes status
+     * @param {Function} options.onProgress - Called with the current stats after every change
+     * @param {Function} options.canStartItem - Called with (item, runningCount) before an item starts;
+     *                                          returning false pauses the job instead, and 'wait' holds the
+     *                                          item until a running one finishes
+     */
+    constructor({ items, worker, concurrency = 1, onItemStatus = () => {}, onProgress = () => {}, canStartItem = () => true }) {
+        this.items = items;
+        this.worker = worker;
+        this.concurrency = Math.max(1, concurrency);
+        this.onItemStatus = onItemStatus;
+        this.onProgress = onProgress;
+        this.canStartItem = canStartItem;
+
+        this.state = 'idle'; // idle | running | paused | cancelled | completed
+        this.queue = [];
+        this.running = new Set();
+        this.counts = { done: 0, failed: 0, cancelled: 0 };
+        this.controller = new AbortController();
+        this.startedAt = null;
+        this.activeMs = 0; // time spent running (excludes pauses), used for the ETA
+        this.resumedAt = null;
+        this.finish = null;
+    }
+
+    /**
+     * Start processing all items
+     * @returns {Promise<Object>} Promise resolving to the final stats once the job completes or is cancelled
+     */
+    start() {
+        this.queue = [...this.items];
+        this.queue.forEach(item => this.onItemStatus(item, BATCH_ITEM_STATUS.QUEUED));
+        this.state = 'running';
+        this.startedAt = Date.now();
+        this.resumedAt = this.startedAt;
+
+        const done = new Promise(resolve => {
+            this.finish = resolve;
+        });
+
+        this.reportProgress();
+        this.dispatch();
+        return done;
+    }
+
+    /**
+     * Stop starting new items; items already running finish normally
+     */
+    pause() {
+        if (this.state !== 'running') return;
+        this.activeMs += Date.now() - this.resumedAt;
+        this.state = 'paused';
+        this.reportProgress();
+    }
+
+    /**
+     * Continue a paused job
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+        this.state = 'running';
+        this.resumedAt = Date.now();
+        this.reportProgress();
+        this.dispatch();
+    }
+
+    /**
+     * Cancel the job: abort running items and drop the queue
+     */
+    cancel() {
+        if (this.state === 'completed' || this.state === 'cancelled') return;
+        if (this.state === 'running') {
+            this.activeMs += Date.now() - this.resumedAt;
+        }
+        this.state = 'cancelled';
+        this.controller.abort();
+
+        this.queue.forEach(item => this.onItemStatus(item, BATCH_ITEM_STATUS.CANCELLED));
+        this.counts.cancelled += this.queue.length;
+        this.queue = [];
+
+        this.reportProgress();
+        this.checkFinished();
+    }
+
+    /**
+     * Get the current job statistics
+     * @returns {Object} Stats with total, queued, running, done, failed, cancelled, state, elapsedMs and etaMs
+     */
+    getStats() {
+        const elapsedMs = this.activeMs + (this.state === 'running' ? Date.now() - this.resumedAt : 0);
+        const finished = this.counts.done + this.counts.failed;
+        const remaining = this.queue.length + this.running.size;
+        const etaMs = finished > 0 && remaining > 0 ? Math.round((elapsedMs / finished) * remaining) : null;
+
+        return {
+            state: this.state,
+            total: this.items.length,
+            queued: this.queue.length,
+            running: this.running.size,
+            done: this.counts.done,
+            failed: this.counts.failed,
+            cancelled: this.counts.cancelled,
+            elapsedMs,
+            etaMs
+        };
+    }
+
+    /**
+     * Start queued items until the concurrency limit is reached
+     * @private
+     */
+    dispatch() {
+        while (this.state === 'running' && this.running.size < this.concurrency && this.queue.length > 0) {
+            const verdict = this.canStartItem(this.queue[0], this.running.size);
+            if (verdict === 'wait' && this.running.size > 0) break;
+            if (!verdict) {
+                this.pause();
+                break;
+            }
+            this.runItem(this.queue.shift());
+        }
+        this.checkFinished();
+    }
+
+    /**
+     * Process a single item
+     * @private
+     */
+    async runItem(item) {
+        this.running.add(item);
+        this.onItemStatus(item, BATCH_ITEM_STATUS.RUNNING);
+        this.reportProgress();
+
+        try {
+            await this.worker(item, this.controller.signal);
+            this.counts.done++;
+            this.onItemStatus(item, BATCH_ITEM_STATUS.DONE);
+        } catch (error) {
+            if (this.controller.signal.aborted) {
+                this.counts.cancelled++;
+                this.onItemStatus(item, BATCH_ITEM_STATUS.CANCELLED);
+            } else {
+                this.counts.failed++;
+                this.onItemStatus(item, BATCH_ITEM_STATUS.FAILED, error);
+            }
+        } finally {
+            this.running.delete(item);
+            this.reportProgress();
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Resolve the start() promise once nothing is left to do
+     * @private
+     */
+    checkFinished() {
+        if (this.running.size > 0 || !this.finish) return;
+        if (this.state === 'running' && this.queue.length === 0) {
+            this.activeMs += Date.now() - this.resumedAt;
+            this.state = 'completed';
+        } else if (this.state !== 'cancelled') {
+            return;
+        }
+
+        const finish = this.finish;
+        this.finish = null;
+        this.reportProgress();
+        finish(this.getStats());
+    }
+
+    /**
+     * Notify the progress listener
+     * @private
+     */
+    reportProgress() {
+        this.onProgress(this.getStats());
+    }
+}
+
+/**
+ * Format a duration for progress displays
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration like "1h 05m", "3m 12s" or "45s"
+ */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined || !isFinite(ms)) return '–';
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    return `${seconds}s`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BATCH_ITEM_STATUS,
+        BatchJob,
+        createRateLimiter,
+        formatDuration
+    };
+}
+
+// Expose globally for browser compatibility
+window.BATCH_ITEM_STATUS = BATCH_ITEM_STATUS;
+window.BatchJob = BatchJob;
+window.createRateLimiter = createRateLimiter;
+window.formatDuration = formatDuration;
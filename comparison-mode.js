@@ -0,0 +1,645 @@
+/**
+ * Comparison Mode Module
+ * Runs two named configurations (provider, model, prompt set and parameters)
+ * on the same assets in adjacent columns, records which one reviewers prefer
+ * per field or per asset, and aggregates win rates, cost and latency
+ */
+
+const COMPARISON_STORAGE_KEY = 'comparisonSettings';
+
+const COMPARISON_PROFILE_IDS = ['A', 'B'];
+
+// Profile A fills the primary metadata column, profile B the second one
+const COMPARISON_VERSION_KEYS = { A: 'version1', B: 'version2' };
+
+// Profile settings that override the main API settings when set
+const COMPARISON_CONFIG_FIELDS = ['provider', 'openaiUrl', 'deployment', 'apiVersion', 'modelName', 'temperature', 'maxTokens'];
+
+// Keys of profiles whose provider differs from the main settings; never saved
+const comparisonApiKeys = { A: '', B: '' };
+
+// MetadataAPI instance per profile, rebuilt when its configuration changes
+const comparisonAPIs = {};
+
+/**
+ * Create an empty profile, which behaves exactly like the main settings
+ * @param {string} profileId - 'A' or 'B'
+ * @returns {Object} Profile
+ */
+function createDefaultComparisonProfile(profileId) {
+    return {
+        name: profileId === 'A' ? 'Current settings' : 'Challenger',
+        provider: '',
+        openaiUrl: '',
+        deployment: '',
+        apiVersion: '',
+        modelName: '',
+        temperature: null,
+        maxTokens: null,
+        promptSet: null // { name, brandPrompt, brandExamples, prompts } from a .prompts file; null uses the saved prompts
+    };
+}
+
+/**
+ * Load the comparison settings
+ * @returns {Object} { enabled, profiles: { A, B } }
+ */
+function loadComparisonSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(COMPARISON_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error loading comparison settings:', error);
+    }
+
+    const profiles = {};
+    COMPARISON_PROFILE_IDS.forEach(profileId => {
+        profiles[profileId] = { ...createDefaultComparisonProfile(profileId), ...saved.profiles?.[profileId] };
+    });
+    return { enabled: !!saved.enabled, profiles };
+}
+
+/**
+ * Save the comparison settings
+ * @param {Object} settings - { enabled, profiles }
+ */
+function saveComparisonSettings(settings) {
+    localStorage.setItem(COMPARISON_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Check whether comparison mode is on
+ * @returns {boolean} True if cards show both profiles
+ */
+function isComparisonMode() {
+    return loadComparisonSettings().enabled;
+}
+
+/**
+ * Find the profile that fills a metadata column
+ * @param {string} versionKey - Metadata version key
+ * @returns {string|null} 'A', 'B' or null
+ */
+function getComparisonProfileId(versionKey) {
+    return COMPARISON_PROFILE_IDS.find(profileId => COMPARISON_VERSION_KEYS[profileId] === versionKey) || null;
+}
+
+/**
+ * List the version keys generated for each asset
+ * @returns {Array<string>} ['version1'], or one key per profile in comparison mode
+ */
+function getActiveVersionKeys() {
+    return isComparisonMode() ? COMPARISON_PROFILE_IDS.map(profileId => COMPARISON_VERSION_KEYS[profileId]) : ['version1'];
+}
+
+/**
+ * Merge a profile over the main API settings
+ * The main API key is only reused when the profile talks to the same provider.
+ * @param {Object} profile - Comparison profile
+ * @param {Object} baseConfig - Main MetadataAPI configuration
+ * @param {string} apiKey - Session key entered for this profile, if any
+ * @returns {Object} Configuration for the profile's MetadataAPI
+ */
+function buildProfileConfig(profile, baseConfig, apiKey = '') {
+    const config = { ...baseConfig };
+    COMPARISON_CONFIG_FIELDS.forEach(field => {
+        const value = profile[field];
+        if (value !== null && value !== undefined && value !== '') {
+            config[field] = value;
+        }
+    });
+    config.openApiUrl = config.openaiUrl;
+
+    const sameProvider = (config.provider || DEFAULT_PROVIDER) === (baseConfig.provider || DEFAULT_PROVIDER);
+    config.apiKey = apiKey || (sameProvider ? baseConfig.apiKey : '');
+    if (profile.promptSet && typeof profile.promptSet.brandPrompt === 'string') {
+        config.brandPrompt = profile.promptSet.brandPrompt;
+    }
+    return config;
+}
+
+/**
+ * Get the MetadataAPI that generates a profile's column
+ * Shares the main instance's cache, inspector and rate limiter.
+ * @param {string} profileId - 'A' or 'B'
+ * @returns {MetadataAPI} API instance
+ */
+function getComparisonAPI(profileId) {
+    const profile = loadComparisonSettings().profiles[profileId];
+    const config = buildProfileConfig(profile, metadataAPI.config, comparisonApiKeys[profileId]);
+    const signature = JSON.stringify(config);
+
+    if (comparisonAPIs[profileId]?.signature !== signature) {
+        const api = new MetadataAPI();
+        api.setConfig(config);
+        comparisonAPIs[profileId] = { signature, api };
+    }
+
+    const { api } = comparisonAPIs[profileId];
+    api.setResponseCache(metadataAPI.responseCache);
+    api.setRequestInspector(metadataAPI.requestInspector);
+    api.setRateLimiter(metadataAPI.rateLimiter);
+    return api;
+}
+
+/**
+ * Get the circuit breakers of the endpoints a batch sends requests to
+ * Each profile has its own API instance and breaker, so an endpoint that is down only trips its own.
+ * @returns {Array<CircuitBreaker>} The main breaker, plus each profile's in comparison mode
+ */
+function getActiveCircuitBreakers() {
+    const breakers = [metadataAPI.circuitBreaker];
+    if (isComparisonMode()) {
+        COMPARISON_PROFILE_IDS.forEach(profileId => breakers.push(getComparisonAPI(profileId).circuitBreaker));
+    }
+    return breakers;
+}
+
+/**
+ * Get the custom prompts a profile generates
+ * @param {string} profileId - 'A' or 'B'
+ * @returns {Array} Custom prompt objects
+ */
+function getComparisonPrompts(profileId) {
+    return loadComparisonSettings().profiles[profileId].promptSet?.prompts || getStoredCustomPrompts();
+}
+
+/**
+ * Get the generateMetadataForAsset() options that select a column's profile
+ * @param {string} versionKey - Metadata version key
+ * @returns {Object} { api, prompts, brandExamples } in comparison mode, otherwise an empty object
+ */
+function getComparisonGenerationOptions(versionKey) {
+    const profileId = getComparisonProfileId(versionKey);
+    if (!profileId || !isComparisonMode()) return {};
+    const promptSet = loadComparisonSettings().profiles[profileId].promptSet;
+    return {
+        api: getComparisonAPI(profileId),
+        prompts: getComparisonPrompts(profileId),
+        brandExamples: promptSet ? normalizeReferenceExamples(promptSet.brandExamples) : undefined
+    };
+}
+
+/**
+ * Describe a profile's model for column headers and summaries
+ * @param {string} profileId - 'A' or 'B'
+ * @returns {string} Provider and model/deployment
+ */
+function describeComparisonProfile(profileId) {
+    const profile = loadComparisonSettings().profiles[profileId];
+    const config = buildProfileConfig(profile, metadataAPI.config);
+    const adapter = getProviderAdapter(config.provider);
+    const model = config.provider === 'azure-openai' ? config.deployment : config.modelName;
+    const prompts = profile.promptSet ? ` · ${profile.promptSet.name}` : '';
+    return `${adapter?.label || config.provider}${model ? ` · ${model}` : ''}${prompts}`;
+}
+
+/**
+ * Record which profile a reviewer prefers
+ * Picking the current winner again clears the pick.
+ * @param {string} imageId - Image id
+ * @param {string|null} property - Field the pick is for, or null for the whole asset
+ * @param {string} profileId - 'A' or 'B'
+ * @returns {string|null} The winner now recorded
+ */
+function setComparisonWinner(imageId, property, profileId) {
+    const entry = imageMetadata[imageId];
+    if (!entry) return null;
+    entry.comparison = entry.comparison || { asset: null, fields: {} };
+
+    if (property) {
+        const winner = entry.comparison.fields[property] === profileId ? null : profileId;
+        if (winner) {
+            entry.comparison.fields[property] = winner;
+        } else {
+            delete entry.comparison.fields[property];
+        }
+        return winner;
+    }
+    entry.comparison.asset = entry.comparison.asset === profileId ? null : profileId;
+    return entry.comparison.asset;
+}
+
+/**
+ * Highlight the picked winners on a card
+ * @param {HTMLElement} item - The .thumbnail-item element
+ * @param {string} imageId - Image id
+ */
+function applyComparisonPicks(item, imageId) {
+    const picks = imageMetadata[imageId]?.comparison || { asset: null, fields: {} };
+    item.querySelectorAll('.metadata-column[data-profile]').forEach(column => {
+        const profileId = column.getAttribute('data-profile');
+        column.classList.toggle('comparison-winner', picks.asset === profileId);
+        column.querySelectorAll('.metadata-field').forEach(field => {
+            field.classList.toggle('comparison-winner', picks.fields[field.getAttribute('data-property')] === profileId);
+        });
+    });
+}
+
+/**
+ * Add the per-field and per-asset pick buttons to a profile's column
+ * @param {HTMLElement} column - The .metadata-column element
+ * @param {string} imageId - Image id
+ * @param {string} profileId - 'A' or 'B'
+ */
+function decorateComparisonColumn(column, imageId, profileId) {
+    column.setAttribute('data-profile', profileId);
+    column.classList.add('comparison-column');
+
+    const pick = property => {
+        setComparisonWinner(imageId, property, profileId);
+        applyComparisonPicks(column.closest('.thumbnail-item'), imageId);
+        renderComparisonSummary();
+    };
+
+    column.querySelectorAll('.metadata-field').forEach(field => {
+        const button = document.createElement('button');
+        button.className = 'comparison-pick-btn';
+        button.textContent = '★';
+        button.title = `Prefer ${profileId} for this field`;
+        button.addEventListener('click', () => pick(field.getAttribute('data-property')));
+        field.querySelector('.metadata-label').appendChild(button);
+    });
+
+    const assetButton = document.createElement('button');
+    assetButton.className = 'custom-prompt-btn comparison-asset-btn';
+    assetButton.textContent = `🏆 Prefer ${profileId}`;
+    assetButton.title = `Prefer ${profileId} for this asset overall`;
+    assetButton.addEventListener('click', () => pick(null));
+    column.appendChild(assetButton);
+}
+
+/**
+ * Aggregate the comparison over all assets
+ * @returns {Object} { profiles: { A, B }, fieldPicks, assetPicks } where each profile has name, model, assets,
+ *                   calls, cost, latencyMs, averageCost, averageLatencyMs, fieldWins, fieldWinRate, assetWins
+ *                   and assetWinRate (rates are null until something was picked)
+ */
+function computeComparisonSummary() {
+    const settings = loadComparisonSettings();
+    const entries = Object.values(imageMetadata);
+    let fieldPicks = 0;
+    let assetPicks = 0;
+    const profiles = {};
+
+    COMPARISON_PROFILE_IDS.forEach(profileId => {
+        profiles[profileId] = {
+            name: settings.profiles[profileId].name,
+            model: describeComparisonProfile(profileId),
+            assets: 0,
+            calls: 0,
+            cost: 0,
+            latencyMs: 0,
+            fieldWins: 0,
+            assetWins: 0
+        };
+    });
+
+    entries.forEach(entry => {
+        COMPARISON_PROFILE_IDS.forEach(profileId => {
+            const usage = entry.usage?.[COMPARISON_VERSION_KEYS[profileId]];
+            if (!usage) return;
+            const totals = profiles[profileId];
+            totals.assets++;
+            totals.calls += usage.calls;
+            totals.cost += usage.cost;
+            totals.latencyMs += usage.latencyMs;
+        });
+
+        Object.values(entry.comparison?.fields || {}).forEach(winner => {
+            fieldPicks++;
+            if (profiles[winner]) profiles[winner].fieldWins++;
+        });
+        if (entry.comparison?.asset) {
+            assetPicks++;
+            if (profiles[entry.comparison.asset]) profiles[entry.comparison.asset].assetWins++;
+        }
+    });
+
+    Object.values(profiles).forEach(totals => {
+        totals.averageCost = totals.assets > 0 ? totals.cost / totals.assets : 0;
+        totals.averageLatencyMs = totals.assets > 0 ? Math.round(totals.latencyMs / totals.assets) : 0;
+        totals.fieldWinRate = fieldPicks > 0 ? totals.fieldWins / fieldPicks : null;
+        totals.assetWinRate = assetPicks > 0 ? totals.assetWins / assetPicks : null;
+    });
+
+    return { profiles, fieldPicks, assetPicks };
+}
+
+/**
+ * Format a win rate for display
+ * @private
+ */
+function formatWinRate(rate) {
+    return rate === null ? '–' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Render the aggregate comparison table
+ */
+function renderComparisonSummary() {
+    const container = document.getElementById('comparisonSummary');
+    if (!container) return;
+    container.style.display = isComparisonMode() ? 'block' : 'none';
+    if (!isComparisonMode()) return;
+
+    const summary = computeComparisonSummary();
+    const table = document.getElementById('comparisonSummaryTable');
+    table.innerHTML = '';
+    const addRow = (cells, tag = 'td') => {
+        const row = table.insertRow();
+        cells.forEach(text => {
+            const cell = document.createElement(tag);
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+    };
+
+    addRow(['', 'Configuration', 'Assets', 'Field wins', 'Asset wins', 'Cost', 'Cost / asset', 'Latency / asset'], 'th');
+    COMPARISON_PROFILE_IDS.forEach(profileId => {
+        const totals = summary.profiles[profileId];
+        addRow([
+            profileId,
+            `${totals.name} (${totals.model})`,
+            String(totals.assets),
+            `${totals.fieldWins} · ${formatWinRate(totals.fieldWinRate)}`,
+            `${totals.assetWins} · ${formatWinRate(totals.assetWinRate)}`,
+            formatCost(totals.cost),
+            formatCost(totals.averageCost),
+            `${(totals.averageLatencyMs / 1000).toFixed(1)}s`
+        ]);
+    });
+
+    document.getElementById('comparisonPickCount').textContent =
+        `${summary.fieldPicks} field picks · ${summary.assetPicks} asset picks`;
+}
+
+/**
+ * Download the comparison summary with the per-asset picks
+ */
+function exportComparisonSummary() {
+    const summary = computeComparisonSummary();
+    const picks = Object.entries(imageMetadata)
+        .filter(([, entry]) => entry.comparison)
+        .map(([id, entry]) => ({ id, filename: entry.filename || '', ...entry.comparison }));
+
+    downloadFile(
+        JSON.stringify({ exportedAt: new Date().toISOString(), ...summary, picks }, null, 2),
+        generateTimestampedFilename('ai-comparison', '.json'),
+        'application/json'
+    );
+}
+
+/**
+ * Build the settings fields for one profile
+ * @private
+ */
+function createComparisonProfileForm(profileId, profile) {
+    const section = document.createElement('div');
+    section.className = 'comparison-profile-form';
+    section.setAttribute('data-profile', profileId);
+
+    const title = document.createElement('h3');
+    title.textContent = `Configuration ${profileId}`;
+    section.appendChild(title);
+
+    const addField = (field, label, input, hint = '') => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'api-config-field';
+        const fieldLabel = document.createElement('label');
+        fieldLabel.className = 'api-config-label';
+        fieldLabel.textContent = label;
+        input.classList.add('api-config-input');
+        input.setAttribute('data-field', field);
+        wrapper.append(fieldLabel, input);
+        if (hint) {
+            const hintElement = document.createElement('div');
+            hintElement.className = 'api-config-hint';
+            hintElement.textContent = hint;
+            wrapper.appendChild(hintElement);
+        }
+        section.appendChild(wrapper);
+    };
+    const textInput = (value, placeholder = 'Same as API settings', type = 'text') => {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value ?? '';
+        input.placeholder = placeholder;
+        return input;
+    };
+
+    addField('name', 'Name:', textInput(profile.name, `Configuration ${profileId}`));
+
+    const providerSelect = document.createElement('select');
+    providerSelect.add(new Option('Same as API settings', ''));
+    listProviderAdapters().forEach(({ id, label }) => providerSelect.add(new Option(label, id)));
+    providerSelect.value = profile.provider || '';
+    addField('provider', 'Provider:', providerSelect);
+
+    addField('openaiUrl', 'Endpoint URL:', textInput(profile.openaiUrl));
+    addField('deployment', 'Deployment (Azure):', textInput(profile.deployment));
+    addField('apiVersion', 'API version (Azure):', textInput(profile.apiVersion));
+    addField('modelName', 'Model:', textInput(profile.modelName));
+    addField('apiKey', 'API key:', textInput(comparisonApiKeys[profileId], 'Same as API settings (same provider only)', 'password'),
+        'Kept for this session only.');
+    addField('temperature', 'Temperature:', textInput(profile.temperature, '0.1', 'number'));
+    addField('maxTokens', 'Max tokens:', textInput(profile.maxTokens, '4096', 'number'));
+
+    // Prompt set: the saved prompts or a .prompts file
+    const promptStatus = document.createElement('div');
+    promptStatus.className = 'api-config-hint comparison-prompt-set';
+    promptStatus.textContent = profile.promptSet
+        ? `${profile.promptSet.name} (${profile.promptSet.prompts.length} prompts)`
+        : 'Saved custom prompts';
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.prompts,.json';
+    fileInput.style.display = 'none';
+    const loadBtn = document.createElement('button');
+    loadBtn.className = 'custom-prompt-btn import-btn';
+    loadBtn.textContent = '📂 Load .prompts';
+    loadBtn.addEventListener('click', () => fileInput.click());
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'custom-prompt-btn reset-btn';
+    clearBtn.textContent = '↩️ Use saved prompts';
+    clearBtn.addEventListener('click', () => {
+        delete section.dataset.promptSet;
+        section.dataset.clearPromptSet = 'true';
+        promptStatus.textContent = 'Saved custom prompts';
+    });
+    fileInput.addEventListener('change', async event => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const data = JSON.parse(await file.text());
+            if (!Array.isArray(data.prompts) || data.prompts.length === 0) {
+                throw new Error('No prompts in file');
+            }
+            const promptSet = {
+                name: file.name,
+                brandPrompt: data.brandPrompt || '',
+                brandExamples: data.brandExamples || [],
+                prompts: data.prompts
+            };
+            section.dataset.promptSet = JSON.stringify(promptSet);
+            promptStatus.textContent = `${promptSet.name} (${promptSet.prompts.length} prompts)`;
+        } catch (error) {
+            showNotification(`❌ Could not load prompt set: ${error.message}`, 'error');
+        }
+        fileInput.value = '';
+    });
+
+    const promptField = document.createElement('div');
+    promptField.className = 'api-config-field';
+    const promptLabel = document.createElement('label');
+    promptLabel.className = 'api-config-label';
+    promptLabel.textContent = 'Prompt set:';
+    promptField.append(promptLabel, promptStatus, loadBtn, clearBtn, fileInput);
+    section.appendChild(promptField);
+
+    return section;
+}
+
+/**
+ * Read one profile back from its settings fields
+ * @private
+ */
+function readComparisonProfileForm(section, previous) {
+    const value = field => section.querySelector(`[data-field="${field}"]`).value.trim();
+    const number = field => (value(field) === '' ? null : Number(value(field)));
+
+    let promptSet = previous.promptSet;
+    if (section.dataset.promptSet) {
+        promptSet = JSON.parse(section.dataset.promptSet);
+    } else if (section.dataset.clearPromptSet) {
+        promptSet = null;
+    }
+
+    comparisonApiKeys[section.getAttribute('data-profile')] = value('apiKey');
+    return {
+        name: value('name') || previous.name,
+        provider: value('provider'),
+        openaiUrl: value('openaiUrl'),
+        deployment: value('deployment'),
+        apiVersion: value('apiVersion'),
+        modelName: value('modelName'),
+        temperature: number('temperature'),
+        maxTokens: number('maxTokens'),
+        promptSet
+    };
+}
+
+/**
+ * Show the comparison settings
+ */
+function showComparisonModal() {
+    const settings = loadComparisonSettings();
+    document.getElementById('comparisonEnabledInput').checked = settings.enabled;
+
+    const container = document.getElementById('comparisonProfiles');
+    container.innerHTML = '';
+    COMPARISON_PROFILE_IDS.forEach(profileId => {
+        container.appendChild(createComparisonProfileForm(profileId, settings.profiles[profileId]));
+    });
+    document.getElementById('comparisonModal').style.display = 'block';
+}
+
+/**
+ * Save the comparison settings from the modal and re-render the cards
+ */
+function saveComparisonFromModal() {
+    const previous = loadComparisonSettings();
+    const profiles = {};
+    document.querySelectorAll('#comparisonProfiles .comparison-profile-form').forEach(section => {
+        const profileId = section.getAttribute('data-profile');
+        profiles[profileId] = readComparisonProfileForm(section, previous.profiles[profileId]);
+    });
+
+    const invalid = Object.entries(profiles).find(([, profile]) =>
+        (profile.temperature !== null && (isNaN(profile.temperature) || profile.temperature < 0 || profile.temperature > 2)) ||
+        (profile.maxTokens !== null && (!Number.isInteger(profile.maxTokens) || profile.maxTokens < 1))
+    );
+    if (invalid) {
+        showNotification(`❌ Configuration ${invalid[0]}: temperature must be 0–2 and max tokens a positive whole number`, 'error');
+        return;
+    }
+
+    saveComparisonSettings({ enabled: document.getElementById('comparisonEnabledInput').checked, profiles });
+    document.getElementById('comparisonModal').style.display = 'none';
+    rerenderThumbnails();
+    renderComparisonSummary();
+    showNotification(isComparisonMode() ? '⚖️ Comparison mode on' : '✅ Comparison mode off');
+}
+
+/**
+ * Initialize comparison mode event handlers
+ */
+function initializeComparisonHandlers() {
+    const modal = document.getElementById('comparisonModal');
+    if (!modal) return;
+
+    document.getElementById('openComparisonBtn').addEventListener('click', showComparisonModal);
+    document.getElementById('saveComparisonBtn').addEventListener('click', saveComparisonFromModal);
+    document.getElementById('cancelComparisonBtn').addEventListener('click', () => {
+        modal.style.display = 'none';
+    });
+    modal.querySelector('.close').addEventListener('click', () => {
+        modal.style.display = 'none';
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.style.display = 'none';
+    });
+    document.getElementById('exportComparisonBtn').addEventListener('click', exportComparisonSummary);
+
+    renderComparisonSummary();
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMPARISON_PROFILE_IDS,
+        COMPARISON_VERSION_KEYS,
+        loadComparisonSettings,
+        saveComparisonSettings,
+        isComparisonMode,
+        getComparisonProfileId,
+        getActiveVersionKeys,
+        buildProfileConfig,
+        getComparisonAPI,
+        getActiveCircuitBreakers,
+        getComparisonPrompts,
+        getComparisonGenerationOptions,
+        describeComparisonProfile,
+        setComparisonWinner,
+        applyComparisonPicks,
+        decorateComparisonColumn,
+        computeComparisonSummary,
+        renderComparisonSummary,
+        exportComparisonSummary,
+        showComparisonModal,
+        initializeComparisonHandlers
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.COMPARISON_PROFILE_IDS = COMPARISON_PROFILE_IDS;
+window.COMPARISON_VERSION_KEYS = COMPARISON_VERSION_KEYS;
+window.loadComparisonSettings = loadComparisonSettings;
+window.saveComparisonSettings = saveComparisonSettings;
+window.isComparisonMode = isComparisonMode;
+window.getComparisonProfileId = getComparisonProfileId;
+window.getActiveVersionKeys = getActiveVersionKeys;
+window.buildProfileConfig = buildProfileConfig;
+window.getComparisonAPI = getComparisonAPI;
+window.getActiveCircuitBreakers = getActiveCircuitBreakers;
+window.getComparisonPrompts = getComparisonPrompts;
+window.getComparisonGenerationOptions = getComparisonGenerationOptions;
+window.describeComparisonProfile = describeComparisonProfile;
+window.setComparisonWinner = setComparisonWinner;
+window.applyComparisonPicks = applyComparisonPicks;
+window.decorateComparisonColumn = decorateComparisonColumn;
+window.computeComparisonSummary = computeComparisonSummary;
+window.renderComparisonSummary = renderComparisonSummary;
+window.exportComparisonSummary = exportComparisonSummary;
+window.showComparisonModal = showComparisonModal;
+window.initializeComparisonHandlers = initializeComparisonHandlers;
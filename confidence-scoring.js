@@ -0,0 +1,177 @@
+/**
+ * Confidence Scoring Module
+ * Scores how confident the model is in each generated value, either by
+ * sampling extra completions and measuring their agreement (self-consistency)
+ * or by asking the model to rate its own answers, and flags assets whose
+ * values need human review
+ */
+
+const CONFIDENCE_MODES = {
+    off: 'Off',
+    self_consistency: 'Self-consistency (extra samples)',
+    self_rating: 'Self-rating (one extra request)'
+};
+
+/**
+ * Split a value into the normalized terms compared between samples
+ * Lists compare their items, split on the property's separator like mapKeywordsToTaxonomy();
+ * everything else compares its words.
+ * @private
+ */
+function toComparableTerms(value, schema) {
+    const terms = schema.type === 'list'
+        ? validatePropertyValue(value, schema).value.split(schema.separator)
+        : String(value ?? '').split(/[^\p{L}\p{N}]+/u);
+    return new Set(terms.map(term => term.trim().toLowerCase()).filter(Boolean));
+}
+
+/**
+ * Measure how similar two values of a property are
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @param {Object} schema - Property schema
+ * @returns {number} Similarity from 0 (unrelated) to 1 (same)
+ */
+function valueSimilarity(a, b, schema) {
+    const s = normalizePropertySchema(schema);
+
+    // Single-value types either agree or they don't
+    if (!['string', 'list'].includes(s.type)) {
+        return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase() ? 1 : 0;
+    }
+
+    // Jaccard similarity of the list items or words
+    const termsA = toComparableTerms(a, s);
+    const termsB = toComparableTerms(b, s);
+    if (termsA.size === 0 && termsB.size === 0) return 1;
+    const shared = [...termsA].filter(term => termsB.has(term)).length;
+    return shared / (termsA.size + termsB.size - shared);
+}
+
+/**
+ * Score a value by how well independent samples agree with it
+ * @param {string} value - The value that was kept
+ * @param {Array<string>} samples - Other completions for the same property
+ * @param {Object} schema - Property schema
+ * @returns {number|null} Mean similarity from 0 to 1, or null without samples
+ */
+function measureValueAgreement(value, samples, schema) {
+    if (samples.length === 0) return null;
+    const total = samples.reduce((sum, sample) => sum + valueSimilarity(value, sample, schema), 0);
+    return Math.round(total / samples.length * 100) / 100;
+}
+
+/**
+ * Build the prompt that asks the model to rate its own answers
+ * @param {Object} values - Generated values by property
+ * @returns {string} Prompt text
+ */
+function buildConfidenceRatingPrompt(values) {
+    const properties = Object.keys(values);
+    const listing = properties.map(property => `- ${property}: ${values[property]}`).join('\n');
+    return `This metadata was generated for the image:\n${listing}\n\n` +
+        'For each property, rate how confident you are that the value is accurate and fully supported by what is visible ' +
+        'in the image, from 0 (wrong or guessed) to 100 (certain). Be critical: details that are inferred rather than clearly ' +
+        `visible should score below 70. Return a JSON object with exactly these keys and a number for each: ${properties.map(p => JSON.stringify(p)).join(', ')}.`;
+}
+
+/**
+ * Convert a self-rating to a 0–1 score
+ * The prompt asks for 0–100, so a rating of 1 means 1%, not certain.
+ * @param {*} rating - Rating returned by the model (0–100)
+ * @returns {number|null} Score from 0 to 1, or null if the rating is not a number
+ */
+function normalizeConfidenceRating(rating) {
+    const number = typeof rating === 'number' ? rating : parseFloat(String(rating ?? '').replace('%', ''));
+    if (isNaN(number)) return null;
+    return Math.round(Math.min(1, Math.max(0, number / 100)) * 100) / 100;
+}
+
+/**
+ * Get the score below which a value needs review
+ * @returns {number} Threshold from 0 to 1
+ */
+function getConfidenceThreshold() {
+    return metadataAPI.config.confidenceThreshold ?? DEFAULT_CONFIG.confidenceThreshold;
+}
+
+/**
+ * List why the values of one metadata column need human review
+ * @param {Object} entry - imageMetadata entry
+ * @param {string} versionKey - Metadata version key
+ * @param {number} threshold - Confidence threshold (defaults to the configured one)
+ * @returns {Array<string>} Reasons, empty when the column can be fast-tracked
+ */
+function getReviewReasons(entry, versionKey, threshold = getConfidenceThreshold()) {
+    const reasons = [];
+    Object.entries(entry?.confidence?.[versionKey] || {}).forEach(([property, score]) => {
+        if (score !== null && score < threshold) {
+            reasons.push(`${property}: ${formatConfidence(score)} confidence`);
+        }
+    });
+    Object.entries(entry?.validation?.[versionKey] || {}).forEach(([property, error]) => {
+        reasons.push(`${property}: ${error}`);
+    });
+    return reasons;
+}
+
+/**
+ * List why an asset needs human review, across every generated column
+ * In comparison mode each reason names its profile, e.g. "B · title: 42% confidence".
+ * @param {Object} entry - imageMetadata entry
+ * @param {number} threshold - Confidence threshold (defaults to the configured one)
+ * @returns {Array<string>} Reasons, empty when the asset can be fast-tracked
+ */
+function getAssetReviewReasons(entry, threshold = getConfidenceThreshold()) {
+    const versionKeys = getActiveVersionKeys();
+    return versionKeys.flatMap(versionKey => {
+        const reasons = getReviewReasons(entry, versionKey, threshold);
+        return versionKeys.length > 1 ? reasons.map(reason => `${getComparisonProfileId(versionKey)} · ${reason}`) : reasons;
+    });
+}
+
+/**
+ * Check whether an asset needs human review
+ * @param {Object} entry - imageMetadata entry
+ * @returns {boolean} True if any value of a generated column is low-confidence or invalid
+ */
+function needsReview(entry) {
+    return getAssetReviewReasons(entry).length > 0;
+}
+
+/**
+ * Format a confidence score for display
+ * @param {number|null} score - Score from 0 to 1
+ * @returns {string} Percentage (e.g., "82%"), or an empty string without a score
+ */
+function formatConfidence(score) {
+    return score === null || score === undefined ? '' : `${Math.round(score * 100)}%`;
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIDENCE_MODES,
+        valueSimilarity,
+        measureValueAgreement,
+        buildConfidenceRatingPrompt,
+        normalizeConfidenceRating,
+        getConfidenceThreshold,
+        getReviewReasons,
+        getAssetReviewReasons,
+        needsReview,
+        formatConfidence
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.CONFIDENCE_MODES = CONFIDENCE_MODES;
+window.valueSimilarity = valueSimilarity;
+window.measureValueAgreement = measureValueAgreement;
+window.buildConfidenceRatingPrompt = buildConfidenceRatingPrompt;
+window.normalizeConfidenceRating = normalizeConfidenceRating;
+window.getConfidenceThreshold = getConfidenceThreshold;
+window.getReviewReasons = getReviewReasons;
+window.getAssetReviewReasons = getAssetReviewReasons;
+window.needsReview = needsReview;
+window.formatConfidence = formatConfidence;
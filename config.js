@@ -1,5 +1,6 @@
 // Default AI Configuration
 // These values correspond to what would be in a .env file:
+// OPENAI_PROVIDER=azure-openai
 // OPENAI_API_URL=https://api.openai.com/v1/chat/completions
 // OPENAI_API_VERSION=2024-02-15-preview
 // OPENAI_MODEL_NAME=gpt-4-vision-preview
@@ -9,23 +10,90 @@
 
 // Application Configuration Constants
 const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg', 'ico', 'tiff', 'tif'];
+const VIDEO_EXTENSIONS = ['mp4', 'mov', 'm4v', 'webm'];
+const DOCUMENT_EXTENSIONS = ['pdf'];
 const IMAGES_PER_BATCH = 100;
 
 // Default custom prompts for first-time users
 const DEFAULT_CUSTOM_PROMPTS = [
     {
         property: 'description',
-        prompt: 'Generate a detailed description for this image. Focus on the main subject, setting, activity, key visual elements, and any visible text or numeric values. Provide 3-5 sentences that would help someone understand what this image contains.'
+        prompt: 'Generate a detailed description for this image. Focus on the main subject, setting, activity, key visual elements, and any visible text or numeric values. Provide 3-5 sentences that would help someone understand what this image contains.',
+        schema: { type: 'string' }
+    }
+];
+
+// Starter prompts for brochures, spec sheets and other documents, added from the custom prompts editor
+const DOCUMENT_CUSTOM_PROMPTS = [
+    {
+        property: 'summary',
+        prompt: 'Summarize this document in 2-3 sentences: what it is about, the products or topics it covers and its key facts or figures.',
+        schema: { type: 'string', maxLength: 600 },
+        appliesTo: 'documents'
+    },
+    {
+        property: 'document_type',
+        prompt: 'Classify this document by its purpose and layout.',
+        schema: { type: 'enum', values: ['brochure', 'spec sheet', 'catalog', 'flyer', 'presentation', 'report', 'manual', 'form', 'other'] },
+        appliesTo: 'documents'
+    },
+    {
+        property: 'audience',
+        prompt: 'Name the intended audience of this document (e.g., consumers, retailers, installers, investors) in a few words.',
+        schema: { type: 'string', maxLength: 80 },
+        appliesTo: 'documents'
     }
 ];
 
 const DEFAULT_CONFIG = {
+    provider: 'azure-openai', // See providers.js for available adapters
     openaiUrl: 'https://your-resource.openai.azure.com',
     apiVersion: '2024-02-15-preview',
     modelName: 'gpt-4-vision-preview',
     deployment: 'your-deployment-name',
     apiKey: 'your-api-key-here',
+    apiKeyStorage: 'session', // 'session' keeps the key in memory only; 'vault' saves it encrypted with a passphrase
     timeout: 30000, // in milliseconds
+    combinedRequest: false, // Generate all custom prompt properties in one structured request per image
+    streaming: false, // Stream answers into the fields as they arrive (timeout then applies between chunks)
+    batchConcurrency: 3, // Images processed at once by "Auto-Generate All"
+    requestsPerMinute: 60, // API request limit during batch runs (0 = unlimited)
+    schemaRepairAttempts: 1, // Follow-up requests for a value that does not match its property type
+    confidenceMode: 'off', // 'off', 'self_consistency' (extra samples) or 'self_rating' (model rates its answers)
+    confidenceSamples: 3, // Completions compared per value in self-consistency mode, including the kept one
+    confidenceThreshold: 0.7, // Values scored below this are flagged for review (0–1)
+    existingMetadataMode: 'overwrite', // Properties the file already has (EXIF/IPTC/XMP): 'overwrite', 'augment' or 'skip'
+    mockLatencyMs: 300, // Simulated response time of the Mock (offline) provider
+    mockFailure: 'none', // Failure the mock simulates: 'none', 'rate_limit', 'server_error', 'timeout' or 'malformed_json'
+    mockFailEvery: 3, // The mock fails every Nth call with the selected failure (0 = never)
+    maxImageEdge: 2048, // Images are downscaled so their longest edge fits (0 = original size)
+    imageFormat: 'jpeg', // Upload encoding: 'jpeg' or 'webp'
+    imageQuality: 0.85, // JPEG/WebP encoder quality (0.1 - 1)
+    imageDetail: 'auto', // Vision detail level for OpenAI-style providers: 'auto', 'low' or 'high'
+    keyframeMode: 'interval', // Video keyframes: 'interval' (every keyframeInterval seconds) or 'scene' (at scene changes)
+    keyframeInterval: 5, // Seconds between video keyframes in interval mode
+    maxKeyframes: 8, // Keyframes sent per video; more are thinned out evenly
+    maxDocumentPages: 4, // Leading pages of a PDF or multi-page TIFF sent as images
+    documentText: false, // Also send the text layer of PDFs (first pages only) with the prompt
+    responseCacheEnabled: true, // Reuse stored responses when the image and final prompt are unchanged
+    responseCacheMaxMb: 100, // Response cache size limit; least recently used entries are evicted
+    runBudget: 0, // Auto-Generate All pauses before its cost would exceed this many USD (0 = no ceiling)
+    // USD per million tokens, matched against the model name or deployment. List prices at the time
+    // of writing; adjust them to your contract.
+    modelPrices: {
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4.1': { input: 2, output: 8 },
+        'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+        'gpt-4-turbo': { input: 10, output: 30 },
+        'gpt-4-vision-preview': { input: 10, output: 30 },
+        'claude-3-5-haiku': { input: 0.8, output: 4 },
+        'claude-3-5-sonnet': { input: 3, output: 15 },
+        'claude-sonnet-4': { input: 3, output: 15 },
+        'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+        'gemini-1.5-pro': { input: 1.25, output: 5 },
+        'gemini-2.0-flash': { input: 0.1, output: 0.4 }
+    },
     customPrompt: `Enrich asset metadata for discoverability.
 
 FACETS (use only when clearly visible):
@@ -57,12 +125,47 @@ function loadDefaultConfig() {
 function populateConfigFormWithDefaults() {
     const config = loadDefaultConfig();
     
+    document.getElementById('providerSelect').value = config.provider;
     document.getElementById('openaiUrlInput').value = config.openaiUrl;
     document.getElementById('apiVersionInput').value = config.apiVersion;
     document.getElementById('modelNameInput').value = config.modelName;
     document.getElementById('deploymentInput').value = config.deployment;
     document.getElementById('apiKeyInput').value = config.apiKey;
+    document.getElementById('apiKeyStorageSelect').value = config.apiKeyStorage;
+    if (typeof updateKeyStorageFields === 'function') {
+        updateKeyStorageFields();
+    }
     document.getElementById('timeoutInput').value = config.timeout / 1000; // convert to seconds
+    document.getElementById('batchConcurrencyInput').value = config.batchConcurrency;
+    document.getElementById('requestsPerMinuteInput').value = config.requestsPerMinute;
+    document.getElementById('schemaRepairAttemptsInput').value = config.schemaRepairAttempts;
+    document.getElementById('confidenceModeSelect').value = config.confidenceMode;
+    document.getElementById('confidenceSamplesInput').value = config.confidenceSamples;
+    document.getElementById('confidenceThresholdInput').value = Math.round(config.confidenceThreshold * 100);
+    document.getElementById('existingMetadataModeSelect').value = config.existingMetadataMode;
+    document.getElementById('mockLatencyMsInput').value = config.mockLatencyMs;
+    document.getElementById('mockFailureSelect').value = config.mockFailure;
+    document.getElementById('mockFailEveryInput').value = config.mockFailEvery;
+    document.getElementById('combinedRequestInput').checked = config.combinedRequest;
+    document.getElementById('streamingInput').checked = config.streaming;
+    document.getElementById('maxImageEdgeInput').value = config.maxImageEdge;
+    document.getElementById('imageFormatSelect').value = config.imageFormat;
+    document.getElementById('imageQualityInput').value = config.imageQuality;
+    document.getElementById('imageDetailSelect').value = config.imageDetail;
+    document.getElementById('keyframeModeSelect').value = config.keyframeMode;
+    document.getElementById('keyframeIntervalInput').value = config.keyframeInterval;
+    document.getElementById('maxKeyframesInput').value = config.maxKeyframes;
+    document.getElementById('maxDocumentPagesInput').value = config.maxDocumentPages;
+    document.getElementById('documentTextInput').checked = config.documentText;
+    document.getElementById('responseCacheEnabledInput').checked = config.responseCacheEnabled;
+    document.getElementById('responseCacheMaxMbInput').value = config.responseCacheMaxMb;
+    document.getElementById('runBudgetInput').value = config.runBudget;
+    document.getElementById('modelPricesInput').value = JSON.stringify(config.modelPrices, null, 2);
+    
+    // Show the fields that apply to the default provider
+    if (typeof updateProviderFields === 'function') {
+        updateProviderFields();
+    }
     
     // Populate custom prompt if field exists
     if (document.getElementById('customPromptInput')) {
@@ -95,8 +198,9 @@ function autoLoadDefaultsIfNeeded() {
             metadataAPI.setConfig(defaultConfig);
         }
         
-        // Save defaults to localStorage
-        localStorage.setItem('metadataApiConfig', JSON.stringify(defaultConfig));
+        // Save defaults to localStorage (API keys are never stored there, see key-vault.js)
+        const { apiKey, ...storedConfig } = defaultConfig;
+        localStorage.setItem('metadataApiConfig', JSON.stringify(storedConfig));
         
         console.log('Loaded default configuration values');
         return true;
@@ -107,6 +211,9 @@ function autoLoadDefaultsIfNeeded() {
 // Expose functions globally for browser compatibility
 window.DEFAULT_CONFIG = DEFAULT_CONFIG;
 window.IMAGE_EXTENSIONS = IMAGE_EXTENSIONS;
+window.VIDEO_EXTENSIONS = VIDEO_EXTENSIONS;
+window.DOCUMENT_EXTENSIONS = DOCUMENT_EXTENSIONS;
+window.DOCUMENT_CUSTOM_PROMPTS = DOCUMENT_CUSTOM_PROMPTS;
 window.IMAGES_PER_BATCH = IMAGES_PER_BATCH;
 window.DEFAULT_CUSTOM_PROMPTS = DEFAULT_CUSTOM_PROMPTS;
 window.loadDefaultConfig = loadDefaultConfig;
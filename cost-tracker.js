@@ -0,0 +1,224 @@
+/**
+ * Cost Tracker Module
+ * Turns token usage into cost using configurable per-model prices, keeps
+ * per-asset usage summaries and the running ledger of a batch run
+ */
+
+/**
+ * Find the price entry for the configured model
+ * Matches the model name first, then the deployment; exact keys win, otherwise
+ * the longest price key the name starts with (so "gpt-4o-2024-08-06" uses "gpt-4o").
+ * @param {Object} config - MetadataAPI configuration (modelName, deployment, modelPrices)
+ * @returns {Object|null} { model, input, output } in USD per million tokens, or null if unpriced
+ */
+function getModelPrice(config = {}) {
+    const prices = config.modelPrices || DEFAULT_CONFIG.modelPrices || {};
+    const priceKeys = Object.keys(prices).sort((a, b) => b.length - a.length);
+
+    for (const name of [config.modelName, config.deployment]) {
+        if (!name) continue;
+        const lowerName = name.toLowerCase();
+        const key = priceKeys.find(k => k.toLowerCase() === lowerName) ||
+            priceKeys.find(k => lowerName.startsWith(k.toLowerCase()));
+        if (key) {
+            return { model: key, input: Number(prices[key].input) || 0, output: Number(prices[key].output) || 0 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Compute the cost of a token count
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @param {Object|null} price - Price from getModelPrice()
+ * @returns {number} Cost in USD (0 when the model has no price)
+ */
+function calculateCost(promptTokens, completionTokens, price) {
+    if (!price) return 0;
+    return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+}
+
+/**
+ * Create an empty usage summary for one asset
+ * @returns {Object} Usage summary
+ */
+function createUsageSummary() {
+    return {
+        calls: 0,
+        cachedCalls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        latencyMs: 0,
+        cost: 0
+    };
+}
+
+/**
+ * Add one API call to a usage summary
+ * Cached responses are counted but add no tokens or cost, since they were not billed again.
+ * @param {Object} summary - Summary from createUsageSummary()
+ * @param {Object} call - Call details
+ * @param {Object} call.usage - { promptTokens, completionTokens } reported by the provider, if any
+ * @param {number} call.latencyMs - Request latency
+ * @param {boolean} call.cached - True if served from the response cache
+ * @param {Object|null} price - Price from getModelPrice()
+ * @returns {Object} The updated summary
+ */
+function addCallUsage(summary, { usage = null, latencyMs = 0, cached = false } = {}, price = null) {
+    summary.calls++;
+    if (cached) {
+        summary.cachedCalls++;
+        return summary;
+    }
+
+    const promptTokens = usage?.promptTokens || 0;
+    const completionTokens = usage?.completionTokens || 0;
+    summary.promptTokens += promptTokens;
+    summary.completionTokens += completionTokens;
+    summary.latencyMs += latencyMs || 0;
+    summary.cost += calculateCost(promptTokens, completionTokens, price);
+    return summary;
+}
+
+/**
+ * Add usage summaries together, e.g. the two configurations of a comparison run
+ * @param {...Object} summaries - Summaries from createUsageSummary()
+ * @returns {Object} A new summary with the totals
+ */
+function sumUsageSummaries(...summaries) {
+    const total = createUsageSummary();
+    summaries.filter(Boolean).forEach(summary => {
+        Object.keys(total).forEach(key => {
+            total[key] += summary[key] || 0;
+        });
+    });
+    return total;
+}
+
+/**
+ * Format a cost for display
+ * @param {number} usd - Cost in USD
+ * @returns {string} Formatted cost (e.g., "$0.0042" or "$12.30")
+ */
+function formatCost(usd) {
+    const value = usd || 0;
+    return `$${value > 0 && value < 0.01 ? value.toFixed(4) : value.toFixed(2)}`;
+}
+
+/**
+ * Format a token count for display
+ * @param {number} tokens - Token count
+ * @returns {string} Formatted count (e.g., "850", "12.4k", "3.1M")
+ */
+function formatTokenCount(tokens) {
+    if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+    if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`;
+    return String(tokens || 0);
+}
+
+/**
+ * Records per-asset usage for one batch run and keeps its running totals
+ */
+class RunLedger {
+    /**
+     * @param {Object} config - MetadataAPI configuration at the start of the run
+     */
+    constructor(config = {}) {
+        this.startedAt = new Date().toISOString();
+        this.finishedAt = null;
+        this.provider = config.provider || '';
+        this.model = config.modelName || config.deployment || '';
+        this.price = getModelPrice(config);
+        this.entries = [];
+        this.totals = { assets: 0, ...createUsageSummary() };
+    }
+
+    /**
+     * Record the usage of one processed asset
+     * @param {Object} imageData - Processed image entry
+     * @param {Object} usage - Usage summary from generateMetadataForAsset()
+     */
+    record(imageData, usage) {
+        if (!usage) return;
+        this.entries.push({
+            imageId: imageData.id,
+            filename: imageData.file.name,
+            ...usage
+        });
+
+        this.totals.assets++;
+        ['calls', 'cachedCalls', 'promptTokens', 'completionTokens', 'latencyMs', 'cost'].forEach(key => {
+            this.totals[key] += usage[key] || 0;
+        });
+    }
+
+    /**
+     * Check whether the cost of an asset can be estimated yet
+     * Until one asset has been paid for, a run with a budget starts assets one at a time.
+     * @returns {boolean} True once usage of at least one asset is recorded
+     */
+    hasCostEstimate() {
+        return this.totals.assets > 0;
+    }
+
+    /**
+     * Check whether starting more assets would push the run over a budget
+     * The cost of each upcoming asset is estimated from the average so far; see hasCostEstimate().
+     * @param {number} budget - Budget ceiling in USD (0 or less means no ceiling)
+     * @param {number} upcomingAssets - Assets that would be in flight, including the next one
+     * @returns {boolean} True if the budget would be exceeded
+     */
+    wouldExceedBudget(budget, upcomingAssets = 1) {
+        if (!budget || budget <= 0) return false;
+        const averageCost = this.totals.assets > 0 ? this.totals.cost / this.totals.assets : 0;
+        return this.totals.cost + averageCost * upcomingAssets > budget;
+    }
+
+    /**
+     * Mark the run as finished
+     */
+    finish() {
+        this.finishedAt = new Date().toISOString();
+    }
+
+    /**
+     * Build the exportable run summary
+     * @returns {Object} Summary with run details, prices, totals and per-asset usage
+     */
+    getSummary() {
+        return {
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            provider: this.provider,
+            model: this.model,
+            pricePerMillionTokens: this.price,
+            totals: { ...this.totals },
+            assets: this.entries
+        };
+    }
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getModelPrice,
+        calculateCost,
+        createUsageSummary,
+        addCallUsage,
+        sumUsageSummaries,
+        formatCost,
+        formatTokenCount,
+        RunLedger
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.getModelPrice = getModelPrice;
+window.calculateCost = calculateCost;
+window.createUsageSummary = createUsageSummary;
+window.addCallUsage = addCallUsage;
+window.sumUsageSummaries = sumUsageSummaries;
+window.formatCost = formatCost;
+window.formatTokenCount = formatTokenCount;
+window.RunLedger = RunLedger;
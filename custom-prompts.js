@@ -7,6 +7,34 @@
 let customPrompts = [];
 let brandPrompt = '';
 
+// Kinds of assets a custom prompt can be limited to
+const PROMPT_APPLIES_TO = {
+    all: 'All assets',
+    images: 'Images only',
+    videos: 'Videos only',
+    documents: 'Documents only'
+};
+
+/**
+ * Normalize the kind of assets a prompt applies to
+ * @param {string} appliesTo - Stored value (missing on prompts saved before it existed)
+ * @returns {string} A key of PROMPT_APPLIES_TO
+ */
+function normalizePromptAppliesTo(appliesTo) {
+    return PROMPT_APPLIES_TO[appliesTo] ? appliesTo : 'all';
+}
+
+/**
+ * Check whether a custom prompt should run for an asset
+ * @param {Object} promptConfig - Custom prompt object
+ * @param {Object} imageData - Processed image entry
+ * @returns {boolean} True if the prompt applies to the asset's media type
+ */
+function promptAppliesTo(promptConfig, imageData) {
+    const appliesTo = normalizePromptAppliesTo(promptConfig.appliesTo);
+    return appliesTo === 'all' || appliesTo === `${getAssetMediaType(imageData)}s`;
+}
+
 /**
  * Show the custom prompts management modal
  */
@@ -84,6 +112,7 @@ function saveBrandPrompt() {
         if (brandPromptInput) {
             brandPrompt = brandPromptInput.value.trim();
             localStorage.setItem('brandPrompt', brandPrompt);
+            ensureBrandPromptVersion(brandPrompt);
             console.log('💾 Brand prompt saved to localStorage');
             showNotification('✅ Brand prompt saved successfully!', 'success');
         }
@@ -100,6 +129,7 @@ function clearBrandPrompt() {
     try {
         brandPrompt = '';
         localStorage.removeItem('brandPrompt');
+        ensureBrandPromptVersion(brandPrompt);
         
         // Clear the UI
         const brandPromptInput = document.getElementById('brandPromptInput');
@@ -127,6 +157,7 @@ function getBrandPrompt() {
  */
 function saveCustomPrompts() {
     try {
+        recordPromptVersions(customPrompts);
         localStorage.setItem('customPrompts', JSON.stringify(customPrompts));
         console.log('💾 Custom prompts saved to localStorage');
         showNotification('Custom prompts saved successfully!', 'success');
@@ -149,7 +180,9 @@ function exportPromptsToFile() {
             version: "1.0",
             exported: new Date().toISOString(),
             brandPrompt: currentBrandPrompt,
-            prompts: customPrompts
+            brandExamples: loadBrandExamples(),
+            prompts: customPrompts,
+            taxonomy: getActiveTaxonomy()
         };
         
         const dataStr = JSON.stringify(promptsData, null, 2);
@@ -190,6 +223,7 @@ function importPromptsFromFile(event) {
             if (importData.brandPrompt !== undefined) {
                 brandPrompt = importData.brandPrompt || '';
                 localStorage.setItem('brandPrompt', brandPrompt);
+                ensureBrandPromptVersion(brandPrompt);
                 
                 // Update UI
                 const brandPromptInput = document.getElementById('brandPromptInput');
@@ -199,11 +233,27 @@ function importPromptsFromFile(event) {
                 console.log('🏷️ Imported brand prompt:', brandPrompt);
             }
             
+            // Import the brand profile's reference examples if present
+            if (importData.brandExamples !== undefined) {
+                saveBrandExamples(normalizeReferenceExamples(importData.brandExamples));
+                renderBrandExamples();
+            }
+            
+            // Import the project's taxonomy if present
+            if (importData.taxonomy !== undefined) {
+                setActiveTaxonomy(importData.taxonomy);
+                renderTaxonomySection();
+            }
+            
             // Add IDs to imported prompts if they don't have them
             const validPrompts = importData.prompts.map(prompt => ({
                 id: prompt.id || generateId(),
                 property: prompt.property || '',
-                prompt: prompt.prompt || ''
+                prompt: prompt.prompt || '',
+                schema: normalizePropertySchema(prompt.schema),
+                examples: normalizeReferenceExamples(prompt.examples),
+                dependsOn: normalizePromptDependencies(prompt.dependsOn, prompt.property),
+                appliesTo: normalizePromptAppliesTo(prompt.appliesTo)
             })).filter(p => p.property.trim() && p.prompt.trim());
             
             if (validPrompts.length === 0 && !importData.brandPrompt) {
@@ -228,6 +278,8 @@ function importPromptsFromFile(event) {
             const importedItems = [];
             if (validPrompts.length > 0) importedItems.push(`${validPrompts.length} custom prompts`);
             if (importData.brandPrompt !== undefined) importedItems.push('brand prompt');
+            if (importData.brandExamples?.length) importedItems.push('brand examples');
+            if (importData.taxonomy) importedItems.push('taxonomy');
             
             showNotification(`✅ Successfully imported ${importedItems.join(' and ')}!`);
             console.log('📁 Custom prompts and brand prompt imported from file:', { validPrompts, brandPrompt });
@@ -266,6 +318,12 @@ function renderCustomPromptsList() {
         propertyInput.addEventListener('input', (e) => updateCustomPromptProperty(prompt.id, e.target.value));
         propertyCell.appendChild(propertyInput);
         
+        // Properties this prompt builds on, with its place in the dependency order
+        const dependencies = document.createElement('div');
+        dependencies.className = 'prompt-dependencies';
+        dependencies.dataset.promptId = prompt.id;
+        propertyCell.appendChild(dependencies);
+        
         // Prompt text cell
         const promptCell = document.createElement('td');
         const promptTextarea = document.createElement('textarea');
@@ -275,18 +333,175 @@ function renderCustomPromptsList() {
         promptTextarea.addEventListener('input', (e) => updateCustomPromptText(prompt.id, e.target.value));
         promptCell.appendChild(promptTextarea);
         
+        // Type cell
+        const typeCell = document.createElement('td');
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'prompt-type-select';
+        Object.entries(PROPERTY_TYPES).forEach(([type, label]) => {
+            typeSelect.add(new Option(label, type));
+        });
+        const schemaOptions = document.createElement('div');
+        schemaOptions.className = 'prompt-schema-options';
+        typeSelect.value = normalizePropertySchema(prompt.schema).type;
+        typeSelect.addEventListener('change', (e) => {
+            updateCustomPromptSchema(prompt.id, { type: e.target.value });
+            renderSchemaOptions(schemaOptions, prompt);
+        });
+        renderSchemaOptions(schemaOptions, prompt);
+        // Kinds of assets the prompt runs for, e.g. a summary for documents only
+        const appliesToSelect = document.createElement('select');
+        appliesToSelect.className = 'prompt-type-select prompt-applies-select';
+        appliesToSelect.title = 'Assets this prompt runs for';
+        Object.entries(PROMPT_APPLIES_TO).forEach(([appliesTo, label]) => {
+            appliesToSelect.add(new Option(label, appliesTo));
+        });
+        appliesToSelect.value = normalizePromptAppliesTo(prompt.appliesTo);
+        appliesToSelect.addEventListener('change', (e) => updateCustomPromptAppliesTo(prompt.id, e.target.value));
+        typeCell.appendChild(typeSelect);
+        typeCell.appendChild(schemaOptions);
+        typeCell.appendChild(appliesToSelect);
+        
+        // Reference examples, shown in a row below the prompt
+        prompt.examples = prompt.examples || [];
+        const examplesRow = document.createElement('tr');
+        examplesRow.className = 'prompt-examples-row';
+        examplesRow.style.display = 'none';
+        const examplesCell = document.createElement('td');
+        examplesCell.colSpan = 4;
+        examplesRow.appendChild(examplesCell);
+        
         // Action cell
         const actionCell = document.createElement('td');
+        const examplesBtn = document.createElement('button');
+        examplesBtn.className = 'custom-prompt-btn prompt-examples-btn';
+        const updateExamplesLabel = () => {
+            examplesBtn.textContent = `🖼️ Examples (${prompt.examples.length})`;
+        };
+        updateExamplesLabel();
+        examplesBtn.addEventListener('click', () => {
+            const isOpen = examplesRow.style.display !== 'none';
+            examplesRow.style.display = isOpen ? 'none' : 'table-row';
+            if (!isOpen) {
+                renderExampleList(examplesCell, prompt.examples, {
+                    properties: [prompt.property],
+                    onChange: updateExamplesLabel
+                });
+            }
+        });
+        const historyBtn = document.createElement('button');
+        historyBtn.className = 'custom-prompt-btn prompt-examples-btn';
+        historyBtn.textContent = '🕘 History';
+        historyBtn.addEventListener('click', () => showPromptVersionHistory(prompt, content => {
+            Object.assign(prompt, content, { schema: { ...content.schema }, dependsOn: [...content.dependsOn] });
+            renderCustomPromptsList();
+        }));
         const removeBtn = document.createElement('button');
         removeBtn.className = 'remove-prompt-btn';
         removeBtn.textContent = '✖ Remove';
         removeBtn.addEventListener('click', () => removeCustomPrompt(prompt.id));
+        actionCell.appendChild(examplesBtn);
+        actionCell.appendChild(historyBtn);
         actionCell.appendChild(removeBtn);
         
         row.appendChild(propertyCell);
         row.appendChild(promptCell);
+        row.appendChild(typeCell);
         row.appendChild(actionCell);
         tbody.appendChild(row);
+        tbody.appendChild(examplesRow);
+    });
+    
+    renderPromptDependencies();
+    renderPromptPreview();
+}
+
+/**
+ * Render the dependency pickers and indicators of every prompt row
+ * Re-rendered on their own so renaming a property keeps the focus in its input.
+ */
+function renderPromptDependencies() {
+    const cycle = findDependencyCycle(customPrompts.filter(p => (p.property || '').trim()));
+    
+    document.querySelectorAll('#customPromptsList .prompt-dependencies').forEach(container => {
+        const prompt = customPrompts.find(p => p.id === container.dataset.promptId);
+        if (!prompt) return;
+        container.innerHTML = '';
+        
+        const description = describePromptDependencies(prompt, customPrompts, cycle);
+        if (description) {
+            const indicator = document.createElement('div');
+            indicator.className = 'prompt-dependency-indicator' + (description.isError ? ' prompt-dependency-error' : '');
+            indicator.textContent = description.text;
+            indicator.title = description.title;
+            container.appendChild(indicator);
+        }
+        
+        const dependsOn = normalizePromptDependencies(prompt.dependsOn, prompt.property);
+        const candidates = customPrompts
+            .map(p => (p.property || '').trim())
+            .filter(property => property && property !== prompt.property);
+        // Dependencies on properties without a prompt stay selectable so they can be removed
+        [...new Set([...candidates, ...dependsOn])].forEach(property => {
+            const label = document.createElement('label');
+            label.className = 'prompt-schema-checkbox';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = dependsOn.includes(property);
+            checkbox.addEventListener('change', (e) => {
+                const others = dependsOn.filter(name => name !== property);
+                updateCustomPromptDependencies(prompt.id, e.target.checked ? [...others, property] : others);
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` uses ${property}`));
+            container.appendChild(label);
+        });
+    });
+}
+
+/**
+ * Render the inputs for the options of a prompt's property type
+ * @param {HTMLElement} container - Element to render the inputs into
+ * @param {Object} prompt - Custom prompt object
+ */
+function renderSchemaOptions(container, prompt) {
+    const schema = normalizePropertySchema(prompt.schema);
+    const fields = {
+        string: [['minLength', 'Min length', 'number'], ['maxLength', 'Max length', 'number']],
+        list: [['maxItems', 'Max items', 'number'], ['separator', 'Separator', 'text'], ['taxonomy', 'Map to taxonomy', 'checkbox']],
+        enum: [['values', 'Allowed values (comma-separated)', 'text']],
+        number: [['min', 'Min', 'number'], ['max', 'Max', 'number']]
+    }[schema.type] || [];
+
+    container.innerHTML = '';
+    fields.forEach(([key, placeholder, inputType]) => {
+        const input = document.createElement('input');
+        input.type = inputType;
+        const value = schema[key];
+
+        if (inputType === 'checkbox') {
+            input.checked = !!value;
+            input.addEventListener('change', (e) => {
+                updateCustomPromptSchema(prompt.id, { ...normalizePropertySchema(prompt.schema), [key]: e.target.checked });
+            });
+            const label = document.createElement('label');
+            label.className = 'prompt-schema-checkbox';
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(` ${placeholder}`));
+            container.appendChild(label);
+            return;
+        }
+
+        input.className = 'prompt-schema-input';
+        input.placeholder = placeholder;
+        input.title = placeholder;
+        input.value = Array.isArray(value) ? value.join(', ') : (value ?? '');
+        input.addEventListener('input', (e) => {
+            const newValue = key === 'values'
+                ? e.target.value.split(',').map(v => v.trim()).filter(Boolean)
+                : e.target.value;
+            updateCustomPromptSchema(prompt.id, { ...normalizePropertySchema(prompt.schema), [key]: newValue });
+        });
+        container.appendChild(input);
     });
 }
 
@@ -297,7 +512,11 @@ function addCustomPrompt() {
     const newPrompt = {
         id: generateId(),
         property: '',
-        prompt: ''
+        prompt: '',
+        schema: { type: 'string' },
+        examples: [],
+        dependsOn: [],
+        appliesTo: 'all'
     };
     
     customPrompts.push(newPrompt);
@@ -306,6 +525,32 @@ function addCustomPrompt() {
     console.log('➕ Added new custom prompt');
 }
 
+/**
+ * Add the starter prompts for documents (summary, document type, audience)
+ * Properties that already have a prompt are left alone.
+ */
+function addDocumentPrompts() {
+    const existing = new Set(customPrompts.map(p => (p.property || '').trim()));
+    const added = DOCUMENT_CUSTOM_PROMPTS.filter(p => !existing.has(p.property));
+    if (added.length === 0) {
+        showNotification('ℹ️ The document prompts are already in the list', 'warning');
+        return;
+    }
+
+    added.forEach(prompt => {
+        customPrompts.push({
+            ...prompt,
+            id: generateId(),
+            schema: { ...prompt.schema },
+            examples: [],
+            dependsOn: []
+        });
+    });
+    renderCustomPromptsList();
+    
+    console.log('📄 Added document prompts:', added.map(p => p.property));
+}
+
 /**
  * Remove a custom prompt by ID
  * @param {string} id - The ID of the prompt to remove
@@ -324,7 +569,22 @@ function removeCustomPrompt(id) {
 function updateCustomPromptProperty(id, property) {
     const prompt = customPrompts.find(p => p.id === id);
     if (prompt) {
+        // Approved example values are keyed by property, so they follow the rename
+        (prompt.examples || []).forEach(example => {
+            if (prompt.property in example.metadata) {
+                example.metadata[property] = example.metadata[prompt.property];
+                delete example.metadata[prompt.property];
+            }
+        });
+        // Dependent prompts follow the rename too, unless the name is cleared while retyping it
+        if (property.trim()) {
+            customPrompts.forEach(other => {
+                other.dependsOn = (other.dependsOn || []).map(name => name === prompt.property ? property : name);
+            });
+        }
         prompt.property = property;
+        renderPromptDependencies();
+        renderPromptPreview();
     }
 }
 
@@ -337,6 +597,47 @@ function updateCustomPromptText(id, text) {
     const prompt = customPrompts.find(p => p.id === id);
     if (prompt) {
         prompt.prompt = text;
+        renderPromptPreview();
+    }
+}
+
+/**
+ * Update the property schema of a custom prompt
+ * @param {string} id - The ID of the prompt to update
+ * @param {Object} schema - The new property schema ({ type, ...options })
+ */
+function updateCustomPromptSchema(id, schema) {
+    const prompt = customPrompts.find(p => p.id === id);
+    if (prompt) {
+        prompt.schema = normalizePropertySchema(schema);
+        renderPromptPreview();
+    }
+}
+
+/**
+ * Update the properties a custom prompt depends on
+ * @param {string} id - The ID of the prompt to update
+ * @param {Array<string>} dependsOn - Properties whose values the prompt builds on
+ */
+function updateCustomPromptDependencies(id, dependsOn) {
+    const prompt = customPrompts.find(p => p.id === id);
+    if (prompt) {
+        prompt.dependsOn = normalizePromptDependencies(dependsOn, prompt.property);
+        renderPromptDependencies();
+        renderPromptPreview();
+    }
+}
+
+/**
+ * Update the kind of assets a custom prompt runs for
+ * @param {string} id - The ID of the prompt to update
+ * @param {string} appliesTo - A key of PROMPT_APPLIES_TO
+ */
+function updateCustomPromptAppliesTo(id, appliesTo) {
+    const prompt = customPrompts.find(p => p.id === id);
+    if (prompt) {
+        prompt.appliesTo = normalizePromptAppliesTo(appliesTo);
+        renderPromptPreview();
     }
 }
 
@@ -377,6 +678,11 @@ function saveCustomPromptsAndClose() {
     customPrompts = validPrompts;
     saveCustomPrompts();
     
+    const cycle = findDependencyCycle(customPrompts);
+    if (cycle) {
+        showNotification(`⚠️ Circular prompt dependency: ${cycle.join(' → ')}. These properties will not be generated.`, 'warning');
+    }
+    
     // Close modal
     document.getElementById('customPromptsModal').style.display = 'none';
     
@@ -429,6 +735,7 @@ function initializeCustomPromptsHandlers() {
     const customPromptsModal = document.getElementById('customPromptsModal');
     const customPromptsClose = customPromptsModal ? customPromptsModal.querySelector('.close') : null;
     const addCustomPromptBtn = document.getElementById('addCustomPromptBtn');
+    const addDocumentPromptsBtn = document.getElementById('addDocumentPromptsBtn');
     const saveCustomPromptsBtn = document.getElementById('saveCustomPromptsBtn');
     const resetCustomPromptsBtn = document.getElementById('resetCustomPromptsBtn');
     const cancelCustomPromptsBtn = document.getElementById('cancelCustomPromptsBtn');
@@ -439,6 +746,7 @@ function initializeCustomPromptsHandlers() {
     // Get DOM elements for brand prompt
     const saveBrandPromptBtn = document.getElementById('saveBrandPromptBtn');
     const clearBrandPromptBtn = document.getElementById('clearBrandPromptBtn');
+    const brandPromptHistoryBtn = document.getElementById('brandPromptHistoryBtn');
     const brandPromptInput = document.getElementById('brandPromptInput');
 
     // Add event listeners
@@ -456,6 +764,10 @@ function initializeCustomPromptsHandlers() {
         addCustomPromptBtn.addEventListener('click', addCustomPrompt);
     }
 
+    if (addDocumentPromptsBtn) {
+        addDocumentPromptsBtn.addEventListener('click', addDocumentPrompts);
+    }
+
     if (saveCustomPromptsBtn) {
         saveCustomPromptsBtn.addEventListener('click', saveCustomPromptsAndClose);
     }
@@ -502,6 +814,16 @@ function initializeCustomPromptsHandlers() {
         clearBrandPromptBtn.addEventListener('click', clearBrandPrompt);
     }
 
+    if (brandPromptHistoryBtn && brandPromptInput) {
+        brandPromptHistoryBtn.addEventListener('click', () => {
+            showBrandPromptHistory(brandPromptInput.value, content => {
+                brandPromptInput.value = content.text;
+                brandPrompt = content.text;
+                autoExpandBrandPrompt(brandPromptInput);
+            });
+        });
+    }
+
     // Auto-save brand prompt on input change (debounced) and auto-expand
     if (brandPromptInput) {
         let brandPromptTimeout;
@@ -532,14 +854,23 @@ function initializeCustomPromptsHandlers() {
 // Export functions for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        PROMPT_APPLIES_TO,
         showCustomPromptsModal,
         loadCustomPrompts,
         saveCustomPrompts,
         renderCustomPromptsList,
+        renderSchemaOptions,
+        normalizePromptAppliesTo,
+        promptAppliesTo,
         addCustomPrompt,
+        addDocumentPrompts,
         removeCustomPrompt,
         updateCustomPromptProperty,
         updateCustomPromptText,
+        updateCustomPromptSchema,
+        updateCustomPromptDependencies,
+        updateCustomPromptAppliesTo,
+        renderPromptDependencies,
         resetCustomPromptsToDefaults,
         saveCustomPromptsAndClose,
         getStoredCustomPrompts,
@@ -555,14 +886,23 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Expose functions globally for browser compatibility
+window.PROMPT_APPLIES_TO = PROMPT_APPLIES_TO;
 window.showCustomPromptsModal = showCustomPromptsModal;
 window.loadCustomPrompts = loadCustomPrompts;
 window.saveCustomPrompts = saveCustomPrompts;
 window.renderCustomPromptsList = renderCustomPromptsList;
+window.renderSchemaOptions = renderSchemaOptions;
+window.normalizePromptAppliesTo = normalizePromptAppliesTo;
+window.promptAppliesTo = promptAppliesTo;
 window.addCustomPrompt = addCustomPrompt;
+window.addDocumentPrompts = addDocumentPrompts;
 window.removeCustomPrompt = removeCustomPrompt;
 window.updateCustomPromptProperty = updateCustomPromptProperty;
 window.updateCustomPromptText = updateCustomPromptText;
+window.updateCustomPromptSchema = updateCustomPromptSchema;
+window.updateCustomPromptDependencies = updateCustomPromptDependencies;
+window.updateCustomPromptAppliesTo = updateCustomPromptAppliesTo;
+window.renderPromptDependencies = renderPromptDependencies;
 window.resetCustomPromptsToDefaults = resetCustomPromptsToDefaults;
 window.saveCustomPromptsAndClose = saveCustomPromptsAndClose;
 window.getStoredCustomPrompts = getStoredCustomPrompts;
@@ -0,0 +1,305 @@
+/**
+ * Document Pages Module
+ * Renders the pages of PDFs and multi-page TIFFs to images in the browser, so
+ * brochures and spec sheets can be described from their first pages in one
+ * multi-image request, and provides the page thumbnails shown on their cards
+ */
+
+// pdf.js 4.10.38, vendored (see vendor/README.md). The build is an ES module that sets window.pdfjsLib.
+const PDFJS_SCRIPT_URL = 'vendor/pdfjs/pdf.min.mjs';
+const PDFJS_SCRIPT_INTEGRITY = 'sha384-+0ti2moQlmLN7WZHE2RHIf5lV8hHxhxEalN0il3YZceG26fUPyOkR0hp9daxk1i7';
+const PDFJS_WORKER_URL = 'vendor/pdfjs/pdf.worker.min.mjs';
+
+// Pages are rendered larger than video keyframes so small print stays legible
+const DOCUMENT_PAGE_MAX_EDGE = 1600;
+
+// Extracted text sent with the prompt is cut off here to keep requests small
+const DOCUMENT_TEXT_MAX_CHARS = 4000;
+
+/**
+ * Check whether a file is a document (PDF)
+ * Multi-page TIFFs are images by extension; they are recognized by their page count on ingest.
+ * @param {File} file - File to check
+ * @returns {boolean} True if the extension is a supported document format
+ */
+function isDocumentFile(file) {
+    return DOCUMENT_EXTENSIONS.includes(file.name.split('.').pop().toLowerCase());
+}
+
+/**
+ * Check whether a file is a TIFF image
+ * @param {File} file - File to check
+ * @returns {boolean} True for .tif and .tiff files
+ */
+function isTiffFile(file) {
+    return ['tif', 'tiff'].includes(file.name.split('.').pop().toLowerCase());
+}
+
+/**
+ * Read the document settings from an API configuration
+ * @param {Object} config - MetadataAPI configuration
+ * @returns {Object} Settings with maxDocumentPages and the upload encoding settings
+ */
+function getDocumentSettings(config = {}) {
+    return {
+        ...getPreprocessSettings(config),
+        maxDocumentPages: Math.max(1, config.maxDocumentPages || DEFAULT_CONFIG.maxDocumentPages)
+    };
+}
+
+/**
+ * Load pdf.js and point it at its worker
+ * @private
+ */
+async function loadPdfjs() {
+    const pdfjsLib = await loadExternalScript(PDFJS_SCRIPT_URL, 'pdfjsLib', { integrity: PDFJS_SCRIPT_INTEGRITY, module: true });
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+    return pdfjsLib;
+}
+
+/**
+ * Open a PDF file with pdf.js
+ * Fonts are rendered without eval: PDFs come from anywhere, and the page holds the API key.
+ * @param {File} file - PDF file
+ * @returns {Promise<Object>} Promise resolving to the PDF document; destroy() it when done
+ * @private
+ */
+async function openPdfDocument(file) {
+    const pdfjsLib = await loadPdfjs();
+    try {
+        return await pdfjsLib.getDocument({
+            data: new Uint8Array(await file.arrayBuffer()),
+            isEvalSupported: false
+        }).promise;
+    } catch (error) {
+        throw new Error(error.name === 'PasswordException' ? 'The PDF is password protected' : error.message);
+    }
+}
+
+/**
+ * Render a PDF page onto a canvas with its longest edge at maxEdge
+ * @private
+ */
+async function renderPdfPage(page, maxEdge) {
+    const size = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: maxEdge / Math.max(size.width, size.height) });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas;
+}
+
+/**
+ * Read the text layer of a PDF page
+ * @private
+ */
+async function extractPdfPageText(page) {
+    const content = await page.getTextContent();
+    return content.items.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render the pages of a document to canvases, one at a time
+ * @param {File} file - PDF or TIFF file
+ * @param {Array<number>} pageNumbers - One-based page numbers
+ * @param {number} maxEdge - Longest edge of PDF renderings (TIFF pages keep their size until encoded)
+ * @param {Function} onPage - Called with (canvas, pageNumber, text) for each page; text is empty for TIFFs
+ * @returns {Promise<void>} Promise resolving once every page has been handed to onPage
+ * @private
+ */
+async function forEachDocumentPage(file, pageNumbers, maxEdge, onPage) {
+    if (isTiffFile(file)) {
+        for (const pageNumber of pageNumbers) {
+            onPage(await decodeTiffToCanvas(file, pageNumber - 1), pageNumber, '');
+        }
+        return;
+    }
+
+    const pdf = await openPdfDocument(file);
+    try {
+        for (const pageNumber of pageNumbers) {
+            const page = await pdf.getPage(pageNumber);
+            onPage(await renderPdfPage(page, maxEdge), pageNumber, await extractPdfPageText(page));
+        }
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * Render the first page of a PDF for its card
+ * @param {File} file - PDF file
+ * @returns {Promise<Object>} Promise resolving to { dataUrl, width, height, pageCount } with the page size in points
+ */
+async function createDocumentPoster(file) {
+    const pdf = await openPdfDocument(file);
+    try {
+        const page = await pdf.getPage(1);
+        const size = page.getViewport({ scale: 1 });
+        const canvas = await renderPdfPage(page, FALLBACK_RASTER_EDGE);
+        return {
+            dataUrl: encodeImage(canvas, canvas.width, canvas.height, 'image/jpeg', 0.85),
+            width: Math.round(size.width),
+            height: Math.round(size.height),
+            pageCount: pdf.numPages
+        };
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * Get the thumbnail of a document page for the card's page navigator, rendering it on first use
+ * @param {Object} imageData - Processed document entry from processedImages
+ * @param {number} pageNumber - One-based page number
+ * @returns {Promise<string>} Promise resolving to the page's data URL
+ */
+function getDocumentPageThumbnail(imageData, pageNumber) {
+    if (pageNumber === 1) {
+        return Promise.resolve(imageData.dataUrl);
+    }
+
+    imageData.pageThumbnails = imageData.pageThumbnails || {};
+    if (!imageData.pageThumbnails[pageNumber]) {
+        let dataUrl = null;
+        const promise = forEachDocumentPage(imageData.file, [pageNumber], FALLBACK_RASTER_EDGE, canvas => {
+            const target = fitToMaxEdge(canvas.width, canvas.height, FALLBACK_RASTER_EDGE);
+            dataUrl = encodeImage(canvas, target.width, target.height, 'image/jpeg', 0.85);
+        }).then(() => dataUrl);
+        imageData.pageThumbnails[pageNumber] = promise;
+        promise.catch(() => {
+            delete imageData.pageThumbnails[pageNumber];
+        });
+    }
+    return imageData.pageThumbnails[pageNumber];
+}
+
+/**
+ * Render the leading pages of a document for upload
+ * @param {Object} imageData - Processed document entry (needs file and document.pageCount)
+ * @param {Object} settings - Settings from getDocumentSettings()
+ * @returns {Promise<Object>} Promise resolving to { pages, pageNumbers, text, bytes, originalBytes, width, height }
+ */
+async function extractDocumentPages(imageData, settings) {
+    const pageCount = Math.min(imageData.document.pageCount, settings.maxDocumentPages);
+    const pageNumbers = Array.from({ length: pageCount }, (_, i) => i + 1);
+    const maxEdge = settings.maxImageEdge > 0 ? Math.min(settings.maxImageEdge, DOCUMENT_PAGE_MAX_EDGE) : DOCUMENT_PAGE_MAX_EDGE;
+
+    const pages = [];
+    const texts = [];
+    let size = null;
+    await forEachDocumentPage(imageData.file, pageNumbers, maxEdge, (canvas, pageNumber, text) => {
+        const target = fitToMaxEdge(canvas.width, canvas.height, maxEdge);
+        pages.push(encodeImage(canvas, target.width, target.height, UPLOAD_MIME_TYPES[settings.imageFormat], settings.imageQuality));
+        if (text) texts.push(`[Page ${pageNumber}] ${text}`);
+        size = size || target;
+    });
+
+    return {
+        pages,
+        pageNumbers,
+        text: texts.join('\n'),
+        bytes: pages.reduce((sum, page) => sum + dataUrlByteLength(page), 0),
+        originalBytes: imageData.file.size,
+        width: size.width,
+        height: size.height
+    };
+}
+
+/**
+ * Get the page images to upload for a document, rendering them on first use
+ * The result is memoized on the entry until the page or upload settings change.
+ * @param {Object} imageData - Processed document entry from processedImages
+ * @param {Object} config - MetadataAPI configuration
+ * @returns {Promise<Array<string>>} Promise resolving to the page data URLs in page order
+ */
+async function getDocumentUploadPages(imageData, config = {}) {
+    const settings = getDocumentSettings(config);
+    const settingsKey = JSON.stringify(settings);
+
+    if (!imageData.uploadCache || imageData.uploadCache.settingsKey !== settingsKey) {
+        const promise = extractDocumentPages(imageData, settings).then(result => {
+            imageData.upload = result;
+            console.log(`📄 Rendered ${result.pages.length} of ${imageData.document.pageCount} pages of ${imageData.file.name} (${formatFileSize(result.bytes)})`);
+            return result;
+        });
+        imageData.uploadCache = { settingsKey, promise };
+    }
+
+    try {
+        return (await imageData.uploadCache.promise).pages;
+    } catch (error) {
+        imageData.uploadCache = null;
+        throw new Error(`Could not render the pages of ${imageData.file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Get the text extracted from the pages of a document that are sent, truncated for prompts
+ * @param {Object} imageData - Processed document entry
+ * @returns {string} Page text, or an empty string before the pages are rendered and for TIFFs
+ */
+function getDocumentText(imageData) {
+    const text = imageData.upload?.text || '';
+    return text.length > DOCUMENT_TEXT_MAX_CHARS ? `${text.slice(0, DOCUMENT_TEXT_MAX_CHARS)} …` : text;
+}
+
+/**
+ * Build the document details sent alongside prompts
+ * @param {Object} imageData - Processed document entry
+ * @param {Object} config - MetadataAPI configuration (documentText adds the pages' text)
+ * @returns {Object} media_type, page_count, the pages sent (once rendered) and optionally document_text
+ */
+function buildDocumentImageInfo(imageData, config = {}) {
+    const text = config.documentText ? getDocumentText(imageData) : '';
+    return {
+        media_type: 'document',
+        page_count: imageData.document.pageCount,
+        ...(imageData.upload?.pageNumbers ? { pages_sent: imageData.upload.pageNumbers.length } : {}),
+        ...(text ? { document_text: text } : {})
+    };
+}
+
+/**
+ * Explain to the model that the images of a request are pages of one document
+ * @param {Object} imageInfo - Image information from buildImageInfo()
+ * @param {number} pageCount - Number of pages in the request
+ * @returns {string} Instruction placed ahead of the prompt
+ */
+function buildDocumentPagesNote(imageInfo, pageCount) {
+    const total = imageInfo?.page_count || pageCount;
+    const pages = pageCount === 1
+        ? (total > 1 ? `The image is the first of the ${total} pages` : 'The image is the only page')
+        : `The ${pageCount} images are the ${total > pageCount ? `first ${pageCount} of the ${total}` : pageCount} pages, in order,`;
+    return `${pages} of one document. ` +
+        'Where the prompt says image, it means the whole document: describe it as one asset, not page by page.';
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isDocumentFile,
+        isTiffFile,
+        getDocumentSettings,
+        createDocumentPoster,
+        getDocumentPageThumbnail,
+        extractDocumentPages,
+        getDocumentUploadPages,
+        getDocumentText,
+        buildDocumentImageInfo,
+        buildDocumentPagesNote
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.isDocumentFile = isDocumentFile;
+window.isTiffFile = isTiffFile;
+window.getDocumentSettings = getDocumentSettings;
+window.createDocumentPoster = createDocumentPoster;
+window.getDocumentPageThumbnail = getDocumentPageThumbnail;
+window.extractDocumentPages = extractDocumentPages;
+window.getDocumentUploadPages = getDocumentUploadPages;
+window.getDocumentText = getDocumentText;
+window.buildDocumentImageInfo = buildDocumentImageInfo;
+window.buildDocumentPagesNote = buildDocumentPagesNote;
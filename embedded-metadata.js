@@ -0,0 +1,320 @@
+/**
+ * Embedded Metadata Module
+ * Reads the EXIF, IPTC and XMP blocks already stored in image files (titles,
+ * captions, keywords, capture date, camera) so they can be shown on the card,
+ * given to prompts as context, and kept instead of overwritten
+ */
+
+// exifr 7.1.3, vendored (see vendor/README.md)
+const EXIFR_SCRIPT_URL = 'vendor/exifr/full.umd.js';
+const EXIFR_SCRIPT_INTEGRITY = 'sha384-KrOocIA+lZcNUz2MDavnT/FuX+CbTREJihUi0bp8QUSwhE2AkGTNpv2b7yMbBkx5';
+
+// What the generator does with properties the file already has a value for
+const EXISTING_METADATA_MODES = {
+    overwrite: 'Overwrite with generated values',
+    augment: 'Augment embedded values',
+    skip: 'Skip properties with embedded values'
+};
+
+// Formats with metadata blocks; exifr reads all but WebP, whose RIFF chunks are read here
+const EMBEDDED_METADATA_FORMATS = ['jpg', 'jpeg', 'png', 'tif', 'tiff', 'webp'];
+
+// Each field is read from the first tag with a value: XMP, then IPTC, then EXIF names as exifr reports them
+const EMBEDDED_FIELD_TAGS = {
+    title: ['title', 'ObjectName', 'Headline'],
+    description: ['description', 'Caption', 'ImageDescription'],
+    keywords: ['subject', 'Keywords'],
+    creator: ['creator', 'Byline', 'Artist'],
+    copyright: ['rights', 'CopyrightNotice', 'Copyright'],
+    dateTaken: ['DateTimeOriginal', 'DateCreated', 'CreateDate'],
+    lens: ['LensModel', 'Lens']
+};
+
+// Property names (lower case, _ for spaces) that an embedded field stands in for
+const EMBEDDED_PROPERTY_ALIASES = {
+    title: ['title', 'headline', 'name', 'object_name'],
+    description: ['description', 'caption', 'summary'],
+    keywords: ['keywords', 'tags', 'subject', 'subjects'],
+    creator: ['creator', 'author', 'photographer', 'byline', 'artist'],
+    copyright: ['copyright', 'rights'],
+    dateTaken: ['datetaken', 'date_taken', 'capture_date', 'date'],
+    camera: ['camera'],
+    location: ['location', 'place']
+};
+
+// Labels for the card, in display order
+const EMBEDDED_FIELD_LABELS = {
+    title: 'Title',
+    description: 'Caption',
+    keywords: 'Keywords',
+    creator: 'Creator',
+    copyright: 'Copyright',
+    dateTaken: 'Taken',
+    camera: 'Camera',
+    lens: 'Lens',
+    location: 'Location'
+};
+
+/**
+ * Turn a tag value into text
+ * Handles XMP language alternatives ({ value } or { 'x-default': ... }), lists and dates.
+ * @private
+ */
+function embeddedTagText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return isNaN(value) ? '' : value.toISOString();
+    if (Array.isArray(value)) return value.map(embeddedTagText).filter(Boolean).join(', ');
+    if (typeof value === 'object') {
+        return embeddedTagText(value.value ?? value['x-default'] ?? Object.values(value).find(item => typeof item === 'string'));
+    }
+    return String(value).replace(/\0/g, '').trim();
+}
+
+/**
+ * Read the first tag with a value
+ * @private
+ */
+function firstEmbeddedTag(tags, names) {
+    for (const name of names) {
+        const text = embeddedTagText(tags[name]);
+        if (text) return { name, value: tags[name], text };
+    }
+    return null;
+}
+
+/**
+ * Map raw tags to the embedded fields
+ * @param {Object} tags - Tags by name, as exifr reports them (merged output)
+ * @returns {Object|null} Embedded fields, or null when the file has none
+ * @private
+ */
+function normalizeEmbeddedTags(tags) {
+    if (!tags || typeof tags !== 'object') return null;
+
+    const embedded = {};
+    Object.entries(EMBEDDED_FIELD_TAGS).forEach(([field, names]) => {
+        const tag = firstEmbeddedTag(tags, names);
+        if (!tag) return;
+        if (field === 'keywords') {
+            const items = Array.isArray(tag.value) ? tag.value.map(embeddedTagText) : tag.text.split(/[,;]/);
+            embedded.keywords = [...new Set(items.map(item => item.trim()).filter(Boolean))];
+        } else {
+            embedded[field] = tag.text;
+        }
+    });
+
+    // The model name often repeats the make ("Canon" + "Canon EOS R5")
+    const make = embeddedTagText(tags.Make);
+    const model = embeddedTagText(tags.Model);
+    const camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim();
+    if (camera) embedded.camera = camera;
+
+    const location = [
+        embeddedTagText(tags.Sublocation ?? tags.Location),
+        embeddedTagText(tags.City),
+        embeddedTagText(tags.State ?? tags['Province-State']),
+        embeddedTagText(tags.Country ?? tags.CountryName ?? tags['Country-PrimaryLocationName'])
+    ].filter(Boolean);
+    if (location.length > 0) embedded.location = [...new Set(location)].join(', ');
+
+    return Object.keys(embedded).length > 0 ? embedded : null;
+}
+
+/**
+ * Parse an XMP packet into tags named like exifr's merged output
+ * @param {string} xml - XMP packet
+ * @returns {Object} Tags by local name (title, description, subject, City, ...)
+ * @private
+ */
+function parseXmpPacket(xml) {
+    const tags = {};
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) return tags;
+
+    Array.from(doc.getElementsByTagNameNS('*', 'Description')).forEach(description => {
+        // Simple values may be written as attributes of rdf:Description
+        Array.from(description.attributes).forEach(attribute => {
+            if (attribute.prefix && !['rdf', 'xmlns'].includes(attribute.prefix)) {
+                tags[attribute.localName] = tags[attribute.localName] ?? attribute.value;
+            }
+        });
+        Array.from(description.children).forEach(element => {
+            const items = Array.from(element.getElementsByTagNameNS('*', 'li')).map(li => li.textContent.trim());
+            tags[element.localName] = tags[element.localName]
+                ?? (element.localName === 'subject' ? items : items[0] ?? element.textContent.trim());
+        });
+    });
+    return tags;
+}
+
+/**
+ * Read the EXIF and XMP chunks of a WebP file
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {Object} exifr - exifr library
+ * @returns {Promise<Object>} Tags by name
+ * @private
+ */
+async function readWebpTags(buffer, exifr) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const fourCC = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (bytes.length < 12 || fourCC(0) !== 'RIFF' || fourCC(8) !== 'WEBP') return {};
+
+    let tags = {};
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+        const id = fourCC(offset);
+        const size = view.getUint32(offset + 4, true);
+        const data = bytes.subarray(offset + 8, offset + 8 + size);
+        if (id === 'EXIF') {
+            // Some encoders keep the JPEG "Exif\0\0" prefix in front of the TIFF header
+            const tiff = fourCC(offset + 8) === 'Exif' ? data.subarray(6) : data;
+            tags = { ...(await exifr.parse(tiff.slice().buffer, { tiff: true, exif: true }) || {}), ...tags };
+        } else if (id === 'XMP ') {
+            tags = { ...tags, ...parseXmpPacket(new TextDecoder().decode(data)) };
+        }
+        offset += 8 + size + (size % 2);
+    }
+    return tags;
+}
+
+/**
+ * Read the metadata embedded in an image file
+ * @param {File} file - Image file
+ * @returns {Promise<Object|null>} Embedded fields ({ title, description, keywords, creator, copyright,
+ *                                 dateTaken, camera, lens, location }), or null if there are none or they cannot be read
+ */
+async function readEmbeddedMetadata(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!EMBEDDED_METADATA_FORMATS.includes(extension)) return null;
+
+    try {
+        const exifr = await loadExternalScript(EXIFR_SCRIPT_URL, 'exifr', { integrity: EXIFR_SCRIPT_INTEGRITY });
+        const tags = extension === 'webp'
+            ? await readWebpTags(await file.arrayBuffer(), exifr)
+            : await exifr.parse(file, {
+                tiff: true, exif: true, iptc: true, xmp: true,
+                gps: false, icc: false, jfif: false, ihdr: false,
+                mergeOutput: true
+            });
+        return normalizeEmbeddedTags(tags);
+    } catch (error) {
+        console.warn(`⚠️ Could not read embedded metadata of ${file.name}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Get the embedded value that a property stands for, e.g. the IPTC caption for "description"
+ * @param {Object|null} embedded - Embedded fields of the asset
+ * @param {string} property - Property name
+ * @returns {string} Value ('' if the file has none)
+ */
+function getEmbeddedValue(embedded, property) {
+    if (!embedded || !property) return '';
+    const name = property.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    const field = Object.keys(EMBEDDED_PROPERTY_ALIASES).find(key => EMBEDDED_PROPERTY_ALIASES[key].includes(name));
+    return field ? embeddedTagText(embedded[field]) : '';
+}
+
+/**
+ * Describe the embedded fields as image information for the prompt preamble
+ * @param {Object|null} embedded - Embedded fields of the asset
+ * @returns {Object} embedded_<field> entries for the fields that have a value
+ */
+function buildEmbeddedImageInfo(embedded) {
+    const info = {};
+    Object.keys(EMBEDDED_FIELD_LABELS).forEach(field => {
+        const text = embeddedTagText(embedded?.[field]);
+        if (text) info[`embedded_${field}`] = text;
+    });
+    return info;
+}
+
+/**
+ * Ask the model to build on values the file already carries
+ * @param {string} promptText - Prompt text
+ * @param {Object} values - Embedded values by property
+ * @returns {string} Prompt text
+ */
+function appendEmbeddedValues(promptText, values) {
+    const lines = Object.entries(values)
+        .filter(([, value]) => value)
+        .map(([property, value]) => `${property}: ${value}`);
+    if (lines.length === 0) return promptText;
+
+    return `${promptText}\n\nThe file already carries these curated values. Keep what is accurate and build on them instead of replacing them:\n${lines.join('\n')}`;
+}
+
+/**
+ * Merge generated list items into an embedded list, keeping the embedded items first
+ * @param {string} existing - Embedded list
+ * @param {string} generated - Generated list
+ * @param {Object} schema - List property schema (separator, maxItems)
+ * @returns {string} Merged list
+ */
+function mergeEmbeddedList(existing, generated, schema) {
+    const s = normalizePropertySchema(schema);
+    const split = value => String(value || '').split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+    const existingItems = [...new Set(split(existing))];
+    const seen = new Set(existingItems.map(item => item.toLowerCase()));
+    const newItems = split(generated).filter(item => {
+        const key = item.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    const room = s.maxItems ? Math.max(0, s.maxItems - existingItems.length) : newItems.length;
+    return [...existingItems, ...newItems.slice(0, room)].join(s.separator);
+}
+
+/**
+ * Render the embedded fields on a thumbnail card
+ * @param {Object|null} embedded - Embedded fields of the asset
+ * @returns {HTMLElement|null} Collapsible block, or null when the file has no embedded metadata
+ */
+function createEmbeddedMetadataElement(embedded) {
+    if (!embedded) return null;
+
+    const block = document.createElement('details');
+    block.className = 'thumbnail-embedded';
+    const summary = document.createElement('summary');
+    summary.textContent = '📎 Embedded metadata';
+    block.appendChild(summary);
+
+    Object.entries(EMBEDDED_FIELD_LABELS).forEach(([field, label]) => {
+        let text = embeddedTagText(embedded[field]);
+        if (!text) return;
+        if (field === 'dateTaken' && !isNaN(Date.parse(text))) text = new Date(text).toLocaleString();
+        const row = document.createElement('div');
+        row.className = 'thumbnail-embedded-field';
+        const name = document.createElement('span');
+        name.className = 'thumbnail-embedded-label';
+        name.textContent = `${label}: `;
+        row.appendChild(name);
+        row.appendChild(document.createTextNode(text));
+        block.appendChild(row);
+    });
+    return block;
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXISTING_METADATA_MODES,
+        readEmbeddedMetadata,
+        getEmbeddedValue,
+        buildEmbeddedImageInfo,
+        appendEmbeddedValues,
+        mergeEmbeddedList,
+        createEmbeddedMetadataElement
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.EXISTING_METADATA_MODES = EXISTING_METADATA_MODES;
+window.readEmbeddedMetadata = readEmbeddedMetadata;
+window.getEmbeddedValue = getEmbeddedValue;
+window.buildEmbeddedImageInfo = buildEmbeddedImageInfo;
+window.appendEmbeddedValues = appendEmbeddedValues;
+window.mergeEmbeddedList = mergeEmbeddedList;
+window.createEmbeddedMetadataElement = createEmbeddedMetadataElement;
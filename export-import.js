@@ -4,16 +4,43 @@
  */
 
 /**
- * Export all metadata as JSON file
+ * Build the data of a JSON export
+ * @returns {Object} Export data with the metadata of every asset
  */
-function exportAsJson() {
+function buildJsonExportData() {
+    // Map the current keyword values, including manual edits, to tags
+    refreshTaxonomyMappings();
+    const taxonomy = getActiveTaxonomy();
+    
+    // Confidence scores are exported per asset under `confidence`; this lists the assets to send to reviewers
+    const threshold = getConfidenceThreshold();
+    const reviewQueue = Object.entries(imageMetadata)
+        .map(([id, data]) => ({ id, filename: data.filename || '', reasons: getAssetReviewReasons(data, threshold) }))
+        .filter(item => item.reasons.length > 0);
+    
     const exportData = {
         exportDate: new Date().toISOString(),
         totalImages: Object.keys(imageMetadata).length,
+        review: { confidenceThreshold: threshold, needsReview: reviewQueue },
+        // Each value's provenance sits under `provenance`; this holds the prompt wording its versions refer to
+        promptVersions: collectReferencedPromptVersions(),
         metadata: imageMetadata
     };
-    
-    const dataStr = JSON.stringify(exportData, null, 2);
+    if (taxonomy) {
+        exportData.taxonomy = {
+            name: taxonomy.name,
+            tagCount: taxonomy.tags.length,
+            unmappedTerms: collectUnmappedTerms()
+        };
+    }
+    return exportData;
+}
+
+/**
+ * Export all metadata as JSON file
+ */
+function exportAsJson() {
+    const dataStr = JSON.stringify(buildJsonExportData(), null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
     
     const link = document.createElement('a');
@@ -48,11 +75,47 @@ function exportAsCsv() {
         allProperties.add('description');
     }
     
+    // Properties mapped to the taxonomy get tag ID, tag title and unmapped term columns
+    refreshTaxonomyMappings();
+    const taxonomyProperties = getActiveTaxonomy() ? getTaxonomyPrompts().map(p => p.property) : [];
+    
+    // Properties that have been scored get a confidence column (0–1)
+    const confidenceProperties = new Set();
+    Object.values(imageMetadata).forEach(item => {
+        Object.keys(item.confidence?.version1 || {}).forEach(prop => confidenceProperties.add(prop));
+    });
+    const threshold = getConfidenceThreshold();
+    
+    // Generated properties get the prompt version, brand version, model and time they came from, for audits
+    const provenanceProperties = new Set();
+    Object.values(imageMetadata).forEach(item => {
+        Object.keys(item.provenance?.version1 || {}).forEach(prop => provenanceProperties.add(prop));
+    });
+    
     // Create dynamic headers
     const headers = ['Index', 'Filename'];
     Array.from(allProperties).forEach(prop => {
         headers.push(`AI - ${prop.charAt(0).toUpperCase() + prop.slice(1)}`);
     });
+    taxonomyProperties.forEach(prop => {
+        const label = prop.charAt(0).toUpperCase() + prop.slice(1);
+        headers.push(`AI - ${label} Tag IDs`, `AI - ${label} Tag Titles`, `AI - ${label} Unmapped`);
+    });
+    confidenceProperties.forEach(prop => {
+        headers.push(`AI - ${prop.charAt(0).toUpperCase() + prop.slice(1)} Confidence`);
+    });
+    provenanceProperties.forEach(prop => {
+        const label = prop.charAt(0).toUpperCase() + prop.slice(1);
+        headers.push(
+            `AI - ${label} Prompt Version`,
+            `AI - ${label} Brand Version`,
+            `AI - ${label} Model`,
+            `AI - ${label} Deployment`,
+            `AI - ${label} Generated At`,
+            `AI - ${label} Edited At`
+        );
+    });
+    headers.push('Needs Review', 'Review Reasons');
     
     const csvData = [headers];
     
@@ -67,6 +130,39 @@ function exportAsCsv() {
             row.push(data.version1?.[prop] || '');
         });
         
+        taxonomyProperties.forEach(prop => {
+            const mapping = data.tags?.version1?.[prop] || { mapped: [], unmapped: [] };
+            row.push(
+                mapping.mapped.map(tag => tag.id).join(', '),
+                mapping.mapped.map(tag => tag.title).join(', '),
+                mapping.unmapped.join(', ')
+            );
+        });
+        
+        confidenceProperties.forEach(prop => {
+            const score = data.confidence?.version1?.[prop];
+            row.push(score === null || score === undefined ? '' : score.toFixed(2));
+        });
+        
+        provenanceProperties.forEach(prop => {
+            const provenance = data.provenance?.version1?.[prop];
+            if (!provenance?.generatedAt) {
+                row.push(provenance?.source === 'embedded' ? 'embedded' : '', '', '', '', '', provenance?.editedAt || '');
+                return;
+            }
+            row.push(
+                provenance.promptVersion ? `v${provenance.promptVersion}` : 'default',
+                `v${provenance.brandVersion}`,
+                provenance.model || '',
+                provenance.deployment || '',
+                provenance.generatedAt,
+                provenance.editedAt || ''
+            );
+        });
+        
+        const reviewReasons = getAssetReviewReasons(data, threshold);
+        row.push(reviewReasons.length > 0 ? 'yes' : 'no', reviewReasons.join('; '));
+        
         csvData.push(row);
     });
     
@@ -85,6 +181,46 @@ function exportAsCsv() {
     showNotification('✅ AI metadata exported successfully as CSV!');
 }
 
+/**
+ * Export a batch run's usage and cost summary as JSON
+ * @param {Object} summary - Summary from RunLedger.getSummary()
+ */
+function exportRunSummaryAsJson(summary) {
+    downloadFile(JSON.stringify(summary, null, 2), generateTimestampedFilename('ai-run-summary', '.json'), 'application/json');
+    showNotification('✅ Run summary exported as JSON!');
+}
+
+/**
+ * Export a batch run's usage and cost summary as CSV, one row per asset plus a total row
+ * @param {Object} summary - Summary from RunLedger.getSummary()
+ */
+function exportRunSummaryAsCsv(summary) {
+    const headers = ['Filename', 'Calls', 'Cached Calls', 'Prompt Tokens', 'Completion Tokens', 'Latency (ms)', 'Cost (USD)'];
+    const toRow = (label, usage) => [
+        label,
+        usage.calls,
+        usage.cachedCalls,
+        usage.promptTokens,
+        usage.completionTokens,
+        usage.latencyMs,
+        usage.cost.toFixed(6)
+    ];
+    
+    const csvData = [
+        ['Run started', summary.startedAt, 'Finished', summary.finishedAt || '', 'Provider', summary.provider, 'Model', summary.model],
+        headers,
+        ...summary.assets.map(asset => toRow(asset.filename, asset)),
+        toRow('TOTAL', summary.totals)
+    ];
+    
+    const csvContent = csvData.map(row => 
+        row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',')
+    ).join('\n');
+    
+    downloadFile(csvContent, generateTimestampedFilename('ai-run-summary', '.csv'), 'text/csv');
+    showNotification('✅ Run summary exported as CSV!');
+}
+
 /**
  * Import metadata from JSON file
  * @param {Event} event - File input change event
@@ -241,8 +377,11 @@ function initializeExportImportHandlers() {
 // Export functions for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        buildJsonExportData,
         exportAsJson,
         exportAsCsv,
+        exportRunSummaryAsJson,
+        exportRunSummaryAsCsv,
         importFromJson,
         updateMetadataInputs,
         downloadFile,
@@ -253,8 +392,11 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Expose functions globally for browser compatibility
+window.buildJsonExportData = buildJsonExportData;
 window.exportAsJson = exportAsJson;
 window.exportAsCsv = exportAsCsv;
+window.exportRunSummaryAsJson = exportRunSummaryAsJson;
+window.exportRunSummaryAsCsv = exportRunSummaryAsCsv;
 window.importFromJson = importFromJson;
 window.updateMetadataInputs = updateMetadataInputs;
 window.downloadFile = downloadFile;
@@ -0,0 +1,526 @@
+/**
+ * Folder Access Module
+ * Optional read/write folder mode built on the File System Access API: keeps
+ * the folder handle across sessions, writes XMP sidecars and a metadata
+ * manifest back into the folder, and detects files added or changed in it
+ * since the last session. Also handles folders and files dropped onto the page.
+ */
+
+const FOLDER_ACCESS_DB_NAME = 'autoMetadataFolderAccess';
+const FOLDER_ACCESS_STORE = 'handles';
+const FOLDER_HANDLE_KEY = 'folder';
+
+// Snapshots were kept in localStorage by folder name before they moved next to the handle
+const LEGACY_FOLDER_SNAPSHOTS_STORAGE_KEY = 'folderSnapshots';
+
+// Larger folders are not snapshotted; their next session shows no change marks
+const FOLDER_SNAPSHOT_MAX_FILES = 20000;
+
+// Manifest written to the folder root by "Write manifest to folder"
+const FOLDER_MANIFEST_FILENAME = 'ai-metadata.json';
+
+// Folder handle the current images were read from; null for folder inputs and drops
+let activeFolderHandle = null;
+
+/**
+ * Check whether the browser can open folders for reading and writing
+ * @returns {boolean} True if the File System Access API is available
+ */
+function isFolderAccessSupported() {
+    return typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Open the object store that keeps the folder handle
+ * Handles cannot be stored in localStorage; IndexedDB keeps them across sessions.
+ * @private
+ */
+function openFolderHandleStore(mode) {
+    return new Promise((resolve, reject) => {
+        const openRequest = indexedDB.open(FOLDER_ACCESS_DB_NAME, 1);
+        openRequest.onupgradeneeded = () => {
+            openRequest.result.createObjectStore(FOLDER_ACCESS_STORE);
+        };
+        openRequest.onsuccess = () => resolve(openRequest.result.transaction(FOLDER_ACCESS_STORE, mode).objectStore(FOLDER_ACCESS_STORE));
+        openRequest.onerror = () => reject(openRequest.error);
+    });
+}
+
+/**
+ * Read the remembered folder: its handle and the snapshot of its files from the last session
+ * @returns {Promise<Object|null>} { handle, snapshot }, or null if no folder is remembered
+ * @private
+ */
+async function readFolderRecord() {
+    const store = await openFolderHandleStore('readonly');
+    const record = await new Promise((resolve, reject) => {
+        const request = store.get(FOLDER_HANDLE_KEY);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+    // Earlier versions stored the bare handle
+    return record?.kind === 'directory' ? { handle: record, snapshot: null } : record;
+}
+
+/**
+ * Replace the remembered folder
+ * @private
+ */
+async function writeFolderRecord(record) {
+    const store = await openFolderHandleStore('readwrite');
+    await new Promise((resolve, reject) => {
+        const request = store.put(record, FOLDER_HANDLE_KEY);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Check whether two folder handles point at the same folder
+ * @private
+ */
+async function isSameFolder(handle, otherHandle) {
+    try {
+        return !!handle && !!otherHandle && await handle.isSameEntry(otherHandle);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Remember a folder handle for the next session
+ * The snapshot of the previous folder is kept only if it is the same folder.
+ * @param {FileSystemDirectoryHandle} handle - Folder handle
+ * @returns {Promise<void>}
+ */
+async function saveFolderHandle(handle) {
+    let snapshot = null;
+    try {
+        const record = await readFolderRecord();
+        if (await isSameFolder(record?.handle, handle)) snapshot = record.snapshot;
+    } catch (error) {
+        console.error('Error loading folder snapshot:', error);
+    }
+    await writeFolderRecord({ handle, snapshot });
+}
+
+/**
+ * Get the folder handle remembered from an earlier session
+ * @returns {Promise<FileSystemDirectoryHandle|null>} Folder handle, or null if there is none
+ */
+async function loadFolderHandle() {
+    try {
+        return (await readFolderRecord())?.handle || null;
+    } catch (error) {
+        console.error('Error loading folder handle:', error);
+        return null;
+    }
+}
+
+/**
+ * Check, and if allowed ask for, read/write access to a folder
+ * @param {FileSystemDirectoryHandle} handle - Folder handle
+ * @param {boolean} request - Ask the user if access is not granted yet (needs a user gesture)
+ * @returns {Promise<boolean>} True if access is granted
+ */
+async function ensureFolderPermission(handle, request = false) {
+    const options = { mode: 'readwrite' };
+    if (await handle.queryPermission(options) === 'granted') return true;
+    return request && await handle.requestPermission(options) === 'granted';
+}
+
+/**
+ * Read the files of a folder handle, including subfolders
+ * Each file gets relativePath, e.g. "Photos/2024/beach.jpg", like a folder input's webkitRelativePath.
+ * @param {FileSystemDirectoryHandle} handle - Folder handle
+ * @param {string} prefix - Path of the folder
+ * @returns {Promise<Array<File>>} Files
+ */
+async function readFolderHandleFiles(handle, prefix = handle.name) {
+    const files = [];
+    for await (const entry of handle.values()) {
+        // Hidden files and folders (.DS_Store, .git) are not assets
+        if (entry.name.startsWith('.')) continue;
+        const path = `${prefix}/${entry.name}`;
+        if (entry.kind === 'directory') {
+            files.push(...await readFolderHandleFiles(entry, path));
+        } else {
+            const file = await entry.getFile();
+            file.relativePath = path;
+            files.push(file);
+        }
+    }
+    return files;
+}
+
+/**
+ * Read the files of a dropped directory entry, including subfolders
+ * @private
+ */
+async function readDroppedEntry(entry) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        file.relativePath = entry.fullPath.replace(/^\//, '');
+        return [file];
+    }
+
+    // readEntries returns the children in batches until it returns an empty one
+    const reader = entry.createReader();
+    const files = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+            if (!child.name.startsWith('.')) files.push(...await readDroppedEntry(child));
+        }
+    } while (batch.length > 0);
+    return files;
+}
+
+/**
+ * Read the files and folders dropped onto the page
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<Array<File>>} Files, with relativePath set for files inside dropped folders
+ */
+async function readDroppedFiles(dataTransfer) {
+    // Entries must be taken before the first await; the drop data is cleared afterwards
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+    if (entries.length === 0) return Array.from(dataTransfer.files || []);
+
+    const files = [];
+    for (const entry of entries) {
+        files.push(...await readDroppedEntry(entry));
+    }
+    return files;
+}
+
+/**
+ * Compare the files of an opened folder with the snapshot of its last session and save the new snapshot
+ * Only the remembered folder has a snapshot, stored with its handle, so opening another folder replaces it.
+ * Folder inputs and drops are not tracked: without a handle, a folder cannot be told apart from another
+ * one with the same name.
+ * @param {FileSystemDirectoryHandle} handle - Folder handle the files were read from
+ * @param {Array<File>} files - Image files of the folder
+ * @returns {Promise<Object>} { statuses, added, changed, removed, firstVisit } where statuses maps a file's
+ *                            relative path to 'new' or 'changed'
+ */
+async function detectFolderChanges(handle, files) {
+    const result = { statuses: new Map(), added: 0, changed: 0, removed: 0, firstVisit: true };
+
+    let previous = null;
+    try {
+        const record = await readFolderRecord();
+        if (await isSameFolder(record?.handle, handle)) previous = record.snapshot;
+    } catch (error) {
+        console.error('Error loading folder snapshot:', error);
+    }
+
+    // Paths below the folder root, so the snapshot survives renaming the folder
+    const current = {};
+    files.forEach(file => {
+        current[getFolderPath(file)] = [file.size, file.lastModified];
+    });
+
+    if (previous) {
+        result.firstVisit = false;
+        files.forEach(file => {
+            const before = previous.files[getFolderPath(file)];
+            if (!before) {
+                result.statuses.set(getFileRelativePath(file), 'new');
+                result.added++;
+            } else if (before[0] !== file.size || before[1] !== file.lastModified) {
+                result.statuses.set(getFileRelativePath(file), 'changed');
+                result.changed++;
+            }
+        });
+        result.removed = Object.keys(previous.files).filter(path => !current[path]).length;
+    }
+
+    let snapshot = { savedAt: new Date().toISOString(), files: current };
+    if (files.length > FOLDER_SNAPSHOT_MAX_FILES) {
+        console.warn(`⚠️ Not saving a snapshot of ${handle.name}: ${files.length} files is more than ${FOLDER_SNAPSHOT_MAX_FILES}`);
+        snapshot = null;
+    }
+    try {
+        await writeFolderRecord({ handle, snapshot });
+    } catch (error) {
+        console.error('Error saving folder snapshot:', error);
+    }
+    return result;
+}
+
+/**
+ * Describe the changes found by detectFolderChanges()
+ * @param {Object} changes - Result of detectFolderChanges()
+ * @returns {string|null} Summary, or null for a folder's first session or when nothing changed
+ */
+function describeFolderChanges(changes) {
+    if (changes.firstVisit) return null;
+    const parts = [];
+    if (changes.added > 0) parts.push(`${changes.added} new`);
+    if (changes.changed > 0) parts.push(`${changes.changed} changed`);
+    if (changes.removed > 0) parts.push(`${changes.removed} removed`);
+    return parts.length > 0 ? `${parts.join(', ')} since the last session` : null;
+}
+
+/**
+ * Write a file into the active folder, creating subfolders as needed
+ * @param {string} path - Path below the folder root
+ * @param {string|Blob} content - File content
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeFolderFile(path, content) {
+    const parts = path.split('/');
+    let directory = activeFolderHandle;
+    for (const name of parts.slice(0, -1)) {
+        directory = await directory.getDirectoryHandle(name, { create: true });
+    }
+    const fileHandle = await directory.getFileHandle(parts[parts.length - 1], { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(content);
+    await writable.close();
+}
+
+/**
+ * Get a file's path below the active folder's root
+ * @private
+ */
+function getFolderPath(file) {
+    return getFileRelativePath(file).split('/').slice(1).join('/');
+}
+
+/**
+ * Check that writing is possible before writing into the active folder
+ * @private
+ */
+async function ensureWritableFolder() {
+    if (!activeFolderHandle) {
+        showNotification('⚠️ Open the folder with "📂 Open Folder (read/write)" to write into it', 'warning');
+        return false;
+    }
+    if (!await ensureFolderPermission(activeFolderHandle, true)) {
+        showNotification('❌ Write access to the folder was not granted', 'error');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Write an XMP sidecar next to every image with generated metadata
+ * Uses the XMP export mapping; images are never modified.
+ * @returns {Promise<number>} Number of sidecars written
+ */
+async function writeXmpSidecarsToFolder() {
+    if (!await ensureWritableFolder()) return 0;
+
+    const settings = loadXmpExportSettings();
+    const prompts = getStoredCustomPrompts();
+    const images = processedImages.filter(Boolean);
+    const sidecarPaths = assignXmpSidecarPaths(images.map(imageData => getFolderPath(imageData.file)));
+    let written = 0;
+    for (const imageData of images) {
+        const fields = collectXmpFields(imageMetadata[imageData.id]?.version1 || {}, prompts, settings);
+        if (fields.length === 0) continue;
+        const packet = buildXmpPacket(fields, settings, 0, await readExistingXmpPacket(imageData.file));
+        await writeFolderFile(sidecarPaths.get(getFolderPath(imageData.file)), packet);
+        written++;
+    }
+
+    if (written === 0) {
+        showNotification('⚠️ No generated metadata to write', 'warning');
+    } else {
+        showNotification(`✅ Wrote ${written} XMP sidecars to ${activeFolderHandle.name}`);
+    }
+    return written;
+}
+
+/**
+ * Write the JSON export into the folder root, with each asset's path in the folder
+ * @returns {Promise<boolean>} True if the manifest was written
+ */
+async function writeManifestToFolder() {
+    if (!await ensureWritableFolder()) return false;
+
+    const files = {};
+    processedImages.filter(Boolean).forEach(imageData => {
+        files[getFolderPath(imageData.file)] = imageData.id;
+    });
+    const manifest = { ...buildJsonExportData(), folder: activeFolderHandle.name, files };
+    await writeFolderFile(FOLDER_MANIFEST_FILENAME, JSON.stringify(manifest, null, 2));
+    showNotification(`✅ Wrote ${FOLDER_MANIFEST_FILENAME} to ${activeFolderHandle.name}`);
+    return true;
+}
+
+/**
+ * Load the images of a folder handle
+ * @param {FileSystemDirectoryHandle} handle - Folder handle with read access
+ * @private
+ */
+async function loadFolderImages(handle) {
+    const files = await readFolderHandleFiles(handle);
+    activeFolderHandle = handle;
+    await loadImageFiles(files);
+    updateFolderAccessControls();
+}
+
+/**
+ * Show the folder buttons that apply to the current state
+ * @param {FileSystemDirectoryHandle|null} rememberedHandle - Handle of an earlier session that can be reopened
+ */
+function updateFolderAccessControls(rememberedHandle = null) {
+    const reopenBtn = document.getElementById('reopenFolderBtn');
+    if (reopenBtn) {
+        reopenBtn.style.display = rememberedHandle && !activeFolderHandle ? 'inline-block' : 'none';
+        if (rememberedHandle) reopenBtn.textContent = `📂 Reopen "${rememberedHandle.name}"`;
+    }
+    document.querySelectorAll('.folder-write-button').forEach(button => {
+        button.style.display = activeFolderHandle ? 'inline-block' : 'none';
+        button.title = activeFolderHandle ? `Writes into "${activeFolderHandle.name}"` : '';
+    });
+}
+
+/**
+ * Forget the folder handle when images come from a folder input or a drop
+ */
+function clearActiveFolderHandle() {
+    activeFolderHandle = null;
+    updateFolderAccessControls();
+}
+
+/**
+ * Initialize the read/write folder buttons, restore the last folder and accept drops
+ */
+async function initializeFolderAccessHandlers() {
+    localStorage.removeItem(LEGACY_FOLDER_SNAPSHOTS_STORAGE_KEY);
+
+    // Drops work in every browser; only folder handles need the File System Access API
+    let dragDepth = 0;
+    document.addEventListener('dragenter', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        dragDepth++;
+        document.body.classList.add('drag-over');
+    });
+    document.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) document.body.classList.remove('drag-over');
+    });
+    document.addEventListener('dragover', (e) => {
+        if (e.dataTransfer?.types.includes('Files')) e.preventDefault();
+    });
+    document.addEventListener('drop', async (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        dragDepth = 0;
+        document.body.classList.remove('drag-over');
+        try {
+            const files = await readDroppedFiles(e.dataTransfer);
+            clearActiveFolderHandle();
+            await loadImageFiles(files);
+        } catch (error) {
+            console.error('Error reading dropped files:', error);
+            showNotification(`❌ Could not read the dropped files: ${error.message}`, 'error');
+        }
+    });
+
+    document.getElementById('writeSidecarsToFolderBtn')?.addEventListener('click', () => {
+        writeXmpSidecarsToFolder().catch(error => {
+            console.error('Error writing sidecars:', error);
+            showNotification(`❌ Could not write sidecars: ${error.message}`, 'error');
+        });
+    });
+    document.getElementById('writeManifestToFolderBtn')?.addEventListener('click', () => {
+        writeManifestToFolder().catch(error => {
+            console.error('Error writing manifest:', error);
+            showNotification(`❌ Could not write the manifest: ${error.message}`, 'error');
+        });
+    });
+
+    const openFolderBtn = document.getElementById('openFolderHandleBtn');
+    if (!openFolderBtn) return;
+    if (!isFolderAccessSupported()) {
+        openFolderBtn.style.display = 'none';
+        return;
+    }
+
+    openFolderBtn.addEventListener('click', async () => {
+        try {
+            const handle = await window.showDirectoryPicker({ id: 'autometadata', mode: 'readwrite' });
+            await saveFolderHandle(handle);
+            await loadFolderImages(handle);
+        } catch (error) {
+            // Closing the picker is not an error
+            if (error.name === 'AbortError') return;
+            console.error('Error opening folder:', error);
+            showNotification(`❌ Could not open the folder: ${error.message}`, 'error');
+        }
+    });
+
+    // A folder from an earlier session loads right away if the browser kept the permission;
+    // otherwise asking again needs a click
+    const rememberedHandle = await loadFolderHandle();
+    if (!rememberedHandle) return;
+    const reopenBtn = document.getElementById('reopenFolderBtn');
+    reopenBtn.addEventListener('click', async () => {
+        try {
+            if (!await ensureFolderPermission(rememberedHandle, true)) {
+                showNotification('❌ Access to the folder was not granted', 'error');
+                return;
+            }
+            await loadFolderImages(rememberedHandle);
+        } catch (error) {
+            console.error('Error reopening folder:', error);
+            showNotification(`❌ Could not reopen the folder: ${error.message}`, 'error');
+        }
+    });
+
+    try {
+        if (await ensureFolderPermission(rememberedHandle)) {
+            await loadFolderImages(rememberedHandle);
+            return;
+        }
+    } catch (error) {
+        // The folder may have been moved or deleted
+        console.warn('⚠️ Could not restore the last folder:', error.message);
+    }
+    updateFolderAccessControls(rememberedHandle);
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FOLDER_MANIFEST_FILENAME,
+        isFolderAccessSupported,
+        saveFolderHandle,
+        loadFolderHandle,
+        ensureFolderPermission,
+        readFolderHandleFiles,
+        readDroppedFiles,
+        detectFolderChanges,
+        describeFolderChanges,
+        writeXmpSidecarsToFolder,
+        writeManifestToFolder,
+        updateFolderAccessControls,
+        clearActiveFolderHandle,
+        initializeFolderAccessHandlers
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.FOLDER_MANIFEST_FILENAME = FOLDER_MANIFEST_FILENAME;
+window.isFolderAccessSupported = isFolderAccessSupported;
+window.saveFolderHandle = saveFolderHandle;
+window.loadFolderHandle = loadFolderHandle;
+window.ensureFolderPermission = ensureFolderPermission;
+window.readFolderHandleFiles = readFolderHandleFiles;
+window.readDroppedFiles = readDroppedFiles;
+window.detectFolderChanges = detectFolderChanges;
+window.describeFolderChanges = describeFolderChanges;
+window.writeXmpSidecarsToFolder = writeXmpSidecarsToFolder;
+window.writeManifestToFolder = writeManifestToFolder;
+window.updateFolderAccessControls = updateFolderAccessControls;
+window.clearActiveFolderHandle = clearActiveFolderHandle;
+window.initializeFolderAccessHandlers = initializeFolderAccessHandlers;
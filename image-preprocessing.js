@@ -0,0 +1,308 @@
+/**
+ * Image Preprocessing Module
+ * Prepares images for upload: downscales to a maximum edge, re-encodes as
+ * JPEG or WebP and converts formats vision APIs reject (SVG, BMP, ICO, TIFF)
+ */
+
+// UTIF 3.1.0, vendored (see vendor/README.md)
+const UTIF_SCRIPT_URL = 'vendor/utif/UTIF.js';
+const UTIF_SCRIPT_INTEGRITY = 'sha384-RyBmXHdfZ/Uon+ud+/AqSyWpUWnKYt2tkRG/P4gWoRUGDU+qIAV3tGBPNlYTBZEF';
+
+// Formats every supported provider accepts as-is
+const UPLOAD_NATIVE_FORMATS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+
+const UPLOAD_MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+// Size used for SVGs without intrinsic dimensions and for display renditions of TIFFs
+const FALLBACK_RASTER_EDGE = 1024;
+
+/**
+ * Read the preprocessing settings from an API configuration
+ * @param {Object} config - MetadataAPI configuration
+ * @returns {Object} Settings with maxImageEdge, imageFormat and imageQuality
+ */
+function getPreprocessSettings(config = {}) {
+    return {
+        maxImageEdge: config.maxImageEdge ?? DEFAULT_CONFIG.maxImageEdge,
+        imageFormat: UPLOAD_MIME_TYPES[config.imageFormat] ? config.imageFormat : DEFAULT_CONFIG.imageFormat,
+        imageQuality: config.imageQuality || DEFAULT_CONFIG.imageQuality
+    };
+}
+
+/**
+ * Compute the decoded size of a base64 data URL
+ * @param {string} dataUrl - Data URL
+ * @returns {number} Size in bytes
+ */
+function dataUrlByteLength(dataUrl) {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+/**
+ * Fit dimensions inside a maximum edge, keeping the aspect ratio
+ * @param {number} width - Original width
+ * @param {number} height - Original height
+ * @param {number} maxEdge - Maximum edge in pixels (0 or less keeps the original size)
+ * @returns {Object} { width, height }
+ */
+function fitToMaxEdge(width, height, maxEdge) {
+    const longestEdge = Math.max(width, height);
+    if (!maxEdge || maxEdge <= 0 || longestEdge <= maxEdge) {
+        return { width, height };
+    }
+    const scale = maxEdge / longestEdge;
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+/**
+ * Load an image element from a URL
+ * @param {string} src - Image URL or data URL
+ * @returns {Promise<HTMLImageElement>} Promise resolving to the loaded image
+ */
+function loadImageElement(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('The browser could not decode this image'));
+        img.src = src;
+    });
+}
+
+/**
+ * Parse the pages of a TIFF file, leaving out reduced-resolution previews
+ * @param {Object} UTIF - UTIF library
+ * @param {ArrayBuffer} buffer - TIFF file contents
+ * @returns {Array<Object>} Image file directories, one per page
+ * @private
+ */
+function getTiffPageIfds(UTIF, buffer) {
+    // NewSubfileType bit 0 marks a thumbnail of another page
+    return UTIF.decode(buffer).filter(ifd => !(ifd.t254 && ifd.t254[0] & 1));
+}
+
+/**
+ * Decode a page of a TIFF file with UTIF
+ * @param {File} file - TIFF file
+ * @param {number} page - Zero-based page index (defaults to the first page)
+ * @returns {Promise<HTMLCanvasElement>} Promise resolving to a canvas holding the image
+ */
+async function decodeTiffToCanvas(file, page = 0) {
+    const UTIF = await loadExternalScript(UTIF_SCRIPT_URL, 'UTIF', { integrity: UTIF_SCRIPT_INTEGRITY });
+    const buffer = await file.arrayBuffer();
+    const ifds = getTiffPageIfds(UTIF, buffer);
+    if (!ifds.length) {
+        throw new Error('TIFF file contains no images');
+    }
+    const ifd = ifds[Math.min(page, ifds.length - 1)];
+
+    UTIF.decodeImage(buffer, ifd);
+    const rgba = UTIF.toRGBA8(ifd);
+    const { width, height } = ifd;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer), width, height), 0, 0);
+    return canvas;
+}
+
+/**
+ * Count the pages of a TIFF file
+ * @param {File} file - TIFF file
+ * @returns {Promise<number>} Promise resolving to the page count (1 when the file cannot be parsed)
+ */
+async function countTiffPages(file) {
+    try {
+        const UTIF = await loadExternalScript(UTIF_SCRIPT_URL, 'UTIF', { integrity: UTIF_SCRIPT_INTEGRITY });
+        return Math.max(1, getTiffPageIfds(UTIF, await file.arrayBuffer()).length);
+    } catch (error) {
+        console.warn(`⚠️ Could not count the pages of ${file.name}:`, error.message);
+        return 1;
+    }
+}
+
+/**
+ * Decode a processed image entry into a drawable source
+ * @param {Object} imageData - Processed image entry (needs file and dataUrl)
+ * @returns {Promise<Object>} Promise resolving to { source, width, height }
+ */
+async function decodeImage(imageData) {
+    const extension = imageData.file.name.split('.').pop().toLowerCase();
+
+    if (extension === 'tif' || extension === 'tiff') {
+        const canvas = await decodeTiffToCanvas(imageData.file);
+        return { source: canvas, width: canvas.width, height: canvas.height };
+    }
+
+    // The browser decodes SVG, BMP and ICO itself; we only need to rasterize them
+    const img = await loadImageElement(imageData.dataUrl);
+    return {
+        source: img,
+        width: img.naturalWidth || FALLBACK_RASTER_EDGE,
+        height: img.naturalHeight || FALLBACK_RASTER_EDGE
+    };
+}
+
+/**
+ * Draw a decoded image onto a canvas of the given size and encode it
+ * @param {CanvasImageSource} source - Decoded image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {string} mimeType - Output MIME type
+ * @param {number} quality - Encoder quality between 0 and 1
+ * @returns {string} Encoded data URL
+ */
+function encodeImage(source, width, height, mimeType, quality) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    if (mimeType === 'image/jpeg') {
+        // JPEG has no alpha channel; flatten transparency onto white instead of black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, width, height);
+    }
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(source, 0, 0, width, height);
+
+    return canvas.toDataURL(mimeType, quality);
+}
+
+/**
+ * Resize and re-encode an image for upload
+ * @param {Object} imageData - Processed image entry from processedImages
+ * @param {Object} settings - Settings from getPreprocessSettings()
+ * @returns {Promise<Object>} Promise resolving to { dataUrl, bytes, originalBytes, width, height, converted }
+ */
+async function preprocessImage(imageData, settings) {
+    const extension = imageData.file.name.split('.').pop().toLowerCase();
+    const isNativeFormat = UPLOAD_NATIVE_FORMATS.includes(extension);
+    const originalBytes = imageData.file.size;
+
+    const decoded = await decodeImage(imageData);
+    const target = fitToMaxEdge(decoded.width, decoded.height, settings.maxImageEdge);
+    const resized = target.width !== decoded.width || target.height !== decoded.height;
+
+    const encodedUrl = encodeImage(
+        decoded.source,
+        target.width,
+        target.height,
+        UPLOAD_MIME_TYPES[settings.imageFormat],
+        settings.imageQuality
+    );
+    const encodedBytes = dataUrlByteLength(encodedUrl);
+
+    // Small images in a supported format may already be smaller than a re-encode
+    if (isNativeFormat && !resized && encodedBytes >= originalBytes) {
+        return {
+            dataUrl: imageData.dataUrl,
+            bytes: originalBytes,
+            originalBytes,
+            width: decoded.width,
+            height: decoded.height,
+            converted: false
+        };
+    }
+
+    return {
+        dataUrl: encodedUrl,
+        bytes: encodedBytes,
+        originalBytes,
+        width: target.width,
+        height: target.height,
+        converted: true
+    };
+}
+
+/**
+ * Get the data URL to upload for an image, preprocessing it on first use
+ * The result is memoized on the image entry until the preprocessing settings change.
+ * @param {Object} imageData - Processed image entry from processedImages
+ * @param {Object} config - MetadataAPI configuration holding the preprocessing settings
+ * @returns {Promise<string|Array<string>>} Promise resolving to the upload data URL, or a video's keyframes or document's pages
+ */
+async function getUploadDataUrl(imageData, config = {}) {
+    if (imageData.video) {
+        return getVideoUploadFrames(imageData, config);
+    }
+    if (imageData.document) {
+        return getDocumentUploadPages(imageData, config);
+    }
+
+    const settings = getPreprocessSettings(config);
+    const settingsKey = JSON.stringify(settings);
+
+    if (!imageData.uploadCache || imageData.uploadCache.settingsKey !== settingsKey) {
+        const promise = preprocessImage(imageData, settings).then(result => {
+            imageData.upload = result;
+            console.log(`🗜️ Prepared ${imageData.file.name}: ${formatFileSize(result.originalBytes)} → ${formatFileSize(result.bytes)} (${result.width} × ${result.height})`);
+            return result;
+        });
+        imageData.uploadCache = { settingsKey, promise };
+    }
+
+    try {
+        const result = await imageData.uploadCache.promise;
+        return result.dataUrl;
+    } catch (error) {
+        imageData.uploadCache = null;
+        const extension = imageData.file.name.split('.').pop().toLowerCase();
+        if (!UPLOAD_NATIVE_FORMATS.includes(extension)) {
+            throw new Error(`Could not convert ${imageData.file.name} for upload: ${error.message}`);
+        }
+        console.warn(`⚠️ Preprocessing failed for ${imageData.file.name}, uploading the original:`, error.message);
+        return imageData.dataUrl;
+    }
+}
+
+/**
+ * Create a displayable rendition of a file the browser cannot show itself (e.g. TIFF)
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} Promise resolving to { dataUrl, width, height } with the original dimensions
+ */
+async function createDisplayRendition(file) {
+    const canvas = await decodeTiffToCanvas(file);
+    const target = fitToMaxEdge(canvas.width, canvas.height, FALLBACK_RASTER_EDGE);
+    return {
+        dataUrl: encodeImage(canvas, target.width, target.height, 'image/jpeg', 0.85),
+        width: canvas.width,
+        height: canvas.height
+    };
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UPLOAD_NATIVE_FORMATS,
+        getPreprocessSettings,
+        dataUrlByteLength,
+        fitToMaxEdge,
+        encodeImage,
+        decodeTiffToCanvas,
+        countTiffPages,
+        preprocessImage,
+        getUploadDataUrl,
+        createDisplayRendition
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.UPLOAD_NATIVE_FORMATS = UPLOAD_NATIVE_FORMATS;
+window.getPreprocessSettings = getPreprocessSettings;
+window.dataUrlByteLength = dataUrlByteLength;
+window.fitToMaxEdge = fitToMaxEdge;
+window.encodeImage = encodeImage;
+window.decodeTiffToCanvas = decodeTiffToCanvas;
+window.countTiffPages = countTiffPages;
+window.preprocessImage = preprocessImage;
+window.getUploadDataUrl = getUploadDataUrl;
+window.createDisplayRendition = createDisplayRendition;
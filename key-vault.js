@@ -0,0 +1,188 @@
+/**
+ * Key Vault Module
+ * Keeps API credentials out of plain localStorage. Credentials are either held
+ * in memory for the current session only, or encrypted with a user passphrase
+ * (PBKDF2 + AES-GCM via WebCrypto) before they are persisted.
+ */
+
+const KEY_VAULT_STORAGE_KEY = 'metadataApiKeyVault';
+
+const KEY_STORAGE_MODES = {
+    session: 'This session only (not saved)',
+    vault: 'Saved, encrypted with a passphrase'
+};
+
+// OWASP recommendation for PBKDF2-HMAC-SHA256
+const KEY_VAULT_ITERATIONS = 310000;
+
+/**
+ * Check whether the browser can encrypt credentials
+ * WebCrypto is only available in secure contexts (https, localhost or file pages).
+ * @returns {boolean} True if SubtleCrypto is available
+ */
+function isKeyVaultSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * Encode bytes as base64
+ * @private
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @private
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ * @private
+ */
+async function deriveVaultKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt credentials with a passphrase
+ * @param {Object} secrets - Credentials to protect (e.g., { apiKey })
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} Vault record with the KDF parameters, IV and ciphertext (all base64)
+ */
+async function encryptSecrets(secrets, passphrase) {
+    if (!isKeyVaultSupported()) {
+        throw new Error('Encryption is not available in this browser context (needs https or localhost)');
+    }
+    if (!passphrase) {
+        throw new Error('Enter a passphrase to encrypt the API key');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveVaultKey(passphrase, salt, KEY_VAULT_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(secrets)));
+
+    return {
+        version: 1,
+        kdf: 'PBKDF2-SHA256',
+        iterations: KEY_VAULT_ITERATIONS,
+        salt: bytesToBase64(salt),
+        iv: bytesToBase64(iv),
+        ciphertext: bytesToBase64(ciphertext),
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Decrypt credentials with a passphrase
+ * @param {Object} record - Vault record from encryptSecrets()
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} The decrypted credentials
+ */
+async function decryptSecrets(record, passphrase) {
+    if (!isKeyVaultSupported()) {
+        throw new Error('Encryption is not available in this browser context (needs https or localhost)');
+    }
+
+    const key = await deriveVaultKey(passphrase, base64ToBytes(record.salt), record.iterations || KEY_VAULT_ITERATIONS);
+    try {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.iv) }, key, base64ToBytes(record.ciphertext));
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+        // AES-GCM authentication fails the same way for a wrong passphrase and a tampered record
+        throw new Error('Wrong passphrase or damaged key vault');
+    }
+}
+
+/**
+ * Load the encrypted vault record
+ * @returns {Object|null} Vault record, or null if none is saved
+ */
+function loadKeyVault() {
+    try {
+        const record = JSON.parse(localStorage.getItem(KEY_VAULT_STORAGE_KEY));
+        return record && record.ciphertext ? record : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Save an encrypted vault record
+ * @param {Object} record - Vault record from encryptSecrets()
+ */
+function saveKeyVault(record) {
+    localStorage.setItem(KEY_VAULT_STORAGE_KEY, JSON.stringify(record));
+}
+
+/**
+ * Delete the encrypted vault record
+ */
+function clearKeyVault() {
+    localStorage.removeItem(KEY_VAULT_STORAGE_KEY);
+}
+
+/**
+ * Check whether an encrypted vault record is saved
+ * @returns {boolean} True if a vault exists
+ */
+function hasKeyVault() {
+    return loadKeyVault() !== null;
+}
+
+/**
+ * Remove a plaintext API key from a stored configuration
+ * Older versions saved the key in localStorage['metadataApiConfig'] as plain text.
+ * @param {Object} storedConfig - Parsed configuration from localStorage
+ * @returns {Object} { config, apiKey } with the key removed from config; apiKey is the migrated key,
+ *                   or null when there was none or it was still a placeholder
+ */
+function extractPlaintextApiKey(storedConfig) {
+    const { apiKey, ...config } = storedConfig || {};
+    const isRealKey = typeof apiKey === 'string' && apiKey.trim() !== '' && !apiKey.includes('your-');
+    return { config, apiKey: isRealKey ? apiKey.trim() : null };
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        KEY_VAULT_STORAGE_KEY,
+        KEY_STORAGE_MODES,
+        isKeyVaultSupported,
+        encryptSecrets,
+        decryptSecrets,
+        loadKeyVault,
+        saveKeyVault,
+        clearKeyVault,
+        hasKeyVault,
+        extractPlaintextApiKey
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.KEY_VAULT_STORAGE_KEY = KEY_VAULT_STORAGE_KEY;
+window.KEY_STORAGE_MODES = KEY_STORAGE_MODES;
+window.isKeyVaultSupported = isKeyVaultSupported;
+window.encryptSecrets = encryptSecrets;
+window.decryptSecrets = decryptSecrets;
+window.loadKeyVault = loadKeyVault;
+window.saveKeyVault = saveKeyVault;
+window.clearKeyVault = clearKeyVault;
+window.hasKeyVault = hasKeyVault;
+window.extractPlaintextApiKey = extractPlaintextApiKey;
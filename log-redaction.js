@@ -0,0 +1,105 @@
+/**
+ * Log Redaction Module
+ * Strips credentials and image data from diagnostic output, so the devtools
+ * console can be shared during support calls without leaking secrets or
+ * customer images
+ */
+
+const SECRET_HEADER_NAMES = ['authorization', 'x-api-key', 'x-goog-api-key', 'api-key'];
+
+const REDACTED = '[REDACTED]';
+
+// Key-like values that should never reach a log even when they are not the configured key
+const SECRET_PATTERNS = [
+    /\bsk-[A-Za-z0-9_-]{10,}/g,
+    /\bAIza[0-9A-Za-z_-]{20,}/g,
+    /(\bBearer\s+)[^\s"'\\]+/gi,
+    /([?&](?:key|api[-_]?key|access_token|token|sig)=)[^&\s"'\\]+/gi
+];
+
+/**
+ * Describe a payload size in KB
+ * @private
+ */
+function describeRedactedSize(text) {
+    return `${Math.max(1, Math.round(text.length * 3 / 4 / 1024))} KB`;
+}
+
+/**
+ * Replace secrets in a piece of text
+ * @param {string} text - Text to clean
+ * @param {Array<string>} secrets - Known secret values (e.g., the configured API key)
+ * @returns {string} Text with secrets replaced by [REDACTED]
+ */
+function redactText(text, secrets = []) {
+    let result = String(text ?? '');
+    secrets
+        .filter(secret => typeof secret === 'string' && secret.length >= 4)
+        .forEach(secret => {
+            result = result.split(secret).join(REDACTED);
+        });
+    SECRET_PATTERNS.forEach(pattern => {
+        result = result.replace(pattern, (match, prefix) => (typeof prefix === 'string' ? prefix : '') + REDACTED);
+    });
+    return result;
+}
+
+/**
+ * Copy request headers with authentication values hidden
+ * @param {Object} headers - Request headers
+ * @returns {Object} Headers safe to log
+ */
+function redactHeaders(headers = {}) {
+    const redacted = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        redacted[name] = SECRET_HEADER_NAMES.includes(name.toLowerCase()) && value ? REDACTED : value;
+    });
+    return redacted;
+}
+
+/**
+ * Copy a request payload with image data replaced by a size note
+ * Handles data URLs (OpenAI-style image_url) and bare base64 blocks (Anthropic and Gemini).
+ * @param {*} value - Payload or any part of it
+ * @param {Array<string>} secrets - Known secret values to hide in strings
+ * @returns {*} Payload safe to log
+ */
+function redactPayload(value, secrets = []) {
+    if (typeof value === 'string') {
+        const dataUrl = /^data:([^;,]+)(?:;[^,]*)?;base64,/.exec(value);
+        if (dataUrl) {
+            return `data:${dataUrl[1]};base64,[${describeRedactedSize(value)} image redacted]`;
+        }
+        if (value.length > 256 && /^[A-Za-z0-9+/=\s]+$/.test(value)) {
+            return `[${describeRedactedSize(value)} binary redacted]`;
+        }
+        return redactText(value, secrets);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactPayload(item, secrets));
+    }
+    if (value && typeof value === 'object') {
+        const redacted = {};
+        Object.entries(value).forEach(([key, item]) => {
+            redacted[key] = redactPayload(item, secrets);
+        });
+        return redacted;
+    }
+    return value;
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SECRET_HEADER_NAMES,
+        redactText,
+        redactHeaders,
+        redactPayload
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.SECRET_HEADER_NAMES = SECRET_HEADER_NAMES;
+window.redactText = redactText;
+window.redactHeaders = redactHeaders;
+window.redactPayload = redactPayload;
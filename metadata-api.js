@@ -3,32 +3,66 @@
  * Automatically generates title, description, and tags for images using AI services
  */
 
+// Temperature of the extra samples drawn for self-consistency confidence scoring
+const SAMPLE_TEMPERATURE = 0.8;
+
 class MetadataAPI {
     constructor() {
+        this.rateLimiter = null;
+        this.responseCache = null;
+        this.requestInspector = null;
+        this.circuitBreaker = new CircuitBreaker();
+
         // Configuration - Update these URLs with your actual API endpoints
         this.config = {
+            provider: 'azure-openai', // Provider adapter id, see providers.js
             openaiUrl: 'https://your-openai-api-endpoint.com/analyze',
-            llamaUrl: 'https://your-llama-api-endpoint.com/analyze',
             apiKey: '', // Set your API key here
             timeout: 30000, // 30 seconds timeout
-            retryAttempts: 3
+            retryAttempts: 3,
+            retryBaseDelayMs: 1000, // First backoff delay when the server gives no Retry-After hint
+            retryMaxDelayMs: 60000 // Upper bound for any single retry delay
         };
     }
 
     /**
      * Set API configuration
      * @param {Object} config - Configuration object
+     * @param {string} config.provider - Provider adapter id (e.g., 'azure-openai', 'openai', 'openai-compatible')
      * @param {string} config.openaiUrl - AI API endpoint URL
-     * @param {string} config.llamaUrl - Llama API endpoint URL
      * @param {string} config.apiKey - API key for authentication
      */
     setConfig(config) {
         this.config = { ...this.config, ...config };
     }
 
+    /**
+     * Set a rate limiter that every outgoing request waits on
+     * @param {Object|null} rateLimiter - Object with an acquire(signal) method returning a Promise, or null to remove it
+     */
+    setRateLimiter(rateLimiter) {
+        this.rateLimiter = rateLimiter;
+    }
+
+    /**
+     * Set the cache that successful responses are stored in and served from
+     * @param {ResponseCache|null} responseCache - Cache instance, or null to disable caching
+     */
+    setResponseCache(responseCache) {
+        this.responseCache = responseCache;
+    }
+
+    /**
+     * Set the inspector that every API call is recorded in
+     * @param {RequestInspector|null} requestInspector - Inspector instance, or null to stop recording
+     */
+    setRequestInspector(requestInspector) {
+        this.requestInspector = requestInspector;
+    }
+
     /**
      * Generate metadata for an image using AI
-     * @param {string} imageUrl - URL or base64 data of the image
+     * @param {string|Array<string>} imageUrl - URL or base64 data of the image, or a video's keyframes or document's pages
      * @param {Object} imageInfo - Additional image information
      * @param {number} imageInfo.width - Image width in pixels
      * @param {number} imageInfo.height - Image height in pixels
@@ -36,135 +70,455 @@ class MetadataAPI {
      * @param {number} imageInfo.size - File size in bytes
      * @param {string} imageInfo.filename - Original filename
      * @param {string} property - Optional specific property to generate (e.g., 'title', 'description', 'keywords')
-     * @returns {Promise<Object>} Promise resolving to metadata object
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Optional signal that cancels the request
+     * @param {string} options.imageHash - Content hash of the image; enables the response cache
+     * @param {boolean} options.forceRegenerate - Skip cached responses (fresh results are still cached)
+     * @param {Function} options.onText - Called with the text received so far when streaming is enabled
+     * @param {Array} options.examples - Reference example turns sent before the question
+     * @returns {Promise<Object>} Promise resolving to metadata object with usage and processing_time (ms);
+     *                            cached: true when served from the cache
      */
-    async generateAIMetadata(imageUrl, imageInfo, property = null) {
-        return this.callAPI('openai', imageUrl, imageInfo, property);
+    async generateAIMetadata(imageUrl, imageInfo, property = null, options = {}) {
+        return this.callAPI(this.buildRequest(imageUrl, property, null, imageInfo, options.examples), property, options);
     }
 
     /**
      * Generate metadata for a specific property using custom prompt
-     * @param {string} imageUrl - URL or base64 data of the image
+     * @param {string|Array<string>} imageUrl - URL or base64 data of the image, or a video's keyframes or document's pages
      * @param {Object} imageInfo - Additional image information
      * @param {string} property - Property name (e.g., 'title', 'description', 'keywords')
      * @param {string} customPrompt - Custom prompt for this property
+     * @param {Object} options - Request options (see generateAIMetadata)
+     * @param {Object} options.schema - The property's schema, passed along as request context
      * @returns {Promise<Object>} Promise resolving to metadata object
      */
-    async generateCustomPropertyMetadata(imageUrl, imageInfo, property, customPrompt) {
-        return this.callAPI('openai', imageUrl, imageInfo, property, customPrompt);
+    async generateCustomPropertyMetadata(imageUrl, imageInfo, property, customPrompt, options = {}) {
+        const request = this.buildRequest(imageUrl, property, customPrompt, imageInfo, options.examples);
+        request.context.schema = options.schema;
+        return this.callAPI(request, property, options);
     }
 
     /**
-     * Generate metadata for an image using Llama
-     * @param {string} imageUrl - URL or base64 data of the image
+     * Ask again for a property whose previous answer failed validation
+     * The previous answer and the validation error are sent back as a follow-up turn.
+     * @param {string|Array<string>} imageUrl - URL or base64 data of the image, or a video's keyframes or document's pages
      * @param {Object} imageInfo - Additional image information
+     * @param {string} property - Property name
+     * @param {string} customPrompt - Prompt the previous answer was generated with
+     * @param {string} previousAnswer - The invalid answer
+     * @param {string} validationError - Why the answer is invalid
+     * @param {Object} options - Request options (see generateCustomPropertyMetadata)
      * @returns {Promise<Object>} Promise resolving to metadata object
      */
-    async generateLlamaMetadata(imageUrl, imageInfo) {
-        return this.callAPI('llama', imageUrl, imageInfo);
+    async generateRepairedPropertyMetadata(imageUrl, imageInfo, property, customPrompt, previousAnswer, validationError, options = {}) {
+        const request = this.buildRequest(imageUrl, property, customPrompt, imageInfo, options.examples);
+        request.context.schema = options.schema;
+        request.messages.push(
+            { role: 'assistant', text: previousAnswer, images: [] },
+            {
+                role: 'user',
+                text: `That answer is invalid: ${validationError}\nAnswer again following the required format exactly. Return only the value.`,
+                images: []
+            }
+        );
+        return this.callAPI(request, property, options);
     }
 
     /**
-     * Generate metadata using both AI and Llama
-     * @param {string} imageUrl - URL or base64 data of the image
+     * Generate several custom prompt properties with a single structured request
+     * @param {string|Array<string>} imageUrl - URL or base64 data of the image, or a video's keyframes or document's pages
      * @param {Object} imageInfo - Additional image information
-     * @returns {Promise<Object>} Promise resolving to object with both metadata sets
+     * @param {Array} promptConfigs - Custom prompt objects ({ property, prompt, schema })
+     * @param {string} combinedPrompt - Final prompt text, usually buildCombinedPrompt() wrapped with the image info
+     * @param {Object} options - Request options (see generateAIMetadata)
+     * @returns {Promise<Object>} Promise resolving to { values, missing, cached, usage, latencyMs, error, errorKind }
+     *                            where missing lists the properties that came back absent or invalid
      */
-    async generateBothMetadata(imageUrl, imageInfo) {
+    async generateCombinedMetadata(imageUrl, imageInfo, promptConfigs, combinedPrompt, options = {}) {
+        const properties = promptConfigs.map(p => p.property);
+        const request = this.buildRequest(imageUrl, null, combinedPrompt, imageInfo, options.examples);
+        request.responseSchema = this.buildCombinedSchema(promptConfigs);
+        request.context.schemas = Object.fromEntries(promptConfigs.map(p => [p.property, p.schema]));
+
         try {
-            const [aiResult, llamaResult] = await Promise.allSettled([
-                this.generateAIMetadata(imageUrl, imageInfo),
-                this.generateLlamaMetadata(imageUrl, imageInfo)
-            ]);
-
-            return {
-                ai: aiResult.status === 'fulfilled' ? aiResult.value : this.getErrorMetadata('AI API failed'),
-                llama: llamaResult.status === 'fulfilled' ? llamaResult.value : this.getErrorMetadata('Llama API failed')
-            };
+            const { parsed, cached, latencyMs } = await this.sendRequest(request, properties.join(', '), options);
+            const separators = {};
+            promptConfigs.forEach(p => {
+                separators[p.property] = normalizePropertySchema(p.schema).separator;
+            });
+            return { ...this.parseCombinedResponse(parsed.content, properties, separators), cached, usage: parsed.usage, latencyMs };
         } catch (error) {
-            console.error('Error generating metadata:', error);
-            return {
-                ai: this.getErrorMetadata('AI API failed'),
-                llama: this.getErrorMetadata('Llama API failed')
-            };
+            if (error.name === 'AbortError' && options.signal?.aborted) {
+                throw error;
+            }
+            console.error('Combined metadata request failed:', error.message);
+            return { values: {}, missing: properties, error: error.message, errorKind: error.kind };
         }
     }
 
     /**
-     * Internal method to call the API
+     * Ask the model how confident it is in each generated value
+     * @param {string|Array<string>} imageUrl - URL or base64 data of the image, or a video's keyframes or document's pages
+     * @param {Object} imageInfo - Additional image information
+     * @param {Array<string>} properties - Properties to rate
+     * @param {string} ratingPrompt - Final prompt text, usually buildConfidenceRatingPrompt() wrapped with the image info
+     * @param {Object} options - Request options (see generateAIMetadata)
+     * @returns {Promise<Object>} Promise resolving to { ratings, cached, usage, latencyMs, error } where ratings
+     *                            maps each property to a score from 0 to 1 (null when the model gave none)
+     */
+    async generateConfidenceRatings(imageUrl, imageInfo, properties, ratingPrompt, options = {}) {
+        const request = this.buildRequest(imageUrl, null, ratingPrompt, imageInfo);
+        request.responseSchema = {
+            type: 'object',
+            properties: Object.fromEntries(properties.map(property => [property, { type: 'number' }])),
+            required: properties,
+            additionalProperties: false
+        };
+
+        try {
+            const { parsed, cached, latencyMs } = await this.sendRequest(request, 'confidence', options);
+            let data = {};
+            try {
+                data = JSON.parse((parsed.content || '').replace(/```json\n?|\n?```/g, '').trim()) || {};
+            } catch (parseError) {
+                // Not valid JSON: leave the values unscored
+            }
+
+            const keysByLowerCase = {};
+            Object.keys(data).forEach(key => {
+                keysByLowerCase[key.toLowerCase()] = key;
+            });
+            const ratings = {};
+            properties.forEach(property => {
+                const key = property in data ? property : keysByLowerCase[property.toLowerCase()];
+                ratings[property] = key !== undefined ? normalizeConfidenceRating(data[key]) : null;
+            });
+            return { ratings, cached, usage: parsed.usage, latencyMs };
+        } catch (error) {
+            if (error.name === 'AbortError' && options.signal?.aborted) {
+                throw error;
+            }
+            console.error('Confidence rating request failed:', error.message);
+            return { ratings: {}, error: error.message, errorKind: error.kind };
+        }
+    }
+
+    /**
+     * Internal method to call the API through the configured provider adapter
+     * @param {Object} request - Provider-neutral request built by buildRequest()
+     * @param {string} property - Property being generated (shown in the request inspector)
+     * @param {Object} options - Request options (see sendRequest)
      * @private
      */
-    async callAPI(provider, imageUrl, imageInfo, property = null, customPrompt = null) {
-        if (provider !== 'openai') {
-            console.warn(`Provider ${provider} not supported with Azure AI`);
-            return this.getDefaultMetadata();
+    async callAPI(request, property = null, options = {}) {
+        try {
+            const { parsed, raw, cached, latencyMs } = await this.sendRequest(request, property, options);
+            const result = this.parseAIResponse(parsed, raw, property);
+            result.usage = parsed.usage;
+            result.processing_time = latencyMs;
+            if (cached) {
+                result.cached = true;
+            }
+            return result;
+        } catch (error) {
+            if (error.name === 'AbortError' && options.signal?.aborted) {
+                throw error;
+            }
+            return this.getErrorMetadata(error.message, error.kind);
         }
+    }
 
-        // Build Azure AI URL: $OPEN_API_URL/openai/deployments/$OPENAI_DEPLOYMENT/chat/completions?api-version=$OPENAI_API_VERSION
-        const baseUrl = this.config.openaiUrl || this.config.openApiUrl;
-        const deployment = this.config.deployment;
-        const apiVersion = this.config.apiVersion;
-        
-        if (!baseUrl || !deployment || !apiVersion || baseUrl.includes('your-')) {
-            console.warn(`Azure AI configuration incomplete`);
-            return this.getDefaultMetadata();
+    /**
+     * Send a request through the configured provider adapter, retrying on failure
+     * @param {Object} request - Provider-neutral request built by buildRequest()
+     * @param {string} label - What is being generated (shown in the request inspector)
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Optional signal that cancels the request and any retries
+     * @param {string} options.imageHash - Content hash of the image; enables the response cache
+     * @param {boolean} options.forceRegenerate - Skip cached responses (fresh results are still cached)
+     * @param {Function} options.onText - Called with the text received so far while a streamed response arrives
+     * @param {number} options.sampleIndex - Draw independent sample n (1, 2, ...) of the request at a higher
+     *                                       temperature; each sample is cached separately
+     * @returns {Promise<Object>} Promise resolving to { parsed, raw, cached, latencyMs } with the adapter's
+     *                            normalized response, the raw JSON body and the successful attempt's latency; rejects with a classified ApiError once all attempts
+     *                            have failed or the error is not retryable
+     * @private
+     */
+    async sendRequest(request, label = null, options = {}) {
+        if (options.sampleIndex) {
+            request = { ...request, temperature: SAMPLE_TEMPERATURE, sampleIndex: options.sampleIndex };
+        }
+
+        // Every call, including cached and failed ones, is recorded for the request inspector
+        const trace = this.requestInspector?.begin(request, label, this.config) || null;
+        try {
+            const result = await this.dispatchRequest(request, options, trace);
+            this.requestInspector?.finish(trace, result, this.getSecrets());
+            return result;
+        } catch (error) {
+            this.requestInspector?.fail(trace, error, this.getSecrets());
+            throw error;
+        }
+    }
+
+    /**
+     * Send a request through the provider adapter, serving it from the cache or retrying as needed
+     * @param {Object} request - Provider-neutral request
+     * @param {Object} options - Request options (see sendRequest)
+     * @param {Object|null} trace - Request inspector entry the request and its attempts are recorded in
+     * @returns {Promise<Object>} Promise resolving to { parsed, raw, cached, latencyMs }
+     * @private
+     */
+    async dispatchRequest(request, options, trace) {
+        const configurationError = this.getConfigurationError();
+        if (configurationError) {
+            console.error(`🚫 ${configurationError}`);
+            throw new ApiError(configurationError, { kind: API_ERROR_KINDS.CONFIG });
         }
+        const adapter = getProviderAdapter(this.config.provider || DEFAULT_PROVIDER);
+        const streaming = !!(this.config.streaming && adapter.parseStreamChunk);
 
-        const url = `${baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
-        const payload = this.buildAzureAIPayload(imageUrl, imageInfo, property, customPrompt);
+        const url = adapter.buildUrl(this.config, { stream: streaming });
+        const headers = adapter.buildHeaders(this.config);
+        const payload = adapter.buildPayload(streaming ? { ...request, stream: true } : request, this.config);
+        this.requestInspector?.recordRequest(trace, { url, headers, payload, streaming }, this.getSecrets());
         
-        let lastError;
-        for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
-            try {
-                console.log(`Calling Azure AI API (attempt ${attempt}/${this.config.retryAttempts})`);
+        const { signal } = options;
+        
+        // Serve unchanged image + request combinations from the cache
+        let cacheKey = null;
+        if (this.responseCache && options.imageHash) {
+            cacheKey = await buildResponseCacheKey(options.imageHash, request, this.config);
+            if (!options.forceRegenerate) {
+                const cachedResponse = await this.responseCache.get(cacheKey);
+                if (cachedResponse) {
+                    return { ...cachedResponse, cached: true, latencyMs: 0 };
+                }
+            }
+        }
+        
+        // Fail fast while the endpoint is considered down; after the cooldown a single trial request goes through
+        const access = this.circuitBreaker.acquire();
+        if (!access) {
+            throw new ApiError(`${adapter.label} endpoint appears to be down; requests are paused after repeated failures`, {
+                kind: API_ERROR_KINDS.CIRCUIT_OPEN
+            });
+        }
+        
+        try {
+            let lastError;
+            for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
+                if (signal?.aborted) {
+                    throw new DOMException('Request cancelled', 'AbortError');
+                }
+            
+                // Wait for a slot when a batch run has set a requests-per-minute limit
+                if (this.rateLimiter) {
+                    await this.rateLimiter.acquire(signal);
+                }
+            
+                // The timeout covers the wait for the response and, when streaming, each gap between chunks
+                const controller = new AbortController();
+                let timedOut = false;
+                let timeoutId = null;
+                const armTimeout = () => {
+                    clearTimeout(timeoutId);
+                    timeoutId = setTimeout(() => {
+                        timedOut = true;
+                        controller.abort();
+                    }, this.config.timeout);
+                };
+                armTimeout();
+                const abortFromCaller = () => controller.abort();
+                signal?.addEventListener('abort', abortFromCaller);
+            
+                const startedAt = performance.now();
+                try {
+                    // Adapters with their own transport (e.g. the offline mock) answer without fetch()
+                    const response = adapter.send
+                        ? await adapter.send(payload, this.config, controller.signal)
+                        : await fetch(url, {
+                            method: 'POST',
+                            headers: headers,
+                            body: JSON.stringify(payload),
+                            signal: controller.signal
+                        });
+
+                    if (!response.ok) {
+                        const errorText = await response.text();
+                        throw createHttpApiError(response, errorText);
+                    }
+
+                    let parsed;
+                    let result;
+                    if (streaming) {
+                        armTimeout();
+                        parsed = await this.readStreamedResponse(response, adapter, armTimeout, options.onText);
+                        // Streams have no single response body; keep the assembled answer instead
+                        result = { streamed: true, ...parsed };
+                    } else {
+                        result = await response.json();
+                        parsed = adapter.parseResponse(result);
+                    }
+                    const latencyMs = Math.round(performance.now() - startedAt);
+                    if (!parsed.content && isContentFilterFinish(parsed.finishReason)) {
+                        throw new ApiError(`Response blocked by content filter (${parsed.finishReason})`, {
+                            kind: API_ERROR_KINDS.CONTENT_FILTER
+                        });
+                    }
+
+                    this.circuitBreaker.recordSuccess();
+                    this.requestInspector?.recordAttempt(trace, { attempt, latencyMs }, this.getSecrets());
+                    if (cacheKey && parsed.content) {
+                        await this.responseCache.put(cacheKey, { parsed, raw: result });
+                    }
+                    return { parsed, raw: result, cached: false, latencyMs };
+
+                } catch (error) {
+                    // Cancelled by the caller: do not retry
+                    if (signal?.aborted) {
+                        throw new DOMException('Request cancelled', 'AbortError');
+                    }
                 
-                // Log the equivalent curl command for verification
-                this.logCurlCommand(url, payload);
+                    lastError = toApiError(error, timedOut);
+                    this.circuitBreaker.recordFailure(lastError.kind);
+                    this.requestInspector?.recordAttempt(trace, {
+                        attempt,
+                        latencyMs: Math.round(performance.now() - startedAt),
+                        error: lastError
+                    }, this.getSecrets());
                 
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+                    // Auth, bad request and content filter errors will fail the same way again
+                    if (!isRetryableError(lastError.kind) || this.circuitBreaker.isOpen()) {
+                        break;
+                    }
                 
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': this.config.apiKey ? `Bearer ${this.config.apiKey}` : ''
-                    },
-                    body: JSON.stringify(payload),
-                    signal: controller.signal
-                });
-
-                clearTimeout(timeoutId);
-
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
+                    if (attempt < this.config.retryAttempts) {
+                        const delay = computeRetryDelay(attempt, lastError, this.config);
+                        await sleepWithSignal(delay, signal);
+                    }
+                } finally {
+                    clearTimeout(timeoutId);
+                    signal?.removeEventListener('abort', abortFromCaller);
                 }
+            }
 
-                const result = await response.json();
-                return this.parseAzureAIResponse(result);
+            // All attempts failed, or the error is not retryable
+            console.error(`${adapter.label} API failed [${lastError.kind}]:`, redactText(lastError.message, this.getSecrets()));
+            throw new ApiError(`${adapter.label} API failed: ${lastError.message}`, lastError);
+        } finally {
+            // A trial that neither succeeded nor failed against the endpoint lets the next request try
+            if (access === 'trial') this.circuitBreaker.releaseTrial();
+        }
+    }
 
-            } catch (error) {
-                lastError = error;
-                console.error(`Azure AI API attempt ${attempt} failed:`, error.message);
-                
-                if (attempt < this.config.retryAttempts) {
-                    // Wait before retry (exponential backoff)
-                    await this.wait(1000 * Math.pow(2, attempt - 1));
+    /**
+     * Assemble a streamed response from its server-sent events
+     * @param {Response} response - Successful streaming response
+     * @param {Object} adapter - Provider adapter implementing parseStreamChunk()
+     * @param {Function} onChunk - Called for every event (re-arms the request timeout)
+     * @param {Function} onText - Optional; called with the text received so far
+     * @returns {Promise<Object>} Promise resolving to a normalized response, like parseResponse()
+     * @private
+     */
+    async readStreamedResponse(response, adapter, onChunk, onText) {
+        let content = '';
+        let usage = null;
+        let finishReason = null;
+
+        await readEventStream(response, data => {
+            onChunk();
+            if (data.trim() === '[DONE]') return;
+
+            const chunk = adapter.parseStreamChunk(JSON.parse(data));
+            if (chunk.usage) {
+                usage = {
+                    promptTokens: chunk.usage.promptTokens || usage?.promptTokens || 0,
+                    completionTokens: chunk.usage.completionTokens || usage?.completionTokens || 0
+                };
+            }
+            if (chunk.finishReason) {
+                finishReason = chunk.finishReason;
+            }
+            if (chunk.text) {
+                content += chunk.text;
+                if (onText) {
+                    onText(content);
                 }
             }
+        });
+
+        return { content: content || null, usage, finishReason };
+    }
+
+    /**
+     * Describe what is wrong with the provider configuration
+     * @returns {string|null} Error message, or null when the selected provider is fully configured
+     */
+    getConfigurationError() {
+        const providerId = this.config.provider || DEFAULT_PROVIDER;
+        const adapter = getProviderAdapter(providerId);
+        if (!adapter) {
+            return `Provider '${providerId}' is not registered`;
         }
 
-        // All attempts failed
-        console.error(`Azure AI API failed after ${this.config.retryAttempts} attempts:`, lastError.message);
-        return this.getErrorMetadata(`Azure AI API failed: ${lastError.message}`);
+        const missingFields = getMissingProviderFields(adapter, this.config);
+        if (missingFields.length > 0) {
+            return `${adapter.label} configuration incomplete: missing ${missingFields.join(', ')}. Open the API settings to complete it, or select the Mock (offline) provider.`;
+        }
+        return null;
     }
 
     /**
-     * Build the Azure AI API payload
+     * Build a provider-neutral request for an image and prompt
+     * @param {string|Array<string>} imageUrl - URL or base64 data of the image, or a video's keyframes or document's pages
+     * @param {string} property - Optional property being generated
+     * @param {string} customPrompt - Optional custom prompt text
+     * @param {Object} imageInfo - Optional image information, passed along as request context
+     * @param {Array} examples - Reference example turns to send before the question (see prompt-examples.js)
+     * @returns {Object} Neutral request consumed by the provider adapters
      * @private
      */
-    buildAzureAIPayload(imageUrl, imageInfo, property = null, customPrompt = null) {
+    buildRequest(imageUrl, property = null, customPrompt = null, imageInfo = null, examples = []) {
+        const prompt = this.buildPrompt(property, customPrompt);
+        return {
+            messages: [
+                ...examples,
+                {
+                    role: 'user',
+                    // The keyframes of a video or pages of a document go in one message, introduced as parts of a single asset
+                    text: Array.isArray(imageUrl) ? `${this.buildMultiImageNote(imageInfo, imageUrl.length)}\n\n${prompt}` : prompt,
+                    images: Array.isArray(imageUrl) ? imageUrl : [imageUrl]
+                }
+            ],
+            maxTokens: this.config.maxTokens ?? 4096,
+            temperature: this.config.temperature ?? 0.1,
+            topP: 1,
+            imageDetail: this.config.imageDetail,
+            context: { property, imageInfo }
+        };
+    }
+
+    /**
+     * Build the note that introduces the images of a video or document request
+     * @param {Object} imageInfo - Image information from buildImageInfo()
+     * @param {number} imageCount - Number of images in the request
+     * @returns {string} Instruction placed ahead of the prompt
+     */
+    buildMultiImageNote(imageInfo, imageCount) {
+        return imageInfo?.media_type === 'document'
+            ? buildDocumentPagesNote(imageInfo, imageCount)
+            : buildVideoFramesNote(imageInfo, imageCount);
+    }
+
+    /**
+     * Resolve the final prompt text, including the brand prompt
+     * @param {string} property - Optional property being generated
+     * @param {string} customPrompt - Optional prompt text (already rendered for the asset)
+     * @returns {string} Prompt text as sent to the model
+     */
+    buildPrompt(property = null, customPrompt = null) {
         // Use custom prompt for specific property, or fall back to default
         let prompt;
         
@@ -200,52 +554,111 @@ RULES:
 Return in pretty-print JSON format. Do not add Markdown or code block formatting. Use exactly these keys: 'Title' (string), 'Description' (string), and 'Keywords' (string containing a comma-separated list of tags`;
         }
 
-        // Prepend brand prompt if it exists
+        // Prepend brand prompt if it exists, unless a prompt template already placed it with {{brand}}
         const brandPrompt = this.getBrandPrompt();
-        if (brandPrompt && brandPrompt.trim()) {
+        if (brandPrompt && brandPrompt.trim() && !prompt.includes(brandPrompt.trim())) {
             // Ensure brand prompt ends with a newline if it doesn't already
             const formattedBrandPrompt = brandPrompt.trim().endsWith('\n') ? brandPrompt.trim() : brandPrompt.trim() + '\n';
             prompt = formattedBrandPrompt + '\n' + prompt;
-            console.log('🏷️ Prepended brand prompt to custom prompt');
         }
 
+        return prompt;
+    }
+
+    /**
+     * Build one instruction that asks for every property as keys of a JSON object
+     * @param {Array} promptConfigs - Custom prompt objects ({ property, prompt })
+     * @returns {string} Combined prompt text
+     */
+    buildCombinedPrompt(promptConfigs) {
+        const instructions = promptConfigs
+            .map(p => `- "${p.property}": ${buildTypedPrompt(p).replace(/\n/g, ' ')}`)
+            .join('\n');
+
+        return `Generate the following metadata properties for this image. Each key is followed by the instruction for its value:
+${instructions}
+
+Return a single JSON object with exactly these keys (${promptConfigs.map(p => `"${p.property}"`).join(', ')}), each holding its value in the format described above. Do not add Markdown or code block formatting.`;
+    }
+
+    /**
+     * Build the JSON schema for a combined request
+     * @param {Array} promptConfigs - Custom prompt objects ({ property, prompt, schema })
+     * @returns {Object} JSON schema with one property per custom prompt, typed by its schema
+     * @private
+     */
+    buildCombinedSchema(promptConfigs) {
+        const properties = {};
+        promptConfigs.forEach(p => {
+            properties[p.property] = buildJsonSchemaForProperty(p.schema);
+        });
+
         return {
-            messages: [
-                {
-                    role: "user",
-                    content: [
-                        {
-                            type: "text",
-                            text: prompt
-                        },
-                        {
-                            type: "image_url",
-                            image_url: {
-                                url: imageUrl
-                            }
-                        }
-                    ]
-                }
-            ],
-            max_tokens: 4096,
-            temperature: 0.1,
-            top_p: 1,
-            model: this.config.modelName || "gpt-4-vision-preview"
+            type: 'object',
+            properties,
+            required: promptConfigs.map(p => p.property),
+            additionalProperties: false
         };
     }
 
     /**
-     * Parse the Azure AI API response
+     * Map a combined JSON response back onto the requested properties
+     * @param {string} content - Response text
+     * @param {Array<string>} properties - Requested property names
+     * @param {Object} separators - List separator per property, used to join array values
+     * @returns {Object} { values, missing } where missing lists absent or invalid properties
      * @private
      */
-    parseAzureAIResponse(response) {
+    parseCombinedResponse(content, properties, separators = {}) {
+        let data = {};
         try {
-            // Azure AI response format: response.choices[0].message.content
-            const content = response.choices?.[0]?.message?.content;
+            const cleanContent = (content || '').replace(/```json\n?|\n?```/g, '').trim();
+            data = JSON.parse(cleanContent);
+        } catch (parseError) {
+            // The caller falls back to per-property requests
+            return { values: {}, missing: [...properties] };
+        }
+
+        // Models occasionally change the key casing, so match case-insensitively as a fallback
+        const keysByLowerCase = {};
+        Object.keys(data || {}).forEach(key => {
+            keysByLowerCase[key.toLowerCase()] = key;
+        });
+
+        const values = {};
+        const missing = [];
+        properties.forEach(property => {
+            const key = property in data ? property : keysByLowerCase[property.toLowerCase()];
+            let value = key !== undefined ? data[key] : undefined;
+
+            if (Array.isArray(value)) {
+                value = value.join(separators[property] || ', ');
+            } else if (typeof value === 'number' || typeof value === 'boolean') {
+                value = String(value);
+            }
+
+            if (typeof value === 'string' && value.trim()) {
+                values[property] = this.sanitizeString(value);
+            } else {
+                missing.push(property);
+            }
+        });
+
+        return { values, missing };
+    }
+
+    /**
+     * Parse a normalized provider response into metadata fields
+     * @param {Object} parsed - Normalized response from the adapter's parseResponse()
+     * @param {Object} response - Raw JSON response body, shown when no content was returned
+     * @param {string} property - Property the request asked for, filled in with a plain-text answer
+     * @private
+     */
+    parseAIResponse(parsed, response, property = null) {
+        try {
+            const content = parsed.content;
             
             if (!content) {
-                console.log('🔍 No content found in response, using full response body');
-                console.log('📄 Full response object:', JSON.stringify(response, null, 2));
                 
                 // Try to extract any text content from the response
                 const responseStr = JSON.stringify(response, null, 2);
@@ -255,7 +668,7 @@ Return in pretty-print JSON format. Do not add Markdown or code block formatting
                 const result = {
                     confidence: null,
                     processing_time: null,
-                    provider: 'openai',
+                    provider: this.config.provider,
                     generated_at: new Date().toISOString()
                 };
                 
@@ -266,11 +679,9 @@ Return in pretty-print JSON format. Do not add Markdown or code block formatting
                     customPrompts.forEach(promptConfig => {
                         result[promptConfig.property] = displayMessage;
                     });
-                    console.log(`📋 Populated ${customPrompts.length} custom fields with raw response`);
                 } else {
                     // Default field if no custom prompts (description only)
                     result.description = displayMessage;
-                    console.log('📋 Populated default field (description) with raw response');
                 }
                 
                 return result;
@@ -282,6 +693,10 @@ Return in pretty-print JSON format. Do not add Markdown or code block formatting
                 // Clean the content in case there are markdown code blocks
                 const cleanContent = content.replace(/```json\n?|\n?```/g, '').trim();
                 metadata = JSON.parse(cleanContent);
+                if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+                    // Numbers, booleans and arrays are single-property answers, not structured metadata
+                    throw new SyntaxError('Response is not a JSON object');
+                }
                 
                 // Return structured JSON response
                 return {
@@ -290,21 +705,19 @@ Return in pretty-print JSON format. Do not add Markdown or code block formatting
                     tags: this.sanitizeString(metadata.Keywords || metadata.keywords || metadata.tags || ''),
                     confidence: null,
                     processing_time: null,
-                    provider: 'openai',
+                    provider: this.config.provider,
                     generated_at: new Date().toISOString()
                 };
                 
             } catch (parseError) {
                 // If JSON parsing fails, put the raw response in all available fields
-                console.log('📝 JSON parsing failed, using raw response content:', content.substring(0, 100) + '...');
-                console.log('🔧 Full raw response:', content);
                 
                 // Get the custom prompts to determine which fields to populate
                 const customPrompts = this.getStoredCustomPrompts();
                 const result = {
                     confidence: null,
                     processing_time: null,
-                    provider: 'openai',
+                    provider: this.config.provider,
                     generated_at: new Date().toISOString()
                 };
                 
@@ -313,47 +726,21 @@ Return in pretty-print JSON format. Do not add Markdown or code block formatting
                     customPrompts.forEach(promptConfig => {
                         result[promptConfig.property] = this.sanitizeString(content);
                     });
-                    console.log(`📋 Populated ${customPrompts.length} custom fields with raw content`);
                 } else {
                     // Default field if no custom prompts (description only)
                     result.description = this.sanitizeString(content);
-                    console.log('📋 Populated default field (description) with raw content');
+                }
+                // A comparison profile's prompt set can ask for a property the saved prompts do not have
+                if (property) {
+                    result[property] = this.sanitizeString(content);
                 }
                 
                 return result;
             }
 
         } catch (error) {
-            console.error('Error parsing Azure AI API response:', error);
-            return this.getErrorMetadata(`Failed to parse Azure AI response: ${error.message}`);
-        }
-    }
-
-    /**
-     * Parse the API response (legacy method for compatibility)
-     * @private
-     */
-    parseAPIResponse(response, provider) {
-        if (provider === 'openai') {
-            return this.parseAzureAIResponse(response);
-        }
-        
-        try {
-            // Handle different possible response formats
-            const metadata = response.metadata || response.result || response;
-            
-            return {
-                title: this.sanitizeString(metadata.title || ''),
-                description: this.sanitizeString(metadata.description || ''),
-                tags: this.sanitizeString(metadata.tags || ''),
-                confidence: metadata.confidence || null,
-                processing_time: metadata.processing_time || null,
-                provider: provider,
-                generated_at: new Date().toISOString()
-            };
-        } catch (error) {
-            console.error(`Error parsing ${provider} API response:`, error);
-            return this.getErrorMetadata(`Failed to parse ${provider} response`);
+            console.error('Error parsing AI API response:', error);
+            return this.getErrorMetadata(`Failed to parse AI response: ${error.message}`);
         }
     }
 
@@ -388,10 +775,13 @@ Return in pretty-print JSON format. Do not add Markdown or code block formatting
     }
 
     /**
-     * Get brand prompt from localStorage
-     * @private
+     * Get brand prompt from the configuration (comparison profiles) or localStorage
+     * @returns {string} Brand prompt, or an empty string
      */
     getBrandPrompt() {
+        if (typeof this.config.brandPrompt === 'string') {
+            return this.config.brandPrompt;
+        }
         try {
             const brandPrompt = localStorage.getItem('brandPrompt');
             return brandPrompt || '';
@@ -416,28 +806,12 @@ Return in pretty-print JSON format. Do not add Markdown or code block formatting
     }
 
     /**
-     * Log the equivalent curl command for debugging
+     * List the configured secret values that must never appear in logs
+     * @returns {Array<string>} Secret values
      * @private
      */
-    logCurlCommand(url, payload) {
-        const headers = [
-            `-H "Content-Type: application/json"`,
-            this.config.apiKey ? `-H "Authorization: Bearer ${this.config.apiKey.substring(0, 8)}..."` : ''
-        ].filter(h => h).join(' \\\n    ');
-
-        const payloadJson = JSON.stringify(payload, null, 2);
-        
-        console.log(`%c🚀 Equivalent curl command:`, 'color: #4CAF50; font-weight: bold;');
-        console.log(`curl -X POST "${url}" \\
-    ${headers} \\
-    -d '${payloadJson}'`);
-        
-        console.log(`%c📋 Configuration used:`, 'color: #2196F3; font-weight: bold;');
-        console.log(`- Base URL: ${this.config.openaiUrl || this.config.openApiUrl}`);
-        console.log(`- Deployment: ${this.config.deployment}`);
-        console.log(`- API Version: ${this.config.apiVersion}`);
-        console.log(`- Model: ${this.config.modelName}`);
-        console.log(`- API Key: ${this.config.apiKey ? this.config.apiKey.substring(0, 8) + '...' : 'Not set'}`);
+    getSecrets() {
+        return [this.config.apiKey].filter(Boolean);
     }
 
     /**
@@ -449,33 +823,19 @@ Return in pretty-print JSON format. Do not add Markdown or code block formatting
         return str.trim().replace(/\s+/g, ' ');
     }
 
-    /**
-     * Get default metadata for testing
-     * @private
-     */
-    getDefaultMetadata() {
-        return {
-            title: 'Sample Title',
-            description: 'This is a sample description generated for testing purposes.',
-            tags: 'sample, test, placeholder, demo',
-            confidence: null,
-            processing_time: null,
-            provider: 'default',
-            generated_at: new Date().toISOString()
-        };
-    }
-
     /**
      * Get error metadata
+     * @param {string} errorMessage - Error message shown in the fields
+     * @param {string} errorKind - Error classification from API_ERROR_KINDS, if known
      * @private
      */
-    getErrorMetadata(errorMessage) {
-        console.log('🚨 API Error occurred, populating fields with error message:', errorMessage);
+    getErrorMetadata(errorMessage, errorKind = null) {
         
         // Get the custom prompts to determine which fields to populate
         const customPrompts = this.getStoredCustomPrompts();
         const result = {
             error: errorMessage,
+            error_kind: errorKind,
             provider: 'error',
             generated_at: new Date().toISOString()
         };
@@ -488,11 +848,9 @@ Return in pretty-print JSON format. Do not add Markdown or code block formatting
             customPrompts.forEach(promptConfig => {
                 result[promptConfig.property] = displayMessage;
             });
-            console.log(`🔧 Populated ${customPrompts.length} custom fields with error message`);
         } else {
             // Default field if no custom prompts (description only)
             result.description = displayMessage;
-            console.log('🔧 Populated default field (description) with error message');
         }
         
         return result;
@@ -507,31 +865,14 @@ Return in pretty-print JSON format. Do not add Markdown or code block formatting
     }
 
     /**
-     * Test the API configuration
+     * Test the API configuration step by step
+     * Checks the settings, reachability, authentication, deployment/model, api-version and a real
+     * vision round-trip; the test requests bypass the response cache and retries.
+     * @param {Object} options - Diagnostic options (onCheck, signal), see runApiDiagnostics()
+     * @returns {Promise<Object>} { ok, checks } with one pass/warn/fail/skip result and hint per check
      */
-    async testConfiguration() {
-        console.log('Testing API configuration...');
-        console.log('AI URL:', this.config.openaiUrl);
-        console.log('Llama URL:', this.config.llamaUrl);
-        console.log('API Key configured:', this.config.apiKey ? 'Yes' : 'No');
-        
-        // Test with a simple payload
-        const testImageInfo = {
-            width: 800,
-            height: 600,
-            format: 'jpg',
-            size: 150000,
-            filename: 'test.jpg'
-        };
-        
-        try {
-            const result = await this.generateBothMetadata('data:image/jpeg;base64,test', testImageInfo);
-            console.log('Test result:', result);
-            return result;
-        } catch (error) {
-            console.error('Configuration test failed:', error);
-            return null;
-        }
+    async testConfiguration(options = {}) {
+        return runApiDiagnostics(this.config, { requestInspector: this.requestInspector, ...options });
     }
 }
 
@@ -551,10 +892,11 @@ if (typeof window !== 'undefined') {
  * // Initialize the API
  * const metadataAPI = new MetadataAPI();
  * 
- * // Configure your endpoints
+ * // Configure your provider and endpoint (see providers.js for available adapters)
  * metadataAPI.setConfig({
- *     openaiUrl: 'https://api.openai.com/v1/chat/completions',
- *     llamaUrl: 'https://your-llama-endpoint.com/analyze',
+ *     provider: 'openai',
+ *     openaiUrl: 'https://api.openai.com/v1',
+ *     modelName: 'gpt-4o',
  *     apiKey: 'your-api-key-here'
  * });
  * 
@@ -567,18 +909,10 @@ if (typeof window !== 'undefined') {
  *     filename: 'sunset.jpg'
  * };
  * 
- * // Get metadata from both providers
- * metadataAPI.generateBothMetadata(imageDataUrl, imageInfo)
- *     .then(result => {
-          *         console.log('AI:', result.ai);
- *         console.log('Llama:', result.llama);
- *     });
- * 
- * // Or get from individual providers
  * metadataAPI.generateAIMetadata(imageDataUrl, imageInfo)
  *     .then(metadata => {
  *         console.log('Title:', metadata.title);
  *         console.log('Description:', metadata.description);
  *         console.log('Tags:', metadata.tags);
  *     });
- */ 
\ No newline at end of file
+ */
\ No newline at end of file
@@ -0,0 +1,624 @@
+/**
+ * Metadata Generator Module
+ * Generates and stores metadata for a single asset without touching the DOM,
+ * so both the per-card buttons and the batch engine can share it
+ */
+
+// Combined request failures that a simpler per-property request may still get past
+const FALLBACK_ERROR_KINDS = [API_ERROR_KINDS.BAD_REQUEST, API_ERROR_KINDS.CONTENT_FILTER];
+
+// Fields of an API result that describe the call rather than the asset
+const SYSTEM_METADATA_FIELDS = [
+    'provider', 'generated_at', 'error', 'error_kind', 'cached', 'confidence', 'processing_time', 'usage', 'validation_errors'
+];
+
+// JSON keys of the default prompt's answer and the metadata fields they fill
+const DEFAULT_PROMPT_FIELDS = { title: 'title', description: 'description', keywords: 'tags' };
+
+/**
+ * Build the image information sent alongside prompts
+ * @param {Object} imageData - Processed image entry from processedImages
+ * @param {Object} config - MetadataAPI configuration (decides whether a document's text is included)
+ * @returns {Object} Image information (width, height, format, size, filename, video or document details, and
+ *                   embedded_* fields the file carries)
+ */
+function buildImageInfo(imageData, config = {}) {
+    return {
+        width: imageData.width,
+        height: imageData.height,
+        format: imageData.file.name.split('.').pop().toLowerCase(),
+        size: imageData.file.size,
+        filename: imageData.file.name,
+        ...(imageData.video ? buildVideoImageInfo(imageData) : {}),
+        ...(imageData.document ? buildDocumentImageInfo(imageData, config) : {}),
+        ...buildEmbeddedImageInfo(imageData.embedded)
+    };
+}
+
+/**
+ * Build the fields that describe a video or document in its metadata entry
+ * @param {Object} imageData - Processed image entry
+ * @returns {Object} mediaType with duration or pageCount, or nothing for images
+ */
+function buildMediaFields(imageData) {
+    if (imageData.video) return { mediaType: 'video', duration: imageData.video.duration };
+    if (imageData.document) return { mediaType: 'document', pageCount: imageData.document.pageCount };
+    return {};
+}
+
+/**
+ * Make sure the metadata storage for an image and version exists
+ * @param {Object} imageData - Processed image entry (needs id and file)
+ * @param {string} versionKey - Metadata version key (e.g., 'version1')
+ * @returns {Object} The stored metadata object for that version
+ */
+function ensureImageMetadata(imageData, versionKey = 'version1') {
+    if (!imageMetadata[imageData.id]) {
+        imageMetadata[imageData.id] = {
+            filename: imageData.file.name,
+            ...buildMediaFields(imageData),
+            version1: {}
+        };
+    }
+    if (!imageMetadata[imageData.id][versionKey]) {
+        imageMetadata[imageData.id][versionKey] = {};
+    }
+    return imageMetadata[imageData.id][versionKey];
+}
+
+/**
+ * Extract the value for a property from an API result
+ * @param {*} propertyResult - Result returned by MetadataAPI
+ * @param {string} property - Property name
+ * @returns {string} Property value
+ */
+function extractPropertyValue(propertyResult, property) {
+    if (typeof propertyResult === 'string') {
+        // Direct string response
+        return propertyResult.trim();
+    }
+
+    if (!propertyResult || typeof propertyResult !== 'object') {
+        // Fallback: convert whatever we got to string
+        return String(propertyResult || '');
+    }
+
+    // First check if the property name matches exactly
+    if (propertyResult[property]) {
+        return propertyResult[property];
+    }
+
+    // Then check common fields in order of preference
+    for (const field of ['title', 'description', 'tags', 'content']) {
+        if (propertyResult[field]) {
+            return propertyResult[field];
+        }
+    }
+
+    // If no standard fields, check for raw response content (error cases)
+    const textFields = Object.keys(propertyResult).filter(key =>
+        typeof propertyResult[key] === 'string' &&
+        propertyResult[key].length > 10 &&
+        !SYSTEM_METADATA_FIELDS.includes(key)
+    );
+
+    if (textFields.length > 0) {
+        return propertyResult[textFields[0]];
+    }
+
+    // Last resort: stringify the entire response
+    return JSON.stringify(propertyResult, null, 2);
+}
+
+/**
+ * Check whether a value is an API error message rather than generated content
+ * @param {*} value - Property value
+ * @returns {boolean} True for error messages
+ */
+function isErrorValue(value) {
+    return typeof value === 'string' && (value.startsWith('❌ Error:') || value.startsWith('Error:'));
+}
+
+/**
+ * Build a streaming text handler that reports the partial values of a JSON answer
+ * @param {Function} onProgress - Called with (property, partialValue)
+ * @param {Object} fieldsByKey - Metadata property for each JSON key
+ * @returns {Function} Handler for the onText request option
+ * @private
+ */
+function createJsonProgressHandler(onProgress, fieldsByKey) {
+    return text => {
+        const values = extractPartialJsonValues(text, Object.keys(fieldsByKey));
+        Object.entries(values).forEach(([key, value]) => onProgress(fieldsByKey[key], value));
+    };
+}
+
+/**
+ * Validate a value against its property type, re-asking the model with the validation error until it fits
+ * @param {MetadataAPI} api - API instance the value was generated with
+ * @param {string|Array<string>} uploadUrl - Image data URL sent to the API, or a video's keyframes
+ * @param {Object} imageInfo - Image information
+ * @param {Object} promptConfig - Custom prompt object ({ property, prompt, schema })
+ * @param {string} fullPrompt - Prompt the value was generated with
+ * @param {string} value - Generated value
+ * @param {Object} requestOptions - Request options passed to MetadataAPI
+ * @param {Function} recordCall - Called with the result of every repair request
+ * @returns {Promise<Object>} { valid, value, error } for the last value
+ */
+async function validateAndRepairValue(api, uploadUrl, imageInfo, promptConfig, fullPrompt, value, requestOptions, recordCall) {
+    let validation = validatePropertyValue(value, promptConfig.schema);
+    const maxRepairs = api.config.schemaRepairAttempts ?? DEFAULT_CONFIG.schemaRepairAttempts;
+
+    for (let attempt = 1; !validation.valid && attempt <= maxRepairs; attempt++) {
+        if (requestOptions.signal?.aborted) break;
+
+        const repaired = await api.generateRepairedPropertyMetadata(
+            uploadUrl,
+            imageInfo,
+            promptConfig.property,
+            fullPrompt,
+            validation.value,
+            validation.error,
+            { ...requestOptions, schema: promptConfig.schema }
+        );
+        recordCall(repaired);
+        if (repaired.error) break;
+
+        validation = validatePropertyValue(extractPropertyValue(repaired, promptConfig.property), promptConfig.schema);
+    }
+
+    return validation;
+}
+
+/**
+ * Score the confidence of each generated value
+ * @param {string} mode - 'self_consistency' or 'self_rating' (see CONFIDENCE_MODES)
+ * @param {Object} context - Scoring context
+ * @param {MetadataAPI} context.api - API instance the values were generated with
+ * @param {string|Array<string>} context.uploadUrl - Image data URL sent to the API, or a video's keyframes
+ * @param {Object} context.imageInfo - Image information
+ * @param {Object} context.values - Values to score by property (errors already removed)
+ * @param {Object} context.schemas - Property schema by property
+ * @param {Function} context.sample - Called with request options; resolves to another set of values by property
+ * @param {Object} context.requestOptions - Request options passed to MetadataAPI
+ * @param {Function} context.recordUsage - Called with the result of every scoring request
+ * @returns {Promise<Object>} Score from 0 to 1 (or null) by property
+ * @private
+ */
+async function scoreConfidence(mode, { api, uploadUrl, imageInfo, values, schemas, sample, requestOptions, recordUsage }) {
+    const properties = Object.keys(values);
+    if (properties.length === 0) return {};
+
+    if (mode === 'self_rating') {
+        const ratingPrompt = concatenateImageInfoWithPrompt(imageInfo, buildConfidenceRatingPrompt(values));
+        const rating = await api.generateConfidenceRatings(uploadUrl, imageInfo, properties, ratingPrompt, requestOptions);
+        if (!rating.error) {
+            recordUsage(rating);
+        }
+        return rating.ratings;
+    }
+
+    // Self-consistency: draw extra samples and measure how well they agree with the kept value
+    const sampleCount = api.config.confidenceSamples ?? DEFAULT_CONFIG.confidenceSamples;
+    const samples = Object.fromEntries(properties.map(property => [property, []]));
+    for (let sampleIndex = 1; sampleIndex < sampleCount; sampleIndex++) {
+        if (requestOptions.signal?.aborted) break;
+        const sampled = await sample({ ...requestOptions, sampleIndex });
+        properties.forEach(property => {
+            const value = sampled[property];
+            if (value && !isErrorValue(value)) {
+                samples[property].push(validatePropertyValue(value, schemas[property]).value);
+            }
+        });
+    }
+
+    return Object.fromEntries(properties.map(property => [
+        property,
+        measureValueAgreement(values[property], samples[property], schemas[property])
+    ]));
+}
+
+/**
+ * Generate metadata for one asset and store it in imageMetadata
+ * @param {Object} imageData - Processed image entry from processedImages
+ * @param {string} versionKey - Metadata version key (e.g., 'version1')
+ * @param {Object} options - Generation options
+ * @param {AbortSignal} options.signal - Optional signal that cancels the generation
+ * @param {boolean} options.forceRegenerate - Ignore cached responses
+ * @param {MetadataAPI} options.api - API instance to generate with (defaults to metadataAPI; comparison profiles
+ *                                    bring their own)
+ * @param {Array} options.prompts - Custom prompts to generate (defaults to the saved prompts for version1 and the
+ *                                  default prompt for other versions)
+ * @param {Array} options.brandExamples - Brand reference examples (defaults to the saved ones)
+ * @param {Function} options.onProgress - Called with (property, partialValue) while streamed answers arrive;
+ *                                        the stored metadata is only updated once generation finishes
+ * @param {Object} options.usage - Usage summary the calls are added to (defaults to a new one); lets a caller
+ *                                 count the calls of a generation that fails or is cancelled part-way
+ * @returns {Promise<Object>} Promise resolving to the generated metadata with a usage summary, validation
+ *                            errors and confidence scores by property (cached: true when every value was served
+ *                            from the response cache)
+ */
+async function generateMetadataForAsset(imageData, versionKey = 'version1', options = {}) {
+    const api = options.api || metadataAPI;
+    // Resized and re-encoded once per asset, then reused for every property (a video's keyframes and a
+    // document's pages are rendered here, before its image info and cache key are built from them)
+    const uploadUrl = await getUploadDataUrl(imageData, api.config);
+    const imageInfo = buildImageInfo(imageData, api.config);
+    const requestOptions = {
+        signal: options.signal,
+        imageHash: api.responseCache ? await getImageContentHash(imageData) : null,
+        forceRegenerate: !!options.forceRegenerate
+    };
+    // Request options that stream partial answers to options.onProgress, for one property or a JSON answer
+    const streamingOptions = property => options.onProgress
+        ? { ...requestOptions, onText: text => options.onProgress(property, text) }
+        : requestOptions;
+    const jsonStreamingOptions = fieldsByKey => options.onProgress
+        ? { ...requestOptions, onText: createJsonProgressHandler(options.onProgress, fieldsByKey) }
+        : requestOptions;
+    // Reference examples of the prompt and brand profile go ahead of every generation and sample request
+    const brandExamples = options.brandExamples || loadBrandExamples();
+    // Prompt templates see the asset's context; prompts without placeholders get the image-info preamble
+    const templateVariables = buildTemplateVariables(imageData, { versionKey, brand: api.getBrandPrompt() });
+    const propertyExamples = promptConfig => buildPropertyExampleTurns(promptConfig, brandExamples);
+    const usage = options.usage || createUsageSummary();
+    const price = getModelPrice(api.config);
+    const recordUsage = result => addCallUsage(usage, {
+        usage: result.usage,
+        latencyMs: result.processing_time ?? result.latencyMs,
+        cached: result.cached
+    }, price);
+    const confidenceMode = api.config.confidenceMode || DEFAULT_CONFIG.confidenceMode;
+    // Properties the file already has a value for (EXIF, IPTC, XMP) are kept or built on, depending on the setting
+    const existingMode = api.config.existingMetadataMode || DEFAULT_CONFIG.existingMetadataMode;
+    const embeddedValue = property => existingMode === 'overwrite' ? '' : getEmbeddedValue(imageData.embedded, property);
+    let keptProperties = [];
+    let metadata;
+
+    // Custom prompts drive the primary metadata column; other versions use the default prompt unless given their own.
+    // Prompts limited to other kinds of assets (e.g. document-only ones on a photo) are left out.
+    const customPrompts = (options.prompts || (versionKey === 'version1' ? getStoredCustomPrompts() : []))
+        .filter(promptConfig => promptAppliesTo(promptConfig, imageData));
+
+    if (customPrompts.length > 0) {
+        // Generate using custom prompts for each property
+        const results = {};
+        const validationErrors = {};
+        let allCached = true;
+        const recordCall = propertyResult => {
+            allCached = allCached && !!propertyResult.cached;
+            recordUsage(propertyResult);
+        };
+
+        // Prompts run in dependency layers so later prompts can build on the values of earlier ones
+        const { layers, blocked, cycle } = resolvePromptDependencies(customPrompts);
+        blocked.forEach(p => {
+            results[p.property] = `❌ Error: Circular prompt dependency (${cycle.join(' → ')})`;
+        });
+        // Skip mode: embedded values stand in for generated ones, and dependent prompts build on them
+        keptProperties = existingMode === 'skip'
+            ? customPrompts.map(p => p.property).filter(property => embeddedValue(property))
+            : [];
+        keptProperties.forEach(property => {
+            results[property] = embeddedValue(property);
+        });
+        const generatedProperties = new Set(customPrompts.map(p => p.property));
+        const dependenciesOf = promptConfig => normalizePromptDependencies(promptConfig.dependsOn, promptConfig.property);
+        // Values generated so far, plus existing values of properties no prompt generates
+        const dependencyValues = () => {
+            const values = {};
+            Object.entries(templateVariables.existing).forEach(([property, value]) => {
+                if (!generatedProperties.has(property)) values[property] = value;
+            });
+            Object.entries(results).forEach(([property, value]) => {
+                if (!isErrorValue(value)) values[property] = value;
+            });
+            return values;
+        };
+        const preparePrompt = (promptText, dependencies) => {
+            const values = dependencyValues();
+            const rendered = renderPromptForAsset(promptText, imageInfo, { ...templateVariables, output: values });
+            return appendDependencyValues(rendered, promptText, dependencies, values);
+        };
+        // Augment mode: prompts carry the embedded values to build on
+        const embeddedValuesOf = prompts => existingMode === 'augment'
+            ? Object.fromEntries(prompts.map(p => [p.property, embeddedValue(p.property)]))
+            : {};
+        const preparePropertyPrompt = promptConfig => appendEmbeddedValues(
+            preparePrompt(buildTypedPrompt(promptConfig), dependenciesOf(promptConfig)),
+            embeddedValuesOf([promptConfig])
+        );
+        const prepareCombinedPrompt = prompts => appendEmbeddedValues(
+            preparePrompt(api.buildCombinedPrompt(prompts), [...new Set(prompts.flatMap(dependenciesOf))]),
+            embeddedValuesOf(prompts)
+        );
+        const combinedExamples = prompts => buildCombinedExampleTurns(prompts, api.buildCombinedPrompt(prompts), brandExamples);
+        const useCombinedRequest = prompts => api.config.combinedRequest && prompts.length > 1;
+
+        for (const layer of layers) {
+            if (options.signal?.aborted) break;
+
+            // A prompt cannot build on a value that failed
+            const layerPrompts = layer.filter(promptConfig => {
+                if (keptProperties.includes(promptConfig.property)) return false;
+                const failed = dependenciesOf(promptConfig).find(dependency =>
+                    generatedProperties.has(dependency) && isErrorValue(results[dependency])
+                );
+                if (failed) {
+                    results[promptConfig.property] = `❌ Error: Depends on '${failed}', which could not be generated`;
+                }
+                return !failed;
+            });
+            let pendingPrompts = layerPrompts;
+
+            // Combined mode: send the image once and ask for every property of the layer as structured JSON
+            if (useCombinedRequest(layerPrompts)) {
+                const combined = await api.generateCombinedMetadata(
+                    uploadUrl,
+                    imageInfo,
+                    layerPrompts,
+                    prepareCombinedPrompt(layerPrompts),
+                    {
+                        ...jsonStreamingOptions(Object.fromEntries(layerPrompts.map(p => [p.property, p.property]))),
+                        examples: combinedExamples(layerPrompts)
+                    }
+                );
+
+                Object.assign(results, combined.values);
+                allCached = allCached && !!combined.cached;
+                if (!combined.error) {
+                    recordUsage(combined);
+                }
+                pendingPrompts = layerPrompts.filter(p => combined.missing.includes(p.property));
+
+                // Per-property requests would hit the same endpoint failure, so report it instead
+                if (combined.error && !FALLBACK_ERROR_KINDS.includes(combined.errorKind)) {
+                    pendingPrompts.forEach(p => {
+                        results[p.property] = `❌ Error: ${combined.error}`;
+                    });
+                    pendingPrompts = [];
+                }
+            }
+
+            for (const promptConfig of pendingPrompts) {
+                if (options.signal?.aborted) break;
+
+                try {
+                    const fullPrompt = preparePropertyPrompt(promptConfig);
+                    const propertyResult = await api.generateCustomPropertyMetadata(
+                        uploadUrl,
+                        imageInfo,
+                        promptConfig.property,
+                        fullPrompt,
+                        { ...streamingOptions(promptConfig.property), examples: propertyExamples(promptConfig), schema: promptConfig.schema }
+                    );
+
+                    results[promptConfig.property] = extractPropertyValue(propertyResult, promptConfig.property);
+                    recordCall(propertyResult);
+
+                } catch (error) {
+                    // The message only: API errors can carry request details such as a keyed URL
+                    console.error(`❌ Error generating '${promptConfig.property}':`, redactText(error.message, api.getSecrets()));
+                    results[promptConfig.property] = `Error: ${error.message}`;
+                    allCached = false;
+                }
+            }
+
+            // Check every value against its declared type and re-ask with the error when it does not fit,
+            // before later layers build on it
+            for (const promptConfig of layerPrompts) {
+                const value = results[promptConfig.property];
+                if (options.signal?.aborted || value === undefined || isErrorValue(value)) continue;
+
+                const fullPrompt = preparePropertyPrompt(promptConfig);
+                const validation = await validateAndRepairValue(
+                    api, uploadUrl, imageInfo, promptConfig, fullPrompt, value,
+                    { ...streamingOptions(promptConfig.property), examples: propertyExamples(promptConfig) },
+                    recordCall
+                );
+                results[promptConfig.property] = validation.value;
+                if (!validation.valid) {
+                    validationErrors[promptConfig.property] = validation.error;
+                    console.warn(`⚠️ '${promptConfig.property}' still fails validation: ${validation.error}`);
+                }
+
+                // Augment mode keeps every embedded list item
+                const existing = embeddedValue(promptConfig.property);
+                if (existingMode === 'augment' && existing && normalizePropertySchema(promptConfig.schema).type === 'list') {
+                    results[promptConfig.property] = mergeEmbeddedList(existing, results[promptConfig.property], promptConfig.schema);
+                }
+            }
+        }
+
+        // Create dynamic metadata object based on custom prompts
+        metadata = {
+            provider: api.config.provider,
+            generated_at: new Date().toISOString(),
+            cached: allCached,
+            validation_errors: validationErrors,
+            confidence: null,
+            ...results
+        };
+
+        if (confidenceMode !== 'off' && !options.signal?.aborted) {
+            const scoredPrompts = customPrompts.filter(p =>
+                results[p.property] !== undefined && !isErrorValue(results[p.property]) && !keptProperties.includes(p.property)
+            );
+            metadata.confidence = await scoreConfidence(confidenceMode, {
+                api,
+                uploadUrl,
+                imageInfo,
+                values: Object.fromEntries(scoredPrompts.map(p => [p.property, results[p.property]])),
+                schemas: Object.fromEntries(scoredPrompts.map(p => [p.property, p.schema])),
+                // Samples repeat the request shape the values came from, building on the final values
+                sample: async sampleOptions => {
+                    const sampled = {};
+                    for (const layer of layers) {
+                        const layerPrompts = layer.filter(p => scoredPrompts.includes(p));
+                        if (useCombinedRequest(layerPrompts)) {
+                            const combined = await api.generateCombinedMetadata(
+                                uploadUrl, imageInfo, layerPrompts, prepareCombinedPrompt(layerPrompts),
+                                { ...sampleOptions, examples: combinedExamples(layerPrompts) }
+                            );
+                            if (!combined.error) recordUsage(combined);
+                            Object.assign(sampled, combined.values);
+                            continue;
+                        }
+                        for (const promptConfig of layerPrompts) {
+                            const propertyResult = await api.generateCustomPropertyMetadata(
+                                uploadUrl, imageInfo, promptConfig.property, preparePropertyPrompt(promptConfig),
+                                { ...sampleOptions, examples: propertyExamples(promptConfig), schema: promptConfig.schema }
+                            );
+                            recordUsage(propertyResult);
+                            sampled[promptConfig.property] = extractPropertyValue(propertyResult, promptConfig.property);
+                        }
+                    }
+                    return sampled;
+                },
+                requestOptions,
+                recordUsage
+            });
+        }
+
+    } else {
+        // Use default prompt
+        const defaultExamples = buildDefaultExampleTurns(brandExamples);
+        // Skip mode with every field already in the file: nothing is left to ask for, so nothing is billed
+        const allEmbedded = existingMode === 'skip' && Object.values(DEFAULT_PROMPT_FIELDS).every(field => embeddedValue(field));
+        if (allEmbedded) {
+            metadata = { provider: api.config.provider, generated_at: new Date().toISOString(), cached: false };
+        } else {
+            metadata = await api.generateAIMetadata(uploadUrl, imageInfo, null, {
+                ...jsonStreamingOptions(DEFAULT_PROMPT_FIELDS),
+                examples: defaultExamples
+            });
+            recordUsage(metadata);
+        }
+
+        // Embedded values replace (skip) or are merged into (augment) the answer
+        if (existingMode !== 'overwrite' && !metadata.error) {
+            Object.values(DEFAULT_PROMPT_FIELDS).forEach(field => {
+                const existing = embeddedValue(field);
+                if (!existing) return;
+                if (existingMode === 'skip') {
+                    metadata[field] = existing;
+                    keptProperties.push(field);
+                } else if (field === 'tags') {
+                    metadata[field] = mergeEmbeddedList(existing, metadata[field], { type: 'list' });
+                }
+            });
+        }
+
+        if (confidenceMode !== 'off' && !metadata.error && !options.signal?.aborted) {
+            const fields = Object.values(DEFAULT_PROMPT_FIELDS).filter(field => metadata[field] && !keptProperties.includes(field));
+            metadata.confidence = await scoreConfidence(confidenceMode, {
+                api,
+                uploadUrl,
+                imageInfo,
+                values: Object.fromEntries(fields.map(field => [field, metadata[field]])),
+                schemas: { title: { type: 'string' }, description: { type: 'string' }, tags: { type: 'list' } },
+                sample: async sampleOptions => {
+                    const sampled = await api.generateAIMetadata(uploadUrl, imageInfo, null, { ...sampleOptions, examples: defaultExamples });
+                    recordUsage(sampled);
+                    return sampled.error ? {} : sampled;
+                },
+                requestOptions,
+                recordUsage
+            });
+        }
+    }
+    metadata.usage = usage;
+
+    // A cancelled generation is discarded instead of overwriting the stored values
+    if (options.signal?.aborted) {
+        throw new DOMException('Generation cancelled', 'AbortError');
+    }
+
+    // Copy all metadata properties except system fields
+    const stored = ensureImageMetadata(imageData, versionKey);
+    Object.keys(metadata).forEach(key => {
+        if (!SYSTEM_METADATA_FIELDS.includes(key)) {
+            stored[key] = metadata[key];
+        }
+    });
+
+    // Usage, validation, confidence and provenance results sit next to the version data so they travel with JSON exports
+    // without becoming CSV columns
+    const entry = imageMetadata[imageData.id];
+    entry.usage = { ...entry.usage, [versionKey]: usage };
+    entry.validation = { ...entry.validation, [versionKey]: metadata.validation_errors || {} };
+    entry.confidence = { ...entry.confidence, [versionKey]: metadata.confidence || {} };
+    entry.provenance = { ...entry.provenance, [versionKey]: buildVersionProvenance(entry.provenance?.[versionKey], api, metadata, customPrompts, keptProperties) };
+    applyTaxonomyToEntry(entry, versionKey);
+
+    return metadata;
+}
+
+/**
+ * Record which prompt version, brand version and model produced each value of a generation
+ * Values that failed lose the provenance of what they replaced.
+ * @param {Object} previous - Provenance stored for the version so far, by property
+ * @param {MetadataAPI} api - API instance the values were generated with
+ * @param {Object} metadata - Generated metadata
+ * @param {Array} customPrompts - Custom prompts used, or an empty array for the default prompt
+ * @param {Array<string>} keptProperties - Properties whose embedded value was kept instead of generated
+ * @returns {Object} Provenance by property
+ * @private
+ */
+function buildVersionProvenance(previous, api, metadata, customPrompts, keptProperties) {
+    const source = createProvenance(api);
+    const provenance = { ...previous };
+    const sources = customPrompts.length > 0
+        ? customPrompts.map(promptConfig => [promptConfig.property, promptConfig])
+        : Object.values(DEFAULT_PROMPT_FIELDS).map(field => [field, null]);
+
+    sources.forEach(([property, promptConfig]) => {
+        const value = metadata[property];
+        if (value === undefined || value === '' || isErrorValue(value)) {
+            delete provenance[property];
+            return;
+        }
+        if (keptProperties.includes(property)) {
+            provenance[property] = { source: 'embedded', keptAt: source.generatedAt };
+            return;
+        }
+        provenance[property] = {
+            ...source,
+            promptKey: promptConfig ? getPromptHistoryKey(promptConfig) : null,
+            promptVersion: promptConfig ? ensurePromptVersion(promptConfig) : null
+        };
+    });
+    return provenance;
+}
+
+/**
+ * Check whether a generated metadata object carries an API error
+ * @param {Object} metadata - Metadata returned by generateMetadataForAsset
+ * @returns {boolean} True if any field holds an error message
+ */
+function metadataHasError(metadata) {
+    if (!metadata || metadata.error) return true;
+    return Object.values(metadata).some(isErrorValue);
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildImageInfo,
+        buildMediaFields,
+        ensureImageMetadata,
+        extractPropertyValue,
+        generateMetadataForAsset,
+        isErrorValue,
+        metadataHasError
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.buildImageInfo = buildImageInfo;
+window.buildMediaFields = buildMediaFields;
+window.ensureImageMetadata = ensureImageMetadata;
+window.extractPropertyValue = extractPropertyValue;
+window.generateMetadataForAsset = generateMetadataForAsset;
+window.isErrorValue = isErrorValue;
+window.metadataHasError = metadataHasError;
@@ -0,0 +1,306 @@
+/**
+ * Mock Provider Module
+ * Offline provider adapter for demos, development and automated tests.
+ * Answers every request locally with deterministic, schema-correct values
+ * derived from the filename and image info, and can simulate latency,
+ * rate limits, server errors, timeouts and malformed JSON.
+ */
+
+const MOCK_PROVIDER_ID = 'mock';
+
+const MOCK_FAILURES = {
+    none: 'No failures',
+    rate_limit: 'HTTP 429 rate limit',
+    server_error: 'HTTP 503 server error',
+    timeout: 'Timeout',
+    malformed_json: 'Malformed JSON'
+};
+
+// Counts mock calls so simulated failures hit every Nth call deterministically
+let mockCallCount = 0;
+
+/**
+ * Hash a string to a non-negative 32-bit integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Hash
+ */
+function hashMockSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Split a filename into lower-case words (e.g., "RedSunset_beach-01.jpg" → ["red", "sunset", "beach"])
+ * @param {string} filename - File name
+ * @returns {Array<string>} Words, or ["image"] when the name has none
+ */
+function filenameToWords(filename) {
+    const words = String(filename || '')
+        .replace(/\.[^.]+$/, '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .split(/[^a-zA-Z]+/)
+        .map(word => word.toLowerCase())
+        .filter(word => word.length > 1);
+    return words.length > 0 ? Array.from(new Set(words)) : ['image'];
+}
+
+/**
+ * Describe the orientation of an image
+ * @private
+ */
+function describeOrientation(info) {
+    if (!info.width || !info.height) return '';
+    if (info.width === info.height) return 'square';
+    return info.width > info.height ? 'landscape' : 'portrait';
+}
+
+/**
+ * Build a deterministic value for a property
+ * @param {string} property - Property name
+ * @param {Object} schema - Property schema (see property-schemas.js)
+ * @param {Object} info - Image information (filename, width, height, format)
+ * @returns {*} Value of the JSON type the schema asks for (array for lists)
+ */
+function buildMockValue(property, schema, info) {
+    const s = normalizePropertySchema(schema);
+    const words = filenameToWords(info.filename);
+    const seed = hashMockSeed(`${info.filename || ''}:${property}`);
+
+    switch (s.type) {
+        case 'list': {
+            const terms = Array.from(new Set([...words, info.format, describeOrientation(info)].filter(Boolean)));
+            return terms.slice(0, s.maxItems || 8);
+        }
+        case 'enum':
+            return s.values.length > 0 ? s.values[seed % s.values.length] : 'unknown';
+        case 'number': {
+            const min = s.min ?? 0;
+            const max = Math.max(min, s.max ?? min + 100);
+            return min + seed % (Math.floor(max - min) + 1);
+        }
+        case 'boolean':
+            return seed % 2 === 0;
+        case 'date':
+            // A day between 2020-01-01 and the end of 2024
+            return new Date(Date.UTC(2020, 0, 1) + (seed % 1826) * 86400000).toISOString().slice(0, 10);
+        default: {
+            const subject = words.join(' ');
+            const details = info.width && info.height
+                ? ` (${[`${info.width} × ${info.height}`, info.format].filter(Boolean).join(' ')})`
+                : '';
+            let text = `${subject.charAt(0).toUpperCase()}${subject.slice(1)}: mock ${property}${details}`;
+            while (s.minLength && text.length < s.minLength) {
+                text += ` ${subject}`;
+            }
+            return s.maxLength ? text.slice(0, s.maxLength).trim() : text;
+        }
+    }
+}
+
+/**
+ * Convert a JSON schema fragment from a combined request back into a property schema
+ * @private
+ */
+function propertySchemaFromJsonSchema(jsonSchema = {}) {
+    if (jsonSchema.type === 'array') return { type: 'list' };
+    if (Array.isArray(jsonSchema.enum)) return { type: 'enum', values: jsonSchema.enum };
+    if (jsonSchema.type === 'number' || jsonSchema.type === 'boolean') return { type: jsonSchema.type };
+    return { type: 'string' };
+}
+
+/**
+ * Build the text a model would answer a request with
+ * @param {Object} payload - Payload built by the mock adapter's buildPayload()
+ * @returns {string} Response content
+ */
+function buildMockContent(payload) {
+    const { property, imageInfo, schema: propertySchema, schemas = {} } = payload.context || {};
+    const info = imageInfo || {};
+
+    // Combined request: one JSON object with a typed value per property
+    if (payload.responseSchema) {
+        const values = {};
+        Object.entries(payload.responseSchema.properties || {}).forEach(([name, jsonSchema]) => {
+            // The prompt's own schema gives enum values and lengths the JSON schema cannot carry
+            const schema = schemas[name] ? normalizePropertySchema(schemas[name]) : propertySchemaFromJsonSchema(jsonSchema);
+            values[name] = buildMockValue(name, schema, info);
+        });
+        return JSON.stringify(values);
+    }
+
+    // Single property: plain text, lists joined with their separator
+    if (property) {
+        const schema = normalizePropertySchema(propertySchema);
+        const value = buildMockValue(property, schema, info);
+        return Array.isArray(value) ? value.join(schema.separator) : String(value);
+    }
+
+    // Default prompt: title, description and keywords
+    return JSON.stringify({
+        Title: buildMockValue('title', { type: 'string' }, info),
+        Description: buildMockValue('description', { type: 'string' }, info),
+        Keywords: buildMockValue('keywords', { type: 'list' }, info).join(', ')
+    });
+}
+
+/**
+ * Wait until a signal is aborted, like a request that never answers
+ * @private
+ */
+function waitForAbort(signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => reject(new DOMException('The operation was aborted', 'AbortError'));
+        if (signal.aborted) {
+            abort();
+            return;
+        }
+        signal.addEventListener('abort', abort, { once: true });
+    });
+}
+
+/**
+ * Build a streamed response that sends content as OpenAI-style server-sent events
+ * The chunks are spread over the configured latency so fields visibly fill in.
+ * @private
+ */
+function createMockStreamResponse(payload, content, usage, latencyMs, signal) {
+    const encoder = new TextEncoder();
+    const chunkSize = Math.max(4, Math.ceil(content.length / 12));
+    const chunkDelayMs = Math.max(20, Math.round(latencyMs / 6));
+
+    const body = new ReadableStream({
+        async start(controller) {
+            const send = data => controller.enqueue(encoder.encode(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`));
+            try {
+                for (let i = 0; i < content.length; i += chunkSize) {
+                    await sleepWithSignal(chunkDelayMs, signal);
+                    send({ model: payload.model, choices: [{ delta: { content: content.slice(i, i + chunkSize) }, finish_reason: null }] });
+                }
+                send({ model: payload.model, choices: [{ delta: {}, finish_reason: 'stop' }] });
+                send({ model: payload.model, choices: [], usage });
+                send('[DONE]');
+                controller.close();
+            } catch (error) {
+                controller.error(error);
+            }
+        }
+    });
+
+    return new Response(body, { status: 200, statusText: 'OK', headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * Build a JSON response
+ * @private
+ */
+function createMockResponse(body, status = 200, statusText = 'OK', headers = {}) {
+    return new Response(typeof body === 'string' ? body : JSON.stringify(body), {
+        status,
+        statusText,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+const MOCK_PROVIDER_ADAPTER = {
+    label: 'Mock (offline)',
+    urlPlaceholder: 'Not used',
+    requiredFields: [],
+    buildUrl() {
+        return 'mock://offline/chat/completions';
+    },
+    buildHeaders() {
+        return { 'Content-Type': 'application/json' };
+    },
+    buildPayload(request, config) {
+        // Images are only counted so logs stay small; the mock never looks at pixels
+        return {
+            model: config.modelName || MOCK_PROVIDER_ID,
+            messages: request.messages.map(message => ({
+                role: message.role,
+                text: message.text,
+                images: (message.images || []).length
+            })),
+            responseSchema: request.responseSchema || null,
+            stream: !!request.stream,
+            context: request.context || {}
+        };
+    },
+    /**
+     * Answer a request locally instead of calling fetch()
+     * @param {Object} payload - Payload from buildPayload()
+     * @param {Object} config - API configuration (mockLatencyMs, mockFailure, mockFailEvery)
+     * @param {AbortSignal} signal - Aborted on timeout or cancellation
+     * @returns {Promise<Response>} Promise resolving to an OpenAI-style response, streamed when payload.stream is set
+     */
+    async send(payload, config, signal) {
+        mockCallCount++;
+        const latencyMs = config.mockLatencyMs ?? DEFAULT_CONFIG.mockLatencyMs;
+        await sleepWithSignal(latencyMs, signal);
+
+        const failure = MOCK_FAILURES[config.mockFailure] ? config.mockFailure : 'none';
+        const failEvery = config.mockFailEvery ?? DEFAULT_CONFIG.mockFailEvery;
+        const shouldFail = failure !== 'none' && failEvery > 0 && mockCallCount % failEvery === 0;
+
+        let content = buildMockContent(payload);
+        if (shouldFail) {
+            console.log(`🎭 Mock provider simulating ${MOCK_FAILURES[failure]} (call ${mockCallCount})`);
+            switch (failure) {
+                case 'rate_limit':
+                    return createMockResponse({ error: { message: 'Mock rate limit exceeded' } }, 429, 'Too Many Requests', { 'Retry-After': '1' });
+                case 'server_error':
+                    return createMockResponse({ error: { message: 'Mock service unavailable' } }, 503, 'Service Unavailable');
+                case 'timeout':
+                    await waitForAbort(signal);
+                    break;
+                case 'malformed_json':
+                    // Cut the answer off mid-object, as a model hitting its token limit would
+                    content = `{"${content.slice(0, Math.max(1, Math.floor(content.length / 2)))}`;
+                    break;
+            }
+        }
+
+        const promptText = payload.messages.map(message => message.text || '').join('\n');
+        const usage = {
+            // Roughly four characters per token, plus a flat cost per image
+            prompt_tokens: Math.ceil(promptText.length / 4) + payload.messages.reduce((sum, m) => sum + m.images * 85, 0),
+            completion_tokens: Math.ceil(content.length / 4)
+        };
+
+        if (payload.stream) {
+            return createMockStreamResponse(payload, content, usage, latencyMs, signal);
+        }
+        return createMockResponse({
+            model: payload.model,
+            choices: [{ message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage
+        });
+    },
+    parseResponse: parseOpenAIResponse,
+    parseStreamChunk: parseOpenAIStreamChunk
+};
+
+registerProviderAdapter(MOCK_PROVIDER_ID, MOCK_PROVIDER_ADAPTER);
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MOCK_PROVIDER_ID,
+        MOCK_FAILURES,
+        filenameToWords,
+        buildMockValue,
+        buildMockContent,
+        MOCK_PROVIDER_ADAPTER
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.MOCK_PROVIDER_ID = MOCK_PROVIDER_ID;
+window.MOCK_FAILURES = MOCK_FAILURES;
+window.filenameToWords = filenameToWords;
+window.buildMockValue = buildMockValue;
+window.buildMockContent = buildMockContent;
+window.MOCK_PROVIDER_ADAPTER = MOCK_PROVIDER_ADAPTER;
@@ -0,0 +1,152 @@
+/**
+ * Prompt Dependencies Module
+ * Lets a custom prompt build on other properties' output: prompts declare the
+ * properties they depend on, are generated in dependency order, and see the
+ * earlier values in their prompt text
+ */
+
+/**
+ * Clean up a prompt's declared dependencies
+ * @param {Array} dependsOn - Property names as stored on a custom prompt (may be missing)
+ * @param {string} property - The prompt's own property, which cannot be a dependency
+ * @returns {Array<string>} Unique, non-empty property names
+ */
+function normalizePromptDependencies(dependsOn, property = '') {
+    if (!Array.isArray(dependsOn)) return [];
+    const names = dependsOn.map(name => String(name).trim()).filter(name => name && name !== property);
+    return [...new Set(names)];
+}
+
+/**
+ * Find a circular chain of dependencies between prompts
+ * @param {Array} prompts - Custom prompt objects ({ property, dependsOn })
+ * @returns {Array<string>|null} Properties along the cycle, first one repeated at the end, or null
+ */
+function findDependencyCycle(prompts) {
+    const byProperty = new Map(prompts.map(p => [p.property, p]));
+    const state = new Map(); // property -> 'visiting' | 'done'
+    const path = [];
+
+    const visit = property => {
+        if (state.get(property) === 'done') return null;
+        if (state.get(property) === 'visiting') {
+            return [...path.slice(path.indexOf(property)), property];
+        }
+        state.set(property, 'visiting');
+        path.push(property);
+        for (const dependency of normalizePromptDependencies(byProperty.get(property).dependsOn, property)) {
+            if (!byProperty.has(dependency)) continue;
+            const cycle = visit(dependency);
+            if (cycle) return cycle;
+        }
+        path.pop();
+        state.set(property, 'done');
+        return null;
+    };
+
+    for (const prompt of prompts) {
+        const cycle = visit(prompt.property);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+/**
+ * Group prompts into generation layers
+ * Every prompt comes after the prompts it depends on; prompts in one layer are independent of each other.
+ * Dependencies on properties without a prompt are left to the asset's existing values.
+ * @param {Array} prompts - Custom prompt objects ({ property, dependsOn })
+ * @returns {Object} { layers, blocked, cycle } where blocked lists prompts on or behind a cycle
+ */
+function resolvePromptDependencies(prompts) {
+    const properties = new Set(prompts.map(p => p.property));
+    const dependenciesOf = prompt => normalizePromptDependencies(prompt.dependsOn, prompt.property)
+        .filter(dependency => properties.has(dependency));
+    const layers = [];
+    const placed = new Set();
+    let remaining = prompts;
+
+    while (remaining.length > 0) {
+        const layer = remaining.filter(p => dependenciesOf(p).every(dependency => placed.has(dependency)));
+        if (layer.length === 0) break;
+        layers.push(layer);
+        layer.forEach(p => placed.add(p.property));
+        remaining = remaining.filter(p => !layer.includes(p));
+    }
+
+    return {
+        layers,
+        blocked: remaining,
+        cycle: remaining.length > 0 ? findDependencyCycle(remaining) : null
+    };
+}
+
+/**
+ * Add the values a prompt depends on to its text
+ * Values the template already places with {{output.<property>}} are not repeated.
+ * @param {string} promptText - Prompt text, already rendered for the asset
+ * @param {string} template - Prompt text before rendering, checked for output placeholders
+ * @param {Array<string>} dependencies - Properties whose values the prompt uses
+ * @param {Object} values - Values by property
+ * @returns {string} Prompt text
+ */
+function appendDependencyValues(promptText, template, dependencies, values) {
+    const placed = new Set([...(template || '').matchAll(/\{\{[^}]*\boutput\.([\w.]+)/g)].map(match => match[1]));
+
+    const lines = dependencies
+        .filter(property => values[property] && !placed.has(property))
+        .map(property => `${property}: ${values[property]}`);
+    if (lines.length === 0) return promptText;
+
+    return `${promptText}\n\nBuild on these values already approved for this image and stay consistent with them:\n${lines.join('\n')}`;
+}
+
+/**
+ * Describe a prompt's place in the dependency graph for the custom prompts table
+ * @param {Object} prompt - Custom prompt object
+ * @param {Array} prompts - All custom prompts
+ * @param {Array<string>|null} cycle - Result of findDependencyCycle() for all prompts
+ * @returns {Object|null} { text, title, isError }, or null when the prompt has no dependencies either way
+ */
+function describePromptDependencies(prompt, prompts, cycle) {
+    const dependencies = normalizePromptDependencies(prompt.dependsOn, prompt.property);
+    const dependents = prompts
+        .filter(p => p !== prompt && prompt.property && normalizePromptDependencies(p.dependsOn, p.property).includes(prompt.property))
+        .map(p => p.property);
+
+    if (cycle && prompt.property && cycle.includes(prompt.property)) {
+        return { text: `⚠️ Circular: ${cycle.join(' → ')}`, title: 'Remove one of these dependencies', isError: true };
+    }
+    if (dependencies.length === 0 && dependents.length === 0) return null;
+
+    const properties = new Set(prompts.map(p => p.property));
+    const missing = dependencies.filter(dependency => !properties.has(dependency));
+    const parts = [];
+    if (dependencies.length > 0) parts.push(`after ${dependencies.join(', ')}`);
+    if (dependents.length > 0) parts.push(`feeds ${dependents.join(', ')}`);
+    return {
+        text: `⛓ ${parts.join(' · ')}`,
+        title: missing.length > 0
+            ? `No prompt generates ${missing.join(', ')}; the asset's existing value is used instead`
+            : 'Generated in dependency order',
+        isError: false
+    };
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizePromptDependencies,
+        findDependencyCycle,
+        resolvePromptDependencies,
+        appendDependencyValues,
+        describePromptDependencies
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.normalizePromptDependencies = normalizePromptDependencies;
+window.findDependencyCycle = findDependencyCycle;
+window.resolvePromptDependencies = resolvePromptDependencies;
+window.appendDependencyValues = appendDependencyValues;
+window.describePromptDependencies = describePromptDependencies;
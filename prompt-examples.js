@@ -0,0 +1,313 @@
+/**
+ * Prompt Examples Module
+ * Reference images with approved metadata, attached to a custom prompt or to
+ * the brand profile, and sent ahead of the real question as earlier
+ * conversation turns (few-shot examples)
+ */
+
+const BRAND_EXAMPLES_STORAGE_KEY = 'brandExamples';
+
+// Long edge of downscaled example images; small enough to cost few image tokens
+const EXAMPLE_THUMBNAIL_EDGE = 256;
+
+// Instruction shown with brand examples for requests that use the default prompt
+const DEFAULT_EXAMPLE_PROMPT = "Enrich asset metadata for this image. Return JSON with the keys 'Title', 'Description' and 'Keywords'.";
+
+// JSON keys of the default prompt's answer and the example metadata they are read from
+const DEFAULT_EXAMPLE_FIELDS = { Title: ['title'], Description: ['description'], Keywords: ['keywords', 'tags'] };
+
+/**
+ * Load the brand profile's reference examples
+ * @returns {Array} Examples ({ id, filename, imageUrl, width, height, bytes, metadata })
+ */
+function loadBrandExamples() {
+    try {
+        return normalizeReferenceExamples(JSON.parse(localStorage.getItem(BRAND_EXAMPLES_STORAGE_KEY)));
+    } catch (error) {
+        console.error('Error loading brand examples:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the brand profile's reference examples
+ * @param {Array} examples - Examples to save
+ */
+function saveBrandExamples(examples) {
+    localStorage.setItem(BRAND_EXAMPLES_STORAGE_KEY, JSON.stringify(examples));
+}
+
+/**
+ * Drop malformed examples, e.g. from an imported .prompts file
+ * @param {Array} examples - Examples to check
+ * @returns {Array} Examples with an image data URL and string values
+ */
+function normalizeReferenceExamples(examples) {
+    if (!Array.isArray(examples)) return [];
+    return examples
+        .filter(example => example && typeof example.imageUrl === 'string' && example.imageUrl.startsWith('data:image/'))
+        .map(example => {
+            const metadata = {};
+            Object.entries(example.metadata || {}).forEach(([property, value]) => {
+                if (value !== null && value !== undefined) metadata[property] = String(value);
+            });
+            return {
+                id: example.id || generateId(),
+                filename: example.filename || 'example',
+                imageUrl: example.imageUrl,
+                width: example.width || null,
+                height: example.height || null,
+                bytes: example.bytes || dataUrlByteLength(example.imageUrl),
+                metadata
+            };
+        });
+}
+
+/**
+ * Create a reference example from an image file
+ * @param {File} file - Image file
+ * @param {boolean} downscale - Shrink to a thumbnail to limit image tokens; otherwise use the upload settings
+ * @returns {Promise<Object>} Promise resolving to an example with empty metadata
+ */
+async function createReferenceExample(file, downscale = true) {
+    const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+
+    const settings = getPreprocessSettings(metadataAPI.config);
+    const result = await preprocessImage({ file, dataUrl }, {
+        ...settings,
+        maxImageEdge: downscale ? EXAMPLE_THUMBNAIL_EDGE : settings.maxImageEdge
+    });
+
+    return {
+        id: generateId(),
+        filename: file.name,
+        imageUrl: result.dataUrl,
+        width: result.width,
+        height: result.height,
+        bytes: result.bytes,
+        metadata: {}
+    };
+}
+
+/**
+ * Build the conversation turns for a list of examples
+ * Turns are flagged as examples so the response cache keys them by image content.
+ * @param {Array} examples - { example, answer } pairs
+ * @param {string} promptText - Instruction repeated for each example; templates are rendered with the example's file
+ * @returns {Array} Neutral messages: a user turn with the image and an assistant turn with the answer per example
+ * @private
+ */
+function buildExampleTurns(examples, promptText) {
+    return examples.flatMap(({ example, answer }) => [
+        {
+            role: 'user',
+            text: hasTemplatePlaceholders(promptText)
+                ? renderPromptTemplate(promptText, buildTemplateVariables({ ...example, file: { name: example.filename } }))
+                : promptText,
+            images: [example.imageUrl],
+            example: true
+        },
+        { role: 'assistant', text: answer, images: [], example: true }
+    ]);
+}
+
+/**
+ * Build the example turns for a single-property request
+ * Uses the prompt's own examples plus brand examples that have a value for the property.
+ * @param {Object} promptConfig - Custom prompt object ({ property, prompt, schema, examples })
+ * @param {Array} brandExamples - Brand profile examples
+ * @returns {Array} Neutral messages to send before the question
+ */
+function buildPropertyExampleTurns(promptConfig, brandExamples = loadBrandExamples()) {
+    const examples = [...brandExamples, ...normalizeReferenceExamples(promptConfig.examples)]
+        .map(example => ({ example, answer: (example.metadata[promptConfig.property] || '').trim() }))
+        .filter(example => example.answer);
+    return buildExampleTurns(examples, buildTypedPrompt(promptConfig));
+}
+
+/**
+ * Build the example turns for a combined request
+ * Each example answers with the requested properties it has values for.
+ * @param {Array} promptConfigs - Custom prompt objects in the request
+ * @param {string} promptText - Combined instruction (buildCombinedPrompt())
+ * @param {Array} brandExamples - Brand profile examples
+ * @returns {Array} Neutral messages to send before the question
+ */
+function buildCombinedExampleTurns(promptConfigs, promptText, brandExamples = loadBrandExamples()) {
+    const properties = promptConfigs.map(p => p.property);
+    const examples = [...brandExamples, ...promptConfigs.flatMap(p => normalizeReferenceExamples(p.examples))]
+        .map(example => {
+            const values = {};
+            properties.forEach(property => {
+                const value = (example.metadata[property] || '').trim();
+                if (value) values[property] = value;
+            });
+            return { example, answer: Object.keys(values).length > 0 ? JSON.stringify(values) : '' };
+        })
+        .filter(example => example.answer);
+    return buildExampleTurns(examples, promptText);
+}
+
+/**
+ * Build the example turns for a request that uses the default prompt
+ * @param {Array} brandExamples - Brand profile examples
+ * @returns {Array} Neutral messages to send before the question
+ */
+function buildDefaultExampleTurns(brandExamples = loadBrandExamples()) {
+    const examples = brandExamples
+        .map(example => {
+            const values = {};
+            Object.entries(DEFAULT_EXAMPLE_FIELDS).forEach(([key, fields]) => {
+                const field = fields.find(name => (example.metadata[name] || '').trim());
+                if (field) values[key] = example.metadata[field].trim();
+            });
+            return { example, answer: Object.keys(values).length > 0 ? JSON.stringify(values) : '' };
+        })
+        .filter(example => example.answer);
+    return buildExampleTurns(examples, DEFAULT_EXAMPLE_PROMPT);
+}
+
+/**
+ * Render an editable list of examples
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} examples - Examples to edit in place
+ * @param {Object} options - Rendering options
+ * @param {Array<string>} options.properties - Properties with an approved value input per example
+ * @param {Function} options.onChange - Called with the examples after any edit
+ */
+function renderExampleList(container, examples, { properties, onChange }) {
+    container.innerHTML = '';
+
+    examples.forEach(example => {
+        const item = document.createElement('div');
+        item.className = 'prompt-example';
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'prompt-example-image';
+        thumbnail.src = example.imageUrl;
+        thumbnail.alt = example.filename;
+        thumbnail.title = `${example.filename} · ${example.width} × ${example.height} · ${formatFileSize(example.bytes)}`;
+
+        const fields = document.createElement('div');
+        fields.className = 'prompt-example-fields';
+        properties.filter(Boolean).forEach(property => {
+            const input = document.createElement('textarea');
+            input.className = 'prompt-example-input';
+            input.placeholder = `Approved ${property}`;
+            input.title = property;
+            input.value = example.metadata[property] || '';
+            input.addEventListener('input', (e) => {
+                example.metadata[property] = e.target.value;
+                onChange(examples);
+            });
+            fields.appendChild(input);
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-prompt-btn';
+        removeBtn.textContent = '✖';
+        removeBtn.title = 'Remove example';
+        removeBtn.addEventListener('click', () => {
+            examples.splice(examples.indexOf(example), 1);
+            onChange(examples);
+            renderExampleList(container, examples, { properties, onChange });
+        });
+
+        item.appendChild(thumbnail);
+        item.appendChild(fields);
+        item.appendChild(removeBtn);
+        container.appendChild(item);
+    });
+
+    // Add control: file picker plus the thumbnail option
+    const controls = document.createElement('div');
+    controls.className = 'prompt-example-controls';
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'image/*';
+    fileInput.style.display = 'none';
+    const addBtn = document.createElement('button');
+    addBtn.className = 'custom-prompt-btn';
+    addBtn.textContent = '🖼️ Add example';
+    addBtn.addEventListener('click', () => fileInput.click());
+    const downscaleLabel = document.createElement('label');
+    downscaleLabel.className = 'prompt-schema-checkbox';
+    const downscaleInput = document.createElement('input');
+    downscaleInput.type = 'checkbox';
+    downscaleInput.checked = true;
+    downscaleLabel.appendChild(downscaleInput);
+    downscaleLabel.appendChild(document.createTextNode(` Downscale to ${EXAMPLE_THUMBNAIL_EDGE}px`));
+
+    fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            examples.push(await createReferenceExample(file, downscaleInput.checked));
+            onChange(examples);
+            renderExampleList(container, examples, { properties, onChange });
+        } catch (error) {
+            console.error('Error adding reference example:', error);
+            showNotification(`❌ Could not add example: ${error.message}`, 'error');
+        }
+    });
+
+    controls.appendChild(addBtn);
+    controls.appendChild(downscaleLabel);
+    controls.appendChild(fileInput);
+    container.appendChild(controls);
+}
+
+/**
+ * Render the brand profile's examples in the brand prompt section
+ */
+function renderBrandExamples() {
+    const container = document.getElementById('brandExamplesList');
+    if (!container) return;
+
+    const properties = getStoredCustomPrompts().map(p => p.property);
+    renderExampleList(container, loadBrandExamples(), {
+        properties,
+        onChange: examples => {
+            try {
+                saveBrandExamples(examples);
+            } catch (error) {
+                console.error('Error saving brand examples:', error);
+                showNotification('❌ Brand examples are too large to save; tick "Downscale" or remove some', 'error');
+            }
+        }
+    });
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXAMPLE_THUMBNAIL_EDGE,
+        loadBrandExamples,
+        saveBrandExamples,
+        normalizeReferenceExamples,
+        createReferenceExample,
+        buildPropertyExampleTurns,
+        buildCombinedExampleTurns,
+        buildDefaultExampleTurns,
+        renderExampleList,
+        renderBrandExamples
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.EXAMPLE_THUMBNAIL_EDGE = EXAMPLE_THUMBNAIL_EDGE;
+window.loadBrandExamples = loadBrandExamples;
+window.saveBrandExamples = saveBrandExamples;
+window.normalizeReferenceExamples = normalizeReferenceExamples;
+window.createReferenceExample = createReferenceExample;
+window.buildPropertyExampleTurns = buildPropertyExampleTurns;
+window.buildCombinedExampleTurns = buildCombinedExampleTurns;
+window.buildDefaultExampleTurns = buildDefaultExampleTurns;
+window.renderExampleList = renderExampleList;
+window.renderBrandExamples = renderBrandExamples;
@@ -0,0 +1,410 @@
+/**
+ * Prompt History Module
+ * Keeps every saved wording of the custom prompts and the brand prompt as a
+ * numbered version, shows what changed between versions, restores old ones,
+ * and records which versions and model produced each generated value
+ */
+
+const PROMPT_HISTORY_STORAGE_KEY = 'promptHistory';
+
+// Versions kept per prompt; the oldest are dropped first
+const PROMPT_HISTORY_LIMIT = 50;
+
+/**
+ * Load the version history
+ * @returns {Object} { prompts: { [promptKey]: versions }, brand: versions }
+ * @private
+ */
+function loadPromptHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(PROMPT_HISTORY_STORAGE_KEY));
+        return {
+            prompts: history?.prompts && typeof history.prompts === 'object' ? history.prompts : {},
+            brand: Array.isArray(history?.brand) ? history.brand : []
+        };
+    } catch (error) {
+        console.error('Error loading prompt history:', error);
+        return { prompts: {}, brand: [] };
+    }
+}
+
+/**
+ * Save the version history
+ * @private
+ */
+function savePromptHistory(history) {
+    try {
+        localStorage.setItem(PROMPT_HISTORY_STORAGE_KEY, JSON.stringify(history));
+    } catch (error) {
+        console.error('Error saving prompt history:', error);
+    }
+}
+
+/**
+ * Key a prompt's history by its ID; prompts saved before IDs existed use their property name
+ * @param {Object} promptConfig - Custom prompt object
+ * @returns {string} History key
+ */
+function getPromptHistoryKey(promptConfig) {
+    return promptConfig.id || `property:${promptConfig.property}`;
+}
+
+/**
+ * The parts of a prompt that change what the model is asked
+ * @private
+ */
+function createPromptSnapshot(promptConfig) {
+    return {
+        property: promptConfig.property || '',
+        prompt: promptConfig.prompt || '',
+        schema: normalizePropertySchema(promptConfig.schema),
+        dependsOn: normalizePromptDependencies(promptConfig.dependsOn, promptConfig.property)
+    };
+}
+
+/**
+ * Find a version with the given content, or append a new one
+ * Returning to an earlier wording reuses its version number, so a number always means the same text.
+ * @private
+ */
+function ensureVersion(versions, snapshot) {
+    const content = JSON.stringify(snapshot);
+    const existing = versions.find(version => JSON.stringify(version.content) === content);
+    if (existing) return { versions, version: existing.version };
+
+    const version = (versions[versions.length - 1]?.version || 0) + 1;
+    const updated = [...versions, { version, savedAt: new Date().toISOString(), content: snapshot }].slice(-PROMPT_HISTORY_LIMIT);
+    return { versions: updated, version };
+}
+
+/**
+ * Get the version number of a prompt's current wording, recording it if it is new
+ * @param {Object} promptConfig - Custom prompt object
+ * @returns {number} Version number
+ */
+function ensurePromptVersion(promptConfig) {
+    const history = loadPromptHistory();
+    const key = getPromptHistoryKey(promptConfig);
+    const result = ensureVersion(history.prompts[key] || [], createPromptSnapshot(promptConfig));
+    if (result.versions !== history.prompts[key]) {
+        history.prompts[key] = result.versions;
+        savePromptHistory(history);
+    }
+    return result.version;
+}
+
+/**
+ * Get the version number of a brand prompt, recording it if it is new
+ * @param {string} text - Brand prompt text
+ * @returns {number} Version number
+ */
+function ensureBrandPromptVersion(text) {
+    const history = loadPromptHistory();
+    const result = ensureVersion(history.brand, { text: (text || '').trim() });
+    if (result.versions !== history.brand) {
+        history.brand = result.versions;
+        savePromptHistory(history);
+    }
+    return result.version;
+}
+
+/**
+ * Record the current wording of each prompt
+ * @param {Array} prompts - Custom prompt objects being saved
+ */
+function recordPromptVersions(prompts) {
+    prompts.forEach(promptConfig => ensurePromptVersion(promptConfig));
+}
+
+/**
+ * Get a prompt's versions, oldest first
+ * @param {string} key - History key (getPromptHistoryKey())
+ * @returns {Array} Versions ({ version, savedAt, content })
+ */
+function getPromptVersions(key) {
+    return loadPromptHistory().prompts[key] || [];
+}
+
+/**
+ * Get the brand prompt's versions, oldest first
+ * @returns {Array} Versions ({ version, savedAt, content: { text } })
+ */
+function getBrandPromptVersions() {
+    return loadPromptHistory().brand;
+}
+
+/**
+ * Describe the provenance of values generated with an API instance
+ * @param {MetadataAPI} api - API instance the values were generated with
+ * @returns {Object} { provider, model, deployment, brandVersion, generatedAt } shared by every value of the request
+ */
+function createProvenance(api) {
+    return {
+        provider: api.config.provider,
+        model: api.config.modelName || null,
+        deployment: api.config.provider === 'azure-openai' ? api.config.deployment || null : null,
+        brandVersion: ensureBrandPromptVersion(api.getBrandPrompt()),
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Describe a value's provenance in one line, e.g. for a tooltip
+ * @param {Object} provenance - Provenance of one value
+ * @returns {string} Description
+ */
+function formatProvenance(provenance) {
+    if (!provenance) return '';
+    if (provenance.source === 'embedded') {
+        return 'kept from the metadata embedded in the file'
+            + (provenance.editedAt ? ` · edited ${new Date(provenance.editedAt).toLocaleString()}` : '');
+    }
+    if (!provenance.generatedAt) return `edited by hand ${new Date(provenance.editedAt).toLocaleString()}`;
+    const parts = [
+        provenance.promptVersion ? `prompt v${provenance.promptVersion}` : 'default prompt',
+        `brand v${provenance.brandVersion}`,
+        [provenance.provider, provenance.model, provenance.deployment].filter(Boolean).join(' '),
+        `generated ${new Date(provenance.generatedAt).toLocaleString()}`
+    ];
+    if (provenance.editedAt) parts.push(`edited ${new Date(provenance.editedAt).toLocaleString()}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Mark a value as edited by hand, keeping where it was generated
+ * @param {string} imageId - Image id
+ * @param {string} versionKey - Metadata version key
+ * @param {string} property - Property that was edited
+ */
+function markValueEdited(imageId, versionKey, property) {
+    const entry = imageMetadata[imageId];
+    if (!entry) return;
+    const provenance = entry.provenance?.[versionKey] || {};
+    entry.provenance = {
+        ...entry.provenance,
+        [versionKey]: { ...provenance, [property]: { ...provenance[property], editedAt: new Date().toISOString() } }
+    };
+}
+
+/**
+ * Collect the prompt wording behind the exported values, so an export can be audited on its own
+ * @returns {Object} { prompts: { [promptKey]: { [version]: content } }, brand: { [version]: text } }
+ */
+function collectReferencedPromptVersions() {
+    const history = loadPromptHistory();
+    const referenced = { prompts: {}, brand: {} };
+
+    Object.values(imageMetadata).forEach(entry => {
+        Object.values(entry.provenance || {}).forEach(byProperty => {
+            Object.values(byProperty).forEach(provenance => {
+                const promptVersion = (history.prompts[provenance.promptKey] || []).find(v => v.version === provenance.promptVersion);
+                if (promptVersion) {
+                    referenced.prompts[provenance.promptKey] = {
+                        ...referenced.prompts[provenance.promptKey],
+                        [promptVersion.version]: promptVersion.content
+                    };
+                }
+                const brandVersion = history.brand.find(v => v.version === provenance.brandVersion);
+                if (brandVersion) referenced.brand[brandVersion.version] = brandVersion.content.text;
+            });
+        });
+    });
+
+    return referenced;
+}
+
+/**
+ * Compare two texts word by word
+ * @param {string} oldText - Earlier text
+ * @param {string} newText - Later text
+ * @returns {Array} Parts ({ type: 'same' | 'added' | 'removed', text }) in reading order
+ */
+function diffPromptText(oldText, newText) {
+    const a = (oldText || '').split(/(\s+)/).filter(Boolean);
+    const b = (newText || '').split(/(\s+)/).filter(Boolean);
+
+    // Longest common subsequence table, filled from the end
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type, text });
+        }
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    a.slice(i).forEach(token => push('removed', token));
+    b.slice(j).forEach(token => push('added', token));
+    return parts;
+}
+
+/**
+ * Render a version's content as the text that is compared between versions
+ * @private
+ */
+function describeVersionContent(content) {
+    if (typeof content.text === 'string') return content.text;
+    const lines = [`Property: ${content.property}`, `Type: ${PROPERTY_TYPES[content.schema.type] || content.schema.type}`];
+    if (content.dependsOn.length > 0) lines.push(`Uses: ${content.dependsOn.join(', ')}`);
+    return `${lines.join('\n')}\n\n${content.prompt}`;
+}
+
+/**
+ * Show a version history in the history modal
+ * @param {string} title - Modal title
+ * @param {Array} versions - Versions, oldest first
+ * @param {Object} currentContent - Current wording, marked on the version that matches it
+ * @param {Function} onRestore - Called with a version's content to restore it
+ * @private
+ */
+function renderPromptHistoryModal(title, versions, currentContent, onRestore) {
+    const currentVersion = versions.find(version => JSON.stringify(version.content) === JSON.stringify(currentContent))?.version;
+    const modal = document.getElementById('promptHistoryModal');
+    const list = document.getElementById('promptHistoryList');
+    document.getElementById('promptHistoryTitle').textContent = title;
+    list.innerHTML = '';
+
+    if (versions.length === 0) {
+        list.textContent = 'No saved versions yet. Versions are recorded when prompts are saved or used for generation.';
+    }
+
+    [...versions].reverse().forEach((version, index, newestFirst) => {
+        const previous = newestFirst[index + 1];
+        const item = document.createElement('div');
+        item.className = 'prompt-history-version';
+
+        const header = document.createElement('div');
+        header.className = 'prompt-history-header';
+        const label = document.createElement('strong');
+        label.textContent = `v${version.version}`;
+        const meta = document.createElement('span');
+        meta.className = 'prompt-history-meta';
+        meta.textContent = new Date(version.savedAt).toLocaleString() + (version.version === currentVersion ? ' · current' : '');
+        header.appendChild(label);
+        header.appendChild(meta);
+
+        if (version.version !== currentVersion) {
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'custom-prompt-btn';
+            restoreBtn.textContent = '↩ Restore';
+            restoreBtn.addEventListener('click', () => {
+                onRestore(version.content);
+                modal.style.display = 'none';
+                showNotification(`↩ Restored v${version.version}; save to keep it`, 'success');
+            });
+            header.appendChild(restoreBtn);
+        }
+
+        // Changes against the version before it; the first version is shown as written
+        const diff = document.createElement('pre');
+        diff.className = 'prompt-history-diff';
+        diffPromptText(previous ? describeVersionContent(previous.content) : '', describeVersionContent(version.content))
+            .forEach(part => {
+                const span = document.createElement(part.type === 'added' ? 'ins' : part.type === 'removed' ? 'del' : 'span');
+                span.textContent = part.text;
+                diff.appendChild(span);
+            });
+
+        item.appendChild(header);
+        item.appendChild(diff);
+        list.appendChild(item);
+    });
+
+    modal.style.display = 'block';
+}
+
+/**
+ * Show a custom prompt's history, with diffs and restore buttons
+ * @param {Object} promptConfig - Custom prompt object
+ * @param {Function} onRestore - Called with the restored { property, prompt, schema, dependsOn }
+ */
+function showPromptVersionHistory(promptConfig, onRestore) {
+    renderPromptHistoryModal(
+        `🕘 History of "${promptConfig.property || '(unnamed)'}"`,
+        getPromptVersions(getPromptHistoryKey(promptConfig)),
+        createPromptSnapshot(promptConfig),
+        onRestore
+    );
+}
+
+/**
+ * Show the brand prompt's history, with diffs and restore buttons
+ * @param {string} text - Current brand prompt
+ * @param {Function} onRestore - Called with the restored { text }
+ */
+function showBrandPromptHistory(text, onRestore) {
+    renderPromptHistoryModal('🕘 Brand prompt history', getBrandPromptVersions(), { text: (text || '').trim() }, onRestore);
+}
+
+/**
+ * Initialize the prompt history modal
+ */
+function initializePromptHistoryHandlers() {
+    const modal = document.getElementById('promptHistoryModal');
+    if (!modal) return;
+
+    modal.querySelector('.close').addEventListener('click', () => {
+        modal.style.display = 'none';
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.style.display = 'none';
+        }
+    });
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getPromptHistoryKey,
+        ensurePromptVersion,
+        ensureBrandPromptVersion,
+        recordPromptVersions,
+        getPromptVersions,
+        getBrandPromptVersions,
+        createProvenance,
+        formatProvenance,
+        markValueEdited,
+        collectReferencedPromptVersions,
+        diffPromptText,
+        showPromptVersionHistory,
+        showBrandPromptHistory,
+        initializePromptHistoryHandlers
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.getPromptHistoryKey = getPromptHistoryKey;
+window.ensurePromptVersion = ensurePromptVersion;
+window.ensureBrandPromptVersion = ensureBrandPromptVersion;
+window.recordPromptVersions = recordPromptVersions;
+window.getPromptVersions = getPromptVersions;
+window.getBrandPromptVersions = getBrandPromptVersions;
+window.createProvenance = createProvenance;
+window.formatProvenance = formatProvenance;
+window.markValueEdited = markValueEdited;
+window.collectReferencedPromptVersions = collectReferencedPromptVersions;
+window.diffPromptText = diffPromptText;
+window.showPromptVersionHistory = showPromptVersionHistory;
+window.showBrandPromptHistory = showBrandPromptHistory;
+window.initializePromptHistoryHandlers = initializePromptHistoryHandlers;
@@ -0,0 +1,348 @@
+/**
+ * Prompt Templates Module
+ * Renders {{placeholders}} and {{#if}} conditionals in custom prompts with the
+ * asset's context, so prompt authors decide exactly what the model sees.
+ * Prompts without placeholders keep the fixed image-info preamble.
+ */
+
+// Variables available to templates, with a description for the preview panel
+const TEMPLATE_VARIABLES = {
+    filename: 'File name with extension',
+    basename: 'File name without extension',
+    folderPath: 'Folder of the file within the selected folder',
+    width: 'Width in pixels',
+    height: 'Height in pixels',
+    format: 'File extension (jpg, png, ...)',
+    size: 'File size (e.g. 2.4 MB)',
+    duration: 'Length of a video (e.g. 1:05); empty for images',
+    pageCount: 'Number of pages of a PDF or multi-page TIFF; empty for images and videos',
+    documentText: 'Text of the pages of a PDF that are sent; empty for other assets',
+    'existing.<property>': 'Current value of a metadata field, e.g. existing.title',
+    'output.<property>': 'Value generated in this run for a property the prompt depends on',
+    'embedded.<field>': 'Metadata the file carries: title, description, keywords, creator, copyright, dateTaken, camera, lens, location',
+    brand: 'Brand prompt'
+};
+
+// {{name}}, {{existing.title}}, {{#if name}}, {{#unless name}}, {{else}}, {{/if}}, {{/unless}}
+const TEMPLATE_TOKEN_PATTERN = /\{\{\s*(#if|#unless|else|\/if|\/unless)?\s*([\w.]*)\s*\}\}/g;
+
+/**
+ * Check whether a prompt uses template placeholders
+ * @param {string} text - Prompt text
+ * @returns {boolean} True if the prompt contains {{...}}
+ */
+function hasTemplatePlaceholders(text) {
+    return typeof text === 'string' && new RegExp(TEMPLATE_TOKEN_PATTERN.source).test(text);
+}
+
+/**
+ * Parse a template into a tree of text, variable and conditional nodes
+ * Unbalanced tags are tolerated: a stray {{/if}} is dropped and an open {{#if}} ends with the template.
+ * @param {string} template - Template text
+ * @returns {Object} { nodes, errors } where errors describes unbalanced tags
+ * @private
+ */
+function parsePromptTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    const errors = [];
+    const current = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.elseChildren : node.children;
+    };
+    let lastIndex = 0;
+
+    for (const match of template.matchAll(TEMPLATE_TOKEN_PATTERN)) {
+        const [token, tag, name] = match;
+        if (match.index > lastIndex) {
+            current().push({ type: 'text', text: template.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + token.length;
+
+        if (tag === '#if' || tag === '#unless') {
+            const node = { type: 'if', name, negate: tag === '#unless', children: [], elseChildren: [], inElse: false };
+            current().push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            if (stack.length > 1) {
+                stack[stack.length - 1].inElse = true;
+            } else {
+                errors.push('{{else}} outside of {{#if}}');
+            }
+        } else if (tag === '/if' || tag === '/unless') {
+            if (stack.length > 1) {
+                stack.pop();
+            } else {
+                errors.push(`${token} without a matching opening tag`);
+            }
+        } else if (name) {
+            current().push({ type: 'variable', name });
+        }
+    }
+    if (lastIndex < template.length) {
+        current().push({ type: 'text', text: template.slice(lastIndex) });
+    }
+    stack.slice(1).forEach(node => errors.push(`{{#if ${node.name}}} is never closed`));
+
+    return { nodes: root.children, errors };
+}
+
+/**
+ * Look up a (dotted) variable
+ * @private
+ */
+function getTemplateValue(variables, name) {
+    const value = name.split('.').reduce((scope, key) => (scope && typeof scope === 'object' ? scope[key] : undefined), variables);
+    return value === null || value === undefined || typeof value === 'object' ? '' : String(value).trim();
+}
+
+/**
+ * Render a parsed template
+ * @private
+ */
+function renderTemplateNodes(nodes, variables) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.text;
+        if (node.type === 'variable') return getTemplateValue(variables, node.name);
+        const present = getTemplateValue(variables, node.name) !== '';
+        return renderTemplateNodes(present !== node.negate ? node.children : node.elseChildren, variables);
+    }).join('');
+}
+
+/**
+ * Render a prompt template
+ * Missing or empty variables render as nothing; use {{#if name}}...{{else}}...{{/if}} to word around them.
+ * @param {string} template - Template text
+ * @param {Object} variables - Variables from buildTemplateVariables()
+ * @returns {string} Rendered prompt
+ */
+function renderPromptTemplate(template, variables = {}) {
+    // Conditionals that render nothing leave blank lines behind
+    return renderTemplateNodes(parsePromptTemplate(template || '').nodes, variables).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Find problems in a template for the preview panel
+ * @param {string} template - Template text
+ * @param {Object} variables - Variables from buildTemplateVariables()
+ * @returns {Array<string>} Unbalanced tags and unknown variable names
+ */
+function findTemplateProblems(template, variables = {}) {
+    const { nodes, errors } = parsePromptTemplate(template || '');
+    const unknown = new Set();
+    const visit = list => list.forEach(node => {
+        if (node.type === 'text') return;
+        const [scope] = node.name.split('.');
+        if (node.name && !(scope in variables)) unknown.add(node.name);
+        if (node.type === 'if') {
+            visit(node.children);
+            visit(node.elseChildren);
+        }
+    });
+    visit(nodes);
+    return [...errors, ...[...unknown].map(name => `Unknown variable {{${name}}}`)];
+}
+
+/**
+ * Build the template variables for an asset
+ * @param {Object} imageData - Processed image entry (needs id, file, width and height)
+ * @param {Object} options - Options
+ * @param {string} options.versionKey - Metadata version whose values fill existing.*
+ * @param {string} options.brand - Brand prompt
+ * @returns {Object} Variables for renderPromptTemplate()
+ */
+function buildTemplateVariables(imageData, { versionKey = 'version1', brand = '' } = {}) {
+    const file = imageData.file || {};
+    const filename = file.name || imageData.filename || '';
+    const relativePath = file.name ? getFileRelativePath(file) : '';
+
+    // Error messages from failed generations are not real values
+    const existing = {};
+    Object.entries(imageMetadata[imageData.id]?.[versionKey] || {}).forEach(([property, value]) => {
+        if (value && !isErrorValue(value)) existing[property] = value;
+    });
+
+    // Embedded fields as text, e.g. keywords as a comma-separated list
+    const embedded = Object.fromEntries(
+        Object.entries(buildEmbeddedImageInfo(imageData.embedded)).map(([key, value]) => [key.replace(/^embedded_/, ''), value])
+    );
+
+    return {
+        filename,
+        basename: filename.replace(/\.[^.]+$/, ''),
+        folderPath: relativePath.includes('/') ? relativePath.slice(0, relativePath.lastIndexOf('/')) : '',
+        width: imageData.width || '',
+        height: imageData.height || '',
+        format: filename.includes('.') ? filename.split('.').pop().toLowerCase() : '',
+        size: file.size ? formatFileSize(file.size) : '',
+        duration: imageData.video ? formatDuration(imageData.video.duration) : '',
+        pageCount: imageData.document ? imageData.document.pageCount : '',
+        // Only known once the pages have been rendered for upload, i.e. while generating
+        documentText: imageData.document ? getDocumentText(imageData) : '',
+        existing,
+        embedded,
+        // Filled with earlier results while generating (see prompt-dependencies.js)
+        output: {},
+        brand
+    };
+}
+
+/**
+ * Turn a prompt into the text sent for an asset
+ * Templates are rendered with the asset's variables; prompts without placeholders get the image-info preamble.
+ * @param {string} promptText - Prompt text (may be a template)
+ * @param {Object} imageInfo - Image information, used for the preamble
+ * @param {Object} variables - Variables from buildTemplateVariables()
+ * @returns {string} Prompt text
+ */
+function renderPromptForAsset(promptText, imageInfo, variables) {
+    return hasTemplatePlaceholders(promptText)
+        ? renderPromptTemplate(promptText, variables)
+        : concatenateImageInfoWithPrompt(imageInfo, promptText);
+}
+
+/**
+ * Fill the asset and prompt pickers of the preview panel
+ * @private
+ */
+function updatePromptPreviewOptions(assetSelect, promptSelect) {
+    const images = (typeof processedImages !== 'undefined' ? processedImages : []).filter(Boolean);
+    if (assetSelect.options.length !== images.length) {
+        const selected = assetSelect.value;
+        assetSelect.innerHTML = '';
+        images.forEach(imageData => assetSelect.add(new Option(`#${imageData.index} ${imageData.file.name}`, imageData.id)));
+        if (selected) assetSelect.value = selected;
+    }
+
+    const selectedPrompt = promptSelect.value;
+    promptSelect.innerHTML = '';
+    customPrompts.forEach(p => promptSelect.add(new Option(p.property || '(unnamed)', p.id)));
+    if (customPrompts.length > 1) {
+        promptSelect.add(new Option('Combined request', 'combined'));
+    }
+    promptSelect.value = selectedPrompt;
+    if (promptSelect.selectedIndex < 0) promptSelect.selectedIndex = 0;
+}
+
+/**
+ * Count the images a video or document is sent as
+ * @param {Object} imageData - Processed asset entry
+ * @param {Object} config - Current API configuration
+ * @returns {number} Keyframes or pages prepared for upload, or the most the settings allow before that; 0 for images
+ * @private
+ */
+function getPreviewImageCount(imageData, config) {
+    if (imageData.video) {
+        return imageData.upload?.frames?.length || getKeyframeSettings(config).maxKeyframes;
+    }
+    if (imageData.document) {
+        return imageData.upload?.pages?.length || Math.min(imageData.document.pageCount, getDocumentSettings(config).maxDocumentPages);
+    }
+    return 0;
+}
+
+/**
+ * Render the live preview of a prompt for the chosen asset
+ * Shows the text exactly as sent, including the brand prompt, any preamble and the note that introduces a video's
+ * keyframes or a document's pages. Until those are prepared, the note counts as many as the settings allow.
+ */
+function renderPromptPreview() {
+    const output = document.getElementById('promptPreviewOutput');
+    if (!output) return;
+    const assetSelect = document.getElementById('promptPreviewAsset');
+    const promptSelect = document.getElementById('promptPreviewPrompt');
+    const problemsElement = document.getElementById('promptPreviewProblems');
+    updatePromptPreviewOptions(assetSelect, promptSelect);
+
+    const imageData = (typeof processedImages !== 'undefined' ? processedImages : []).find(item => item?.id === assetSelect.value);
+    const isCombined = promptSelect.value === 'combined';
+    const promptConfig = customPrompts.find(p => p.id === promptSelect.value);
+    if (!imageData || (!isCombined && !promptConfig)) {
+        output.textContent = imageData ? 'Add a custom prompt to preview it.' : 'Select a folder to preview prompts against an asset.';
+        problemsElement.textContent = '';
+        return;
+    }
+    if (!isCombined && !promptAppliesTo(promptConfig, imageData)) {
+        output.textContent = `This prompt is limited to ${PROMPT_APPLIES_TO[normalizePromptAppliesTo(promptConfig.appliesTo)].toLowerCase()} and does not run for this ${getAssetMediaType(imageData)}.`;
+        problemsElement.textContent = '';
+        return;
+    }
+    // Skip mode sends nothing for a property the file already fills in
+    const existingMode = metadataAPI.config.existingMetadataMode || DEFAULT_CONFIG.existingMetadataMode;
+    const isKept = p => existingMode === 'skip' && !!getEmbeddedValue(imageData.embedded, p.property);
+    if (!isCombined && isKept(promptConfig)) {
+        output.textContent = `The file already has a ${promptConfig.property} value. Skip mode keeps it, so no request is sent.`;
+        problemsElement.textContent = '';
+        return;
+    }
+    const validPrompts = customPrompts.filter(p => (p.property || '').trim() && (p.prompt || '').trim() && promptAppliesTo(p, imageData) && !isKept(p));
+    if (isCombined && validPrompts.length === 0) {
+        output.textContent = 'The file already has a value for every prompt. Skip mode keeps them, so no request is sent.';
+        problemsElement.textContent = '';
+        return;
+    }
+
+    const variables = buildTemplateVariables(imageData, { brand: metadataAPI.getBrandPrompt() });
+    // Dependencies are previewed with the asset's current values in place of this run's output
+    variables.output = variables.existing;
+    const template = isCombined ? metadataAPI.buildCombinedPrompt(validPrompts) : buildTypedPrompt(promptConfig);
+    const previewPrompts = isCombined ? validPrompts : [promptConfig];
+    const dependencies = [...new Set(previewPrompts.flatMap(p => normalizePromptDependencies(p.dependsOn, p.property)))];
+    // Augment mode asks the model to build on the embedded values, as generation does
+    const embeddedValues = existingMode === 'augment'
+        ? Object.fromEntries(previewPrompts.map(p => [p.property, getEmbeddedValue(imageData.embedded, p.property)]))
+        : {};
+    const imageInfo = buildImageInfo(imageData, metadataAPI.config);
+    const rendered = appendEmbeddedValues(appendDependencyValues(
+        renderPromptForAsset(template, imageInfo, variables),
+        template,
+        dependencies,
+        variables.existing
+    ), embeddedValues);
+    const prompt = metadataAPI.buildPrompt(isCombined ? null : promptConfig.property, rendered);
+    const imageCount = getPreviewImageCount(imageData, metadataAPI.config);
+    output.textContent = imageCount ? `${metadataAPI.buildMultiImageNote(imageInfo, imageCount)}\n\n${prompt}` : prompt;
+
+    const problems = findTemplateProblems(template, variables);
+    problemsElement.textContent = problems.length > 0 ? `⚠️ ${problems.join(' · ')}` : '';
+}
+
+/**
+ * Initialize the prompt preview panel
+ */
+function initializePromptPreviewHandlers() {
+    const variablesElement = document.getElementById('promptPreviewVariables');
+    if (!variablesElement) return;
+
+    variablesElement.textContent = 'Variables: ' + Object.entries(TEMPLATE_VARIABLES)
+        .map(([name, description]) => `{{${name}}} ${description}`)
+        .join(' · ') + '. Wrap optional parts in {{#if name}}...{{else}}...{{/if}}.';
+
+    document.getElementById('promptPreviewAsset').addEventListener('change', renderPromptPreview);
+    document.getElementById('promptPreviewPrompt').addEventListener('change', renderPromptPreview);
+    document.getElementById('promptPreviewAsset').addEventListener('focus', renderPromptPreview);
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEMPLATE_VARIABLES,
+        hasTemplatePlaceholders,
+        renderPromptTemplate,
+        findTemplateProblems,
+        buildTemplateVariables,
+        renderPromptForAsset,
+        renderPromptPreview,
+        initializePromptPreviewHandlers
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
+window.hasTemplatePlaceholders = hasTemplatePlaceholders;
+window.renderPromptTemplate = renderPromptTemplate;
+window.findTemplateProblems = findTemplateProblems;
+window.buildTemplateVariables = buildTemplateVariables;
+window.renderPromptForAsset = renderPromptForAsset;
+window.renderPromptPreview = renderPromptPreview;
+window.initializePromptPreviewHandlers = initializePromptPreviewHandlers;
@@ -0,0 +1,266 @@
+/**
+ * Property Schemas Module
+ * Declares the expected type of each custom prompt property, tells the model
+ * about it, and validates and normalizes the values that come back
+ */
+
+const PROPERTY_TYPES = {
+    string: 'Text',
+    list: 'List',
+    enum: 'Choice',
+    number: 'Number',
+    boolean: 'Yes / No',
+    date: 'Date'
+};
+
+// List items longer than this are treated as prose rather than keywords
+const DEFAULT_MAX_LIST_ITEM_LENGTH = 60;
+const DEFAULT_MAX_LIST_ITEM_WORDS = 6;
+
+/**
+ * Fill in defaults for a property schema
+ * @param {Object} schema - Schema as stored on a custom prompt (may be missing)
+ * @returns {Object} Schema with a valid type and its options
+ */
+function normalizePropertySchema(schema) {
+    const type = schema && PROPERTY_TYPES[schema.type] ? schema.type : 'string';
+    const toNumber = value => (value === '' || value === null || value === undefined || isNaN(value)) ? null : Number(value);
+
+    switch (type) {
+        case 'list':
+            return {
+                type,
+                maxItems: toNumber(schema.maxItems),
+                separator: schema.separator || ', ',
+                taxonomy: !!schema.taxonomy
+            };
+        case 'enum':
+            return {
+                type,
+                values: (Array.isArray(schema.values) ? schema.values : [])
+                    .map(value => String(value).trim())
+                    .filter(Boolean)
+            };
+        case 'number':
+            return { type, min: toNumber(schema.min), max: toNumber(schema.max) };
+        case 'boolean':
+        case 'date':
+            return { type };
+        default:
+            return {
+                type: 'string',
+                minLength: toNumber(schema?.minLength),
+                maxLength: toNumber(schema?.maxLength)
+            };
+    }
+}
+
+/**
+ * Describe the expected output format so it can be appended to a prompt
+ * @param {Object} schema - Property schema
+ * @returns {string} Format instruction, or an empty string for unconstrained text
+ */
+function describePropertySchema(schema) {
+    const s = normalizePropertySchema(schema);
+
+    switch (s.type) {
+        case 'list': {
+            const separator = JSON.stringify(s.separator);
+            const limit = s.maxItems ? ` with at most ${s.maxItems} items` : '';
+            return `Answer with a list of short terms${limit}, separated by ${separator}. No sentences, numbering or explanations.`;
+        }
+        case 'enum':
+            return `Answer with exactly one of these values: ${s.values.map(v => JSON.stringify(v)).join(', ')}. Nothing else.`;
+        case 'number': {
+            const range = [
+                s.min !== null ? `at least ${s.min}` : '',
+                s.max !== null ? `at most ${s.max}` : ''
+            ].filter(Boolean).join(' and ');
+            return `Answer with a single number${range ? ` (${range})` : ''} and no units or words.`;
+        }
+        case 'boolean':
+            return 'Answer with exactly "true" or "false".';
+        case 'date':
+            return 'Answer with a single date in YYYY-MM-DD format and nothing else.';
+        default: {
+            const limits = [
+                s.minLength !== null ? `at least ${s.minLength}` : '',
+                s.maxLength !== null ? `at most ${s.maxLength}` : ''
+            ].filter(Boolean).join(' and ');
+            return limits ? `Answer with plain text of ${limits} characters.` : '';
+        }
+    }
+}
+
+/**
+ * Append the format instruction for a custom prompt's type to its prompt text
+ * Lists mapped to the taxonomy also get the controlled vocabulary.
+ * @param {Object} promptConfig - Custom prompt object ({ property, prompt, schema })
+ * @returns {string} Prompt text including the format instruction
+ */
+function buildTypedPrompt(promptConfig) {
+    const schema = normalizePropertySchema(promptConfig.schema);
+    const instructions = [
+        (promptConfig.prompt || '').trim(),
+        describePropertySchema(schema),
+        schema.type === 'list' && schema.taxonomy ? describeTaxonomyForPrompt() : ''
+    ];
+    return instructions.filter(Boolean).join('\n');
+}
+
+/**
+ * Build the JSON schema used for a property in structured (combined) requests
+ * @param {Object} schema - Property schema
+ * @returns {Object} JSON schema fragment
+ */
+function buildJsonSchemaForProperty(schema) {
+    const s = normalizePropertySchema(schema);
+
+    switch (s.type) {
+        case 'list':
+            return { type: 'array', items: { type: 'string' } };
+        case 'enum':
+            return s.values.length > 0 ? { type: 'string', enum: s.values } : { type: 'string' };
+        case 'number':
+            return { type: 'number' };
+        case 'boolean':
+            return { type: 'boolean' };
+        default:
+            return { type: 'string' };
+    }
+}
+
+/**
+ * Remove quotes and a trailing period that models like to wrap single values in
+ * @private
+ */
+function stripValueDecoration(value) {
+    return value.trim().replace(/^["'“”‘’]+|["'“”‘’]+$/g, '').trim();
+}
+
+/**
+ * Validate and normalize a generated value against its property schema
+ * @param {*} rawValue - Value returned by the model
+ * @param {Object} schema - Property schema
+ * @returns {Object} { valid, value, error } where value is the normalized string
+ */
+function validatePropertyValue(rawValue, schema) {
+    const s = normalizePropertySchema(schema);
+    const text = Array.isArray(rawValue) ? rawValue.join(s.separator || ', ') : String(rawValue ?? '').trim();
+    const invalid = error => ({ valid: false, value: text, error });
+
+    if (!text) {
+        return invalid('The answer is empty.');
+    }
+
+    switch (s.type) {
+        case 'list': {
+            let items;
+            try {
+                // Models sometimes answer with a JSON array despite the instructions
+                const parsed = JSON.parse(text);
+                items = Array.isArray(parsed) ? parsed.map(String) : null;
+            } catch (error) {
+                items = null;
+            }
+            if (!items) {
+                const separatorPattern = s.separator.trim()
+                    ? new RegExp(`\\s*${s.separator.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*|\\n+`)
+                    : /\n+/;
+                items = text.split(separatorPattern);
+            }
+
+            const seen = new Set();
+            items = items
+                .map(item => stripValueDecoration(item.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '')))
+                .filter(item => {
+                    const key = item.toLowerCase();
+                    if (!item || seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                });
+
+            const joined = items.join(s.separator);
+            const prose = items.find(item => item.length > DEFAULT_MAX_LIST_ITEM_LENGTH || item.split(/\s+/).length > DEFAULT_MAX_LIST_ITEM_WORDS);
+            if (prose) {
+                return { valid: false, value: joined, error: `"${prose.substring(0, 80)}" is a sentence, not a list item. Return short terms only.` };
+            }
+            if (s.maxItems && items.length > s.maxItems) {
+                return { valid: false, value: joined, error: `The list has ${items.length} items but at most ${s.maxItems} are allowed.` };
+            }
+            return { valid: true, value: joined, error: null };
+        }
+
+        case 'enum': {
+            const candidate = stripValueDecoration(text).replace(/\.$/, '');
+            const match = s.values.find(value => value.toLowerCase() === candidate.toLowerCase());
+            if (!match) {
+                return invalid(`"${candidate.substring(0, 80)}" is not one of the allowed values: ${s.values.join(', ')}.`);
+            }
+            return { valid: true, value: match, error: null };
+        }
+
+        case 'number': {
+            const candidate = stripValueDecoration(text).replace(/\.$/, '');
+            if (!/^[-+]?\d+(?:[.,]\d+)?$/.test(candidate)) {
+                return invalid(`"${candidate.substring(0, 80)}" is not a number.`);
+            }
+            const number = parseFloat(candidate.replace(',', '.'));
+            if (s.min !== null && number < s.min) return invalid(`${number} is below the minimum of ${s.min}.`);
+            if (s.max !== null && number > s.max) return invalid(`${number} is above the maximum of ${s.max}.`);
+            return { valid: true, value: String(number), error: null };
+        }
+
+        case 'boolean': {
+            const candidate = stripValueDecoration(text).replace(/\.$/, '').toLowerCase();
+            if (['true', 'yes', 'y', '1'].includes(candidate)) return { valid: true, value: 'true', error: null };
+            if (['false', 'no', 'n', '0'].includes(candidate)) return { valid: true, value: 'false', error: null };
+            return invalid(`"${candidate.substring(0, 80)}" is not true or false.`);
+        }
+
+        case 'date': {
+            const candidate = stripValueDecoration(text).replace(/\.$/, '');
+            const isoMatch = candidate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            const date = isoMatch
+                ? new Date(Date.UTC(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3])))
+                : new Date(candidate);
+            if (isNaN(date.getTime()) || (isoMatch && date.getUTCDate() !== Number(isoMatch[3]))) {
+                return invalid(`"${candidate.substring(0, 80)}" is not a valid date.`);
+            }
+            const iso = isoMatch
+                ? candidate
+                : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+            return { valid: true, value: iso, error: null };
+        }
+
+        default: {
+            if (s.minLength !== null && text.length < s.minLength) {
+                return invalid(`The answer has ${text.length} characters but at least ${s.minLength} are required.`);
+            }
+            if (s.maxLength !== null && text.length > s.maxLength) {
+                return invalid(`The answer has ${text.length} characters but at most ${s.maxLength} are allowed.`);
+            }
+            return { valid: true, value: text, error: null };
+        }
+    }
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROPERTY_TYPES,
+        normalizePropertySchema,
+        describePropertySchema,
+        buildTypedPrompt,
+        buildJsonSchemaForProperty,
+        validatePropertyValue
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.PROPERTY_TYPES = PROPERTY_TYPES;
+window.normalizePropertySchema = normalizePropertySchema;
+window.describePropertySchema = describePropertySchema;
+window.buildTypedPrompt = buildTypedPrompt;
+window.buildJsonSchemaForProperty = buildJsonSchemaForProperty;
+window.validatePropertyValue = validatePropertyValue;
@@ -0,0 +1,477 @@
+/**
+ * Provider Adapters Module
+ * Each adapter owns URL building, authentication headers, payload shape and
+ * response parsing for one family of vision APIs. MetadataAPI builds a
+ * provider-neutral request and hands it to the adapter selected in the config.
+ *
+ * Neutral request shape:
+ * {
+ *     messages: [{ role: 'user' | 'assistant', text: string, images: string[] }],
+ *     maxTokens: number,
+ *     temperature: number,
+ *     topP: number,
+ *     imageDetail: string,     // optional 'auto' | 'low' | 'high'; only OpenAI-style APIs support it
+ *     responseSchema: Object,  // optional JSON schema the response must follow
+ *     stream: boolean,         // optional; ask for server-sent events (only set when the adapter has parseStreamChunk)
+ *     sampleIndex: number,     // optional; marks an extra sample for confidence scoring, not sent
+ *     context: Object          // optional { property, imageInfo }; not sent, available to adapters such as the mock
+ * }
+ *
+ * Adapters call the API with fetch() unless they implement send(payload, config, signal),
+ * which must resolve to a fetch Response.
+ *
+ * Normalized response shape returned by parseResponse():
+ * { content: string|null, usage: { promptTokens, completionTokens }|null, finishReason: string|null }
+ *
+ * Adapters that support streaming implement parseStreamChunk(event), which turns one parsed
+ * server-sent event into { text: string, usage: {...}|null, finishReason: string|null }.
+ * text is the newly generated piece only; usage may be partial and later events override it.
+ */
+
+/**
+ * Remove trailing slashes from a base URL
+ * @param {string} url - URL to clean
+ * @returns {string} URL without trailing slashes
+ */
+function trimTrailingSlash(url) {
+    return (url || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * Split a base64 data URL into its media type and payload
+ * @param {string} url - Data URL (e.g., "data:image/png;base64,....")
+ * @returns {Object|null} Object with mediaType and data, or null if not a base64 data URL
+ */
+function parseDataUrl(url) {
+    const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(url || '');
+    if (!match) return null;
+    return { mediaType: match[1], data: match[2] };
+}
+
+/**
+ * Check that a configuration value is present and not a placeholder
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value looks configured
+ */
+function isConfiguredValue(value) {
+    return typeof value === 'string' && value.trim() !== '' && !value.includes('your-');
+}
+
+/**
+ * Resolve the base URL for an adapter, falling back to its default when the URL is unset or a placeholder
+ * @param {Object} adapter - Provider adapter
+ * @param {Object} config - API configuration
+ * @returns {string} Base URL without trailing slashes
+ */
+function resolveBaseUrl(adapter, config) {
+    const configuredUrl = config.openaiUrl || config.openApiUrl;
+    return trimTrailingSlash(isConfiguredValue(configuredUrl) ? configuredUrl : adapter.defaultUrl);
+}
+
+/**
+ * Build an OpenAI chat/completions message list from neutral messages
+ * @param {Array} messages - Neutral messages
+ * @param {string} imageDetail - Vision detail level ('auto', 'low' or 'high')
+ * @returns {Array} OpenAI-style messages with text and image_url content parts
+ */
+function toOpenAIMessages(messages, imageDetail = 'auto') {
+    return messages.map(message => {
+        if (message.role === 'assistant') {
+            return { role: 'assistant', content: message.text || '' };
+        }
+
+        const content = [];
+        if (message.text) {
+            content.push({ type: 'text', text: message.text });
+        }
+        (message.images || []).forEach(imageUrl => {
+            const imageUrlPart = { url: imageUrl };
+            if (imageDetail && imageDetail !== 'auto') {
+                imageUrlPart.detail = imageDetail;
+            }
+            content.push({ type: 'image_url', image_url: imageUrlPart });
+        });
+        return { role: 'user', content };
+    });
+}
+
+/**
+ * Parse an OpenAI-style chat/completions response
+ * @param {Object} response - Parsed JSON response body
+ * @returns {Object} Normalized response
+ */
+function parseOpenAIResponse(response) {
+    const choice = response?.choices?.[0];
+    const usage = response?.usage;
+    return {
+        content: choice?.message?.content ?? null,
+        usage: usage ? {
+            promptTokens: usage.prompt_tokens || 0,
+            completionTokens: usage.completion_tokens || 0
+        } : null,
+        finishReason: choice?.finish_reason || null
+    };
+}
+
+/**
+ * Parse one event of an OpenAI-style chat/completions stream
+ * @param {Object} event - Parsed JSON data of a server-sent event
+ * @returns {Object} Normalized stream chunk
+ */
+function parseOpenAIStreamChunk(event) {
+    const choice = event?.choices?.[0];
+    const usage = event?.usage;
+    return {
+        text: choice?.delta?.content || '',
+        usage: usage ? {
+            promptTokens: usage.prompt_tokens || 0,
+            completionTokens: usage.completion_tokens || 0
+        } : null,
+        finishReason: choice?.finish_reason || null
+    };
+}
+
+/**
+ * Build the chat/completions payload shared by all OpenAI-compatible adapters
+ * @param {Object} request - Neutral request
+ * @param {Object} config - API configuration
+ * @returns {Object} Request body
+ */
+function buildOpenAIPayload(request, config) {
+    const payload = {
+        messages: toOpenAIMessages(request.messages, request.imageDetail),
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        top_p: request.topP,
+        model: config.modelName || 'gpt-4-vision-preview'
+    };
+
+    if (request.responseSchema) {
+        payload.response_format = {
+            type: 'json_schema',
+            json_schema: { name: 'asset_metadata', schema: request.responseSchema, strict: true }
+        };
+    }
+
+    if (request.stream) {
+        // Without include_usage a streamed answer reports no token counts
+        payload.stream = true;
+        payload.stream_options = { include_usage: true };
+    }
+
+    return payload;
+}
+
+/**
+ * Resolve a chat/completions URL from a base URL that may or may not already include the path
+ * @param {string} baseUrl - Base URL without trailing slashes
+ * @returns {string} Full chat/completions URL
+ */
+function resolveChatCompletionsUrl(baseUrl) {
+    return baseUrl.endsWith('/chat/completions') ? baseUrl : `${baseUrl}/chat/completions`;
+}
+
+const PROVIDER_ADAPTERS = {
+    'azure-openai': {
+        label: 'Azure OpenAI',
+        urlPlaceholder: 'https://your-resource.openai.azure.com',
+        requiredFields: ['openaiUrl', 'deployment', 'apiVersion'],
+        buildUrl(config) {
+            // $OPEN_API_URL/openai/deployments/$OPENAI_DEPLOYMENT/chat/completions?api-version=$OPENAI_API_VERSION
+            const baseUrl = trimTrailingSlash(config.openaiUrl || config.openApiUrl);
+            return `${baseUrl}/openai/deployments/${config.deployment}/chat/completions?api-version=${config.apiVersion}`;
+        },
+        buildHeaders(config) {
+            return {
+                'Content-Type': 'application/json',
+                'Authorization': config.apiKey ? `Bearer ${config.apiKey}` : ''
+            };
+        },
+        buildPayload(request, config) {
+            const payload = buildOpenAIPayload(request, config);
+            // Structured outputs need api-version 2024-08-01-preview or later; older versions only support JSON mode
+            if (payload.response_format && (config.apiVersion || '') < '2024-08-01') {
+                payload.response_format = { type: 'json_object' };
+            }
+            // stream_options needs api-version 2024-09-01-preview or later
+            if (payload.stream_options && (config.apiVersion || '') < '2024-09-01') {
+                delete payload.stream_options;
+            }
+            return payload;
+        },
+        parseResponse: parseOpenAIResponse,
+        parseStreamChunk: parseOpenAIStreamChunk
+    },
+
+    'openai': {
+        label: 'OpenAI',
+        urlPlaceholder: 'https://api.openai.com/v1',
+        defaultUrl: 'https://api.openai.com/v1',
+        requiredFields: ['apiKey', 'modelName'],
+        buildUrl(config) {
+            return resolveChatCompletionsUrl(resolveBaseUrl(this, config));
+        },
+        buildHeaders(config) {
+            return {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.apiKey}`
+            };
+        },
+        buildPayload: buildOpenAIPayload,
+        parseResponse: parseOpenAIResponse,
+        parseStreamChunk: parseOpenAIStreamChunk
+    },
+
+    'openai-compatible': {
+        label: 'OpenAI-compatible (Ollama, vLLM, LM Studio)',
+        urlPlaceholder: 'http://localhost:11434/v1',
+        defaultUrl: 'http://localhost:11434/v1',
+        requiredFields: ['openaiUrl', 'modelName'],
+        buildUrl(config) {
+            return resolveChatCompletionsUrl(resolveBaseUrl(this, config));
+        },
+        buildHeaders(config) {
+            // Local servers usually run without authentication
+            const headers = { 'Content-Type': 'application/json' };
+            if (isConfiguredValue(config.apiKey)) {
+                headers['Authorization'] = `Bearer ${config.apiKey}`;
+            }
+            return headers;
+        },
+        buildPayload: buildOpenAIPayload,
+        parseResponse: parseOpenAIResponse,
+        parseStreamChunk: parseOpenAIStreamChunk
+    },
+
+    'anthropic': {
+        label: 'Anthropic Claude',
+        urlPlaceholder: 'https://api.anthropic.com',
+        defaultUrl: 'https://api.anthropic.com',
+        requiredFields: ['apiKey', 'modelName'],
+        buildUrl(config) {
+            const baseUrl = resolveBaseUrl(this, config);
+            return baseUrl.endsWith('/v1/messages') ? baseUrl : `${baseUrl}/v1/messages`;
+        },
+        buildHeaders(config) {
+            return {
+                'Content-Type': 'application/json',
+                'x-api-key': config.apiKey,
+                'anthropic-version': '2023-06-01',
+                // Required for calls made directly from a browser page
+                'anthropic-dangerous-direct-browser-access': 'true'
+            };
+        },
+        buildPayload(request, config) {
+            const messages = request.messages.map(message => {
+                if (message.role === 'assistant') {
+                    return { role: 'assistant', content: message.text || '' };
+                }
+
+                const content = [];
+                (message.images || []).forEach(imageUrl => {
+                    const image = parseDataUrl(imageUrl);
+                    content.push(image
+                        ? { type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } }
+                        : { type: 'image', source: { type: 'url', url: imageUrl } });
+                });
+                if (message.text) {
+                    content.push({ type: 'text', text: message.text });
+                }
+                return { role: 'user', content };
+            });
+
+            // No structured output parameter: the JSON shape is requested in the prompt text instead
+            const payload = {
+                model: config.modelName,
+                max_tokens: request.maxTokens,
+                temperature: request.temperature,
+                messages
+            };
+            if (request.stream) {
+                payload.stream = true;
+            }
+            return payload;
+        },
+        parseResponse(response) {
+            const text = (response?.content || [])
+                .filter(part => part.type === 'text')
+                .map(part => part.text)
+                .join('');
+            const usage = response?.usage;
+            return {
+                content: text || null,
+                usage: usage ? {
+                    promptTokens: usage.input_tokens || 0,
+                    completionTokens: usage.output_tokens || 0
+                } : null,
+                finishReason: response?.stop_reason || null
+            };
+        },
+        parseStreamChunk(event) {
+            switch (event?.type) {
+                case 'message_start':
+                    return {
+                        text: '',
+                        usage: { promptTokens: event.message?.usage?.input_tokens || 0, completionTokens: 0 },
+                        finishReason: null
+                    };
+                case 'content_block_delta':
+                    return { text: event.delta?.text || '', usage: null, finishReason: null };
+                case 'message_delta':
+                    return {
+                        text: '',
+                        usage: { promptTokens: 0, completionTokens: event.usage?.output_tokens || 0 },
+                        finishReason: event.delta?.stop_reason || null
+                    };
+                case 'error': {
+                    // Errors after the stream has started arrive as an event instead of an HTTP status
+                    const kind = event.error?.type === 'rate_limit_error' ? API_ERROR_KINDS.RATE_LIMIT : API_ERROR_KINDS.SERVER;
+                    throw new ApiError(event.error?.message || 'Stream error', { kind });
+                }
+                default:
+                    return { text: '', usage: null, finishReason: null };
+            }
+        }
+    },
+
+    'gemini': {
+        label: 'Google Gemini',
+        urlPlaceholder: 'https://generativelanguage.googleapis.com',
+        defaultUrl: 'https://generativelanguage.googleapis.com',
+        requiredFields: ['apiKey', 'modelName'],
+        buildUrl(config, { stream = false } = {}) {
+            const baseUrl = resolveBaseUrl(this, config);
+            return stream
+                ? `${baseUrl}/v1beta/models/${config.modelName}:streamGenerateContent?alt=sse`
+                : `${baseUrl}/v1beta/models/${config.modelName}:generateContent`;
+        },
+        buildHeaders(config) {
+            return {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': config.apiKey
+            };
+        },
+        buildPayload(request) {
+            const contents = request.messages.map(message => {
+                const parts = [];
+                (message.images || []).forEach(imageUrl => {
+                    const image = parseDataUrl(imageUrl);
+                    if (image) {
+                        parts.push({ inline_data: { mime_type: image.mediaType, data: image.data } });
+                    }
+                });
+                if (message.text) {
+                    parts.push({ text: message.text });
+                }
+                return { role: message.role === 'assistant' ? 'model' : 'user', parts };
+            });
+
+            const generationConfig = {
+                maxOutputTokens: request.maxTokens,
+                temperature: request.temperature,
+                topP: request.topP
+            };
+            if (request.responseSchema) {
+                // Gemini's schema dialect does not accept additionalProperties
+                const { additionalProperties, ...responseSchema } = request.responseSchema;
+                generationConfig.responseMimeType = 'application/json';
+                generationConfig.responseSchema = responseSchema;
+            }
+
+            return { contents, generationConfig };
+        },
+        parseResponse(response) {
+            const candidate = response?.candidates?.[0];
+            const text = (candidate?.content?.parts || [])
+                .map(part => part.text || '')
+                .join('');
+            const usage = response?.usageMetadata;
+            return {
+                content: text || null,
+                usage: usage ? {
+                    promptTokens: usage.promptTokenCount || 0,
+                    completionTokens: usage.candidatesTokenCount || 0
+                } : null,
+                finishReason: candidate?.finishReason || null
+            };
+        },
+        parseStreamChunk(event) {
+            // Every streamed event is a partial generateContent response
+            const parsed = this.parseResponse(event);
+            return { text: parsed.content || '', usage: parsed.usage, finishReason: parsed.finishReason };
+        }
+    }
+};
+
+const DEFAULT_PROVIDER = 'azure-openai';
+
+/**
+ * Get a provider adapter by id
+ * @param {string} providerId - Adapter id (e.g., 'azure-openai', 'openai')
+ * @returns {Object|null} Adapter object, or null if unknown
+ */
+function getProviderAdapter(providerId) {
+    return PROVIDER_ADAPTERS[providerId || DEFAULT_PROVIDER] || null;
+}
+
+/**
+ * Register a custom provider adapter
+ * @param {string} providerId - Unique adapter id
+ * @param {Object} adapter - Adapter implementing label, requiredFields, buildUrl, buildHeaders, buildPayload and parseResponse,
+ *                           optionally send(payload, config, signal) to answer without fetch(),
+ *                           and optionally parseStreamChunk(event) to support streaming
+ */
+function registerProviderAdapter(providerId, adapter) {
+    const required = ['buildUrl', 'buildHeaders', 'buildPayload', 'parseResponse'];
+    const missing = required.filter(method => typeof adapter?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Provider adapter '${providerId}' is missing: ${missing.join(', ')}`);
+    }
+    PROVIDER_ADAPTERS[providerId] = { requiredFields: [], ...adapter };
+    console.log(`🔌 Registered provider adapter '${providerId}'`);
+}
+
+/**
+ * List the registered provider adapters
+ * @returns {Array} Array of { id, label } objects
+ */
+function listProviderAdapters() {
+    return Object.entries(PROVIDER_ADAPTERS).map(([id, adapter]) => ({ id, label: adapter.label || id }));
+}
+
+/**
+ * Find the configuration fields an adapter needs that are missing or still placeholders
+ * @param {Object} adapter - Provider adapter
+ * @param {Object} config - API configuration
+ * @returns {Array<string>} Names of missing fields
+ */
+function getMissingProviderFields(adapter, config) {
+    return (adapter.requiredFields || []).filter(field => {
+        const value = field === 'openaiUrl' ? (config.openaiUrl || config.openApiUrl) : config[field];
+        return !isConfiguredValue(value);
+    });
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROVIDER_ADAPTERS,
+        DEFAULT_PROVIDER,
+        parseDataUrl,
+        parseOpenAIStreamChunk,
+        getProviderAdapter,
+        registerProviderAdapter,
+        listProviderAdapters,
+        getMissingProviderFields
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.PROVIDER_ADAPTERS = PROVIDER_ADAPTERS;
+window.DEFAULT_PROVIDER = DEFAULT_PROVIDER;
+window.parseDataUrl = parseDataUrl;
+window.parseOpenAIStreamChunk = parseOpenAIStreamChunk;
+window.getProviderAdapter = getProviderAdapter;
+window.registerProviderAdapter = registerProviderAdapter;
+window.listProviderAdapters = listProviderAdapters;
+window.getMissingProviderFields = getMissingProviderFields;
@@ -0,0 +1,445 @@
+/**
+ * Request Inspector Module
+ * Records every API call (asset, property, final prompt, status, latency,
+ * retries, token usage and raw response) for the in-app inspector panel and
+ * exports them as a JSON trace that can be attached to bug reports
+ */
+
+// Oldest calls are dropped beyond this many, so long batch runs do not fill up memory
+const REQUEST_TRACE_LIMIT = 500;
+
+const REQUEST_STATUS = {
+    PENDING: 'pending',
+    SUCCESS: 'success',
+    CACHED: 'cached',
+    ERROR: 'error',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Join the text of a neutral request's messages into the prompt that was sent
+ * Follow-up turns (e.g. validation re-asks) are prefixed with their role.
+ * @private
+ */
+function getRequestPromptText(request) {
+    const messages = request?.messages || [];
+    if (messages.length === 1) {
+        return messages[0].text || '';
+    }
+    return messages.map(message => `[${message.role}]\n${message.text || ''}`).join('\n\n');
+}
+
+/**
+ * Quote a value as a single POSIX shell argument
+ * Single quotes inside it (e.g. "image's" in a prompt) end the quoting, add an escaped quote and reopen it.
+ * @private
+ */
+function quoteShellArgument(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Build a curl command that repeats a recorded request
+ * @param {Object} call - Recorded request ({ url, headers, payload }), already redacted
+ * @returns {string} Shell command
+ */
+function formatCurlCommand({ url, headers = {}, payload = null }) {
+    const headerArgs = Object.entries(headers)
+        .filter(([, value]) => value)
+        .map(([name, value]) => ` \\\n    -H ${quoteShellArgument(`${name}: ${value}`)}`)
+        .join('');
+    return `curl -X POST ${quoteShellArgument(url)}${headerArgs} \\\n    -d ${quoteShellArgument(JSON.stringify(payload, null, 2))}`;
+}
+
+/**
+ * Keeps the trace of recent API calls
+ * MetadataAPI reports each call through begin(), recordRequest(), recordAttempt()
+ * and finish() or fail(); secrets are passed in so nothing sensitive is stored.
+ */
+class RequestInspector {
+    /**
+     * @param {number} limit - Maximum number of calls to keep
+     */
+    constructor(limit = REQUEST_TRACE_LIMIT) {
+        this.limit = limit;
+        this.entries = [];
+        this.listeners = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Start recording a call
+     * @param {Object} request - Provider-neutral request
+     * @param {string} label - What is being generated (property name, property list or 'confidence')
+     * @param {Object} config - MetadataAPI configuration
+     * @returns {Object} Trace entry to pass to the other record methods
+     */
+    begin(request, label, config = {}) {
+        const entry = {
+            id: this.nextId++,
+            startedAt: new Date().toISOString(),
+            asset: request?.context?.imageInfo?.filename || '',
+            property: label || request?.context?.property || '',
+            provider: config.provider || '',
+            model: config.modelName || config.deployment || '',
+            sampleIndex: request?.sampleIndex || null,
+            prompt: getRequestPromptText(request),
+            status: REQUEST_STATUS.PENDING,
+            errorKind: null,
+            error: null,
+            latencyMs: null,
+            retries: 0,
+            attempts: [],
+            usage: null,
+            finishReason: null,
+            request: null,
+            response: null
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+        this.notify();
+        return entry;
+    }
+
+    /**
+     * Record what was sent to the provider
+     * @param {Object} entry - Entry from begin()
+     * @param {Object} call - { url, headers, payload, streaming }
+     * @param {Array<string>} secrets - Values to redact
+     */
+    recordRequest(entry, { url, headers, payload, streaming = false }, secrets = []) {
+        if (!entry) return;
+        entry.request = {
+            url: redactText(url, secrets),
+            headers: redactHeaders(headers),
+            payload: redactPayload(payload, secrets),
+            streaming
+        };
+    }
+
+    /**
+     * Record the outcome of one attempt
+     * @param {Object} entry - Entry from begin()
+     * @param {Object} attempt - { attempt, latencyMs, error } where error is the classified ApiError of a failed attempt
+     * @param {Array<string>} secrets - Values to redact
+     */
+    recordAttempt(entry, { attempt, latencyMs = null, error = null }, secrets = []) {
+        if (!entry) return;
+        entry.attempts.push({
+            attempt,
+            at: new Date().toISOString(),
+            latencyMs,
+            ok: !error,
+            errorKind: error?.kind || null,
+            httpStatus: error?.status || null,
+            error: error ? redactText(error.message, secrets) : null
+        });
+        entry.retries = Math.max(0, entry.attempts.length - 1);
+        this.notify();
+    }
+
+    /**
+     * Mark a call as successful
+     * @param {Object} entry - Entry from begin()
+     * @param {Object} result - { parsed, raw, cached, latencyMs } as returned by sendRequest()
+     * @param {Array<string>} secrets - Values to redact
+     */
+    finish(entry, { parsed, raw, cached, latencyMs }, secrets = []) {
+        if (!entry) return;
+        entry.status = cached ? REQUEST_STATUS.CACHED : REQUEST_STATUS.SUCCESS;
+        entry.latencyMs = latencyMs;
+        entry.usage = parsed?.usage || null;
+        entry.finishReason = parsed?.finishReason || null;
+        entry.response = redactPayload(raw ?? null, secrets);
+        this.notify();
+    }
+
+    /**
+     * Mark a call as failed or cancelled
+     * @param {Object} entry - Entry from begin()
+     * @param {Error} error - The error sendRequest() rejected with
+     * @param {Array<string>} secrets - Values to redact
+     */
+    fail(entry, error, secrets = []) {
+        if (!entry) return;
+        const cancelled = error?.name === 'AbortError';
+        entry.status = cancelled ? REQUEST_STATUS.CANCELLED : REQUEST_STATUS.ERROR;
+        entry.errorKind = cancelled ? null : error?.kind || API_ERROR_KINDS.SERVER;
+        entry.error = redactText(error?.message, secrets);
+        this.notify();
+    }
+
+    /**
+     * List recorded calls, newest first
+     * @param {Object} filter - Optional filter
+     * @param {string} filter.asset - Only calls for this filename
+     * @param {string} filter.outcome - A REQUEST_STATUS value, 'errors' for any failure, or an API_ERROR_KINDS value
+     * @returns {Array<Object>} Matching entries
+     */
+    getEntries({ asset = '', outcome = '' } = {}) {
+        return this.entries
+            .filter(entry => !asset || entry.asset === asset)
+            .filter(entry => {
+                if (!outcome) return true;
+                if (outcome === 'errors') return entry.status === REQUEST_STATUS.ERROR;
+                if (Object.values(REQUEST_STATUS).includes(outcome)) return entry.status === outcome;
+                // Error kinds also match calls that recovered after failed attempts of that kind
+                return entry.errorKind === outcome || entry.attempts.some(attempt => attempt.errorKind === outcome);
+            })
+            .reverse();
+    }
+
+    /**
+     * List the assets that have recorded calls
+     * @returns {Array<string>} Filenames, sorted
+     */
+    getAssets() {
+        return [...new Set(this.entries.map(entry => entry.asset).filter(Boolean))].sort();
+    }
+
+    /**
+     * Remove all recorded calls
+     */
+    clear() {
+        this.entries = [];
+        this.notify();
+    }
+
+    /**
+     * Build the exportable trace
+     * @param {Object} filter - Same filter as getEntries(); exports everything by default
+     * @returns {Object} Trace with export time, user agent and calls in the order they were made
+     */
+    exportTrace(filter = {}) {
+        return {
+            exportedAt: new Date().toISOString(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+            filter,
+            calls: this.getEntries(filter).reverse()
+        };
+    }
+
+    /**
+     * Register a function called whenever the trace changes
+     * @param {Function} listener - Called without arguments
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Call the change listeners
+     * @private
+     */
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+/**
+ * Describe a call's outcome for the list
+ * @private
+ */
+function describeRequestOutcome(entry) {
+    switch (entry.status) {
+        case REQUEST_STATUS.PENDING: return '⏳ Running';
+        case REQUEST_STATUS.CACHED: return '⚡ Cached';
+        case REQUEST_STATUS.CANCELLED: return '⏹ Cancelled';
+        case REQUEST_STATUS.ERROR: return `❌ ${entry.errorKind}`;
+        default: return '✅ OK';
+    }
+}
+
+/**
+ * Create a labelled, pre-formatted block for the call details
+ * @private
+ */
+function createInspectorBlock(title, content) {
+    const block = document.createElement('div');
+    block.className = 'inspector-block';
+    const heading = document.createElement('div');
+    heading.className = 'inspector-block-title';
+    heading.textContent = title;
+    const pre = document.createElement('pre');
+    pre.textContent = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+    block.append(heading, pre);
+    return block;
+}
+
+/**
+ * Create the expandable row for one call
+ * @private
+ */
+function createInspectorRow(entry) {
+    const details = document.createElement('details');
+    details.className = `inspector-entry inspector-${entry.status}`;
+
+    const summary = document.createElement('summary');
+    const usage = entry.usage ? `${entry.usage.promptTokens || 0} → ${entry.usage.completionTokens || 0} tokens` : '';
+    [
+        new Date(entry.startedAt).toLocaleTimeString(),
+        entry.asset || '—',
+        entry.property + (entry.sampleIndex ? ` (sample ${entry.sampleIndex})` : ''),
+        describeRequestOutcome(entry),
+        entry.latencyMs !== null ? `${entry.latencyMs} ms` : '',
+        entry.retries > 0 ? `${entry.retries} ${entry.retries === 1 ? 'retry' : 'retries'}` : '',
+        usage
+    ].forEach(text => {
+        const cell = document.createElement('span');
+        cell.textContent = text;
+        summary.appendChild(cell);
+    });
+    details.appendChild(summary);
+
+    // Bodies can be large, so they are only built when the row is opened
+    details.addEventListener('toggle', () => {
+        if (!details.open || details.dataset.rendered) return;
+        details.dataset.rendered = 'true';
+
+        details.appendChild(createInspectorBlock('Prompt', entry.prompt));
+        if (entry.error) {
+            details.appendChild(createInspectorBlock('Error', entry.error));
+        }
+        if (entry.attempts.length > 0) {
+            details.appendChild(createInspectorBlock('Attempts', entry.attempts));
+        }
+        if (entry.request) {
+            details.appendChild(createInspectorBlock('Request', entry.request));
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'custom-prompt-btn';
+            copyBtn.textContent = '📋 Copy as curl';
+            copyBtn.addEventListener('click', async () => {
+                const copied = await copyToClipboard(formatCurlCommand(entry.request));
+                showNotification(copied ? '📋 curl command copied' : '❌ Could not copy to the clipboard', copied ? 'success' : 'error');
+            });
+            details.appendChild(copyBtn);
+        }
+        details.appendChild(createInspectorBlock('Raw response', entry.response ?? '(none)'));
+    });
+    return details;
+}
+
+/**
+ * Read the inspector's filter controls
+ * @private
+ */
+function getInspectorFilter() {
+    return {
+        asset: document.getElementById('inspectorAssetFilter')?.value || '',
+        outcome: document.getElementById('inspectorOutcomeFilter')?.value || ''
+    };
+}
+
+/**
+ * Re-render the inspector panel from the trace
+ * Rows that are open stay open while new calls arrive.
+ */
+function renderRequestInspector() {
+    const list = document.getElementById('inspectorList');
+    const modal = document.getElementById('requestInspectorModal');
+    if (!list || !modal || modal.style.display !== 'block') return;
+
+    // Keep the asset options in sync with the recorded calls
+    const assetFilter = document.getElementById('inspectorAssetFilter');
+    const selectedAsset = assetFilter.value;
+    assetFilter.innerHTML = '';
+    assetFilter.add(new Option('All assets', ''));
+    requestInspector.getAssets().forEach(asset => assetFilter.add(new Option(asset, asset)));
+    assetFilter.value = selectedAsset;
+
+    const openIds = new Set([...list.querySelectorAll('details[open]')].map(details => details.dataset.id));
+    const entries = requestInspector.getEntries(getInspectorFilter());
+    list.innerHTML = '';
+    if (entries.length === 0) {
+        list.textContent = requestInspector.entries.length === 0
+            ? 'No API calls yet. Generate metadata to see requests here.'
+            : 'No calls match the filter.';
+    }
+    entries.forEach(entry => {
+        const row = createInspectorRow(entry);
+        row.dataset.id = String(entry.id);
+        list.appendChild(row);
+        if (openIds.has(row.dataset.id)) {
+            row.open = true;
+        }
+    });
+
+    const errors = requestInspector.entries.filter(entry => entry.status === REQUEST_STATUS.ERROR).length;
+    document.getElementById('inspectorSummary').textContent =
+        `${entries.length} of ${requestInspector.entries.length} calls shown · ${errors} failed`;
+}
+
+/**
+ * Download the filtered calls as a JSON trace file
+ */
+function exportRequestTrace() {
+    const trace = requestInspector.exportTrace(getInspectorFilter());
+    if (trace.calls.length === 0) {
+        showNotification('❌ No API calls to export', 'error');
+        return;
+    }
+    downloadFile(JSON.stringify(trace, null, 2), generateTimestampedFilename('ai-request-trace', '.json'), 'application/json');
+    showNotification(`✅ Exported ${trace.calls.length} API calls`);
+}
+
+/**
+ * Initialize request inspector event handlers
+ */
+function initializeRequestInspectorHandlers() {
+    const modal = document.getElementById('requestInspectorModal');
+    if (!modal) return;
+
+    document.getElementById('openInspectorBtn').addEventListener('click', () => {
+        modal.style.display = 'block';
+        renderRequestInspector();
+    });
+    modal.querySelector('.close').addEventListener('click', () => {
+        modal.style.display = 'none';
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.style.display = 'none';
+    });
+
+    const outcomeFilter = document.getElementById('inspectorOutcomeFilter');
+    outcomeFilter.add(new Option('All outcomes', ''));
+    outcomeFilter.add(new Option('Successful', REQUEST_STATUS.SUCCESS));
+    outcomeFilter.add(new Option('Cached', REQUEST_STATUS.CACHED));
+    outcomeFilter.add(new Option('Cancelled', REQUEST_STATUS.CANCELLED));
+    outcomeFilter.add(new Option('Any error', 'errors'));
+    Object.values(API_ERROR_KINDS).forEach(kind => {
+        outcomeFilter.add(new Option(`Error: ${kind}`, kind));
+    });
+
+    document.getElementById('inspectorAssetFilter').addEventListener('change', renderRequestInspector);
+    outcomeFilter.addEventListener('change', renderRequestInspector);
+    document.getElementById('exportTraceBtn').addEventListener('click', exportRequestTrace);
+    document.getElementById('clearTraceBtn').addEventListener('click', () => requestInspector.clear());
+
+    // Batch runs record many calls in quick succession
+    requestInspector.subscribe(debounce(renderRequestInspector, 250));
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REQUEST_TRACE_LIMIT,
+        REQUEST_STATUS,
+        formatCurlCommand,
+        RequestInspector,
+        renderRequestInspector,
+        exportRequestTrace,
+        initializeRequestInspectorHandlers
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.REQUEST_TRACE_LIMIT = REQUEST_TRACE_LIMIT;
+window.REQUEST_STATUS = REQUEST_STATUS;
+window.formatCurlCommand = formatCurlCommand;
+window.RequestInspector = RequestInspector;
+window.renderRequestInspector = renderRequestInspector;
+window.exportRequestTrace = exportRequestTrace;
+window.initializeRequestInspectorHandlers = initializeRequestInspectorHandlers;
@@ -0,0 +1,270 @@
+/**
+ * Response Cache Module
+ * Stores API responses in IndexedDB keyed by image content, final request
+ * text and model, so unchanged images and prompts are not billed twice
+ */
+
+const RESPONSE_CACHE_DB_NAME = 'aiMetadataResponseCache';
+const RESPONSE_CACHE_STORE = 'responses';
+
+/**
+ * Hash bytes with SHA-256
+ * @param {ArrayBuffer|Uint8Array} data - Bytes to hash
+ * @returns {Promise<string>} Promise resolving to the hex digest
+ */
+async function sha256Hex(data) {
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Promise resolving to the hex digest
+ */
+function hashText(text) {
+    return sha256Hex(new TextEncoder().encode(text));
+}
+
+/**
+ * Get the content hash of an image file, computed once per image entry
+ * @param {Object} imageData - Processed image entry (needs file; videos and documents need their upload prepared first)
+ * @returns {Promise<string>} Promise resolving to the hex digest of the file bytes, or of a video's keyframes or
+ *                            document's pages
+ */
+function getImageContentHash(imageData) {
+    // A video is sent as keyframes and a document as its first pages, so they identify it (and change with
+    // the keyframe and page settings); this also avoids reading a whole clip into memory
+    const images = imageData.upload?.frames || imageData.upload?.pages;
+    if ((imageData.video || imageData.document) && images) {
+        imageData.upload.contentHash = imageData.upload.contentHash || hashText(images.join('|'));
+        return imageData.upload.contentHash;
+    }
+    if (!imageData.contentHash) {
+        imageData.contentHash = imageData.file.arrayBuffer().then(sha256Hex);
+        imageData.contentHash.catch(() => {
+            imageData.contentHash = null;
+        });
+    }
+    return imageData.contentHash;
+}
+
+/**
+ * Build the cache key for a request
+ * The image itself is represented by its content hash; everything else that
+ * shapes the answer (prompt text incl. brand prompt and image info preamble,
+ * schema, sampling and upload settings) goes into the request hash.
+ * @param {string} imageHash - Content hash from getImageContentHash()
+ * @param {Object} request - Provider-neutral request built by MetadataAPI.buildRequest()
+ * @param {Object} config - MetadataAPI configuration
+ * @returns {Promise<string>} Promise resolving to the cache key
+ */
+async function buildResponseCacheKey(imageHash, request, config) {
+    const fingerprint = JSON.stringify({
+        messages: request.messages.map(message => ({
+            role: message.role,
+            text: message.text,
+            // Reference example images are part of the prompt, so their content counts
+            images: message.example ? message.images : (message.images || []).length
+        })),
+        responseSchema: request.responseSchema || null,
+        maxTokens: request.maxTokens,
+        temperature: request.temperature,
+        topP: request.topP,
+        imageDetail: request.imageDetail || null,
+        // Still images are hashed as the original file, so how it is resized and encoded for upload counts too
+        upload: getPreprocessSettings(config),
+        // Only present on confidence samples, so regular keys stay unchanged
+        ...(request.sampleIndex ? { sampleIndex: request.sampleIndex } : {})
+    });
+    const requestHash = await hashText(fingerprint);
+
+    return [imageHash, requestHash, config.provider || '', config.modelName || '', config.deployment || ''].join(':');
+}
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Promise resolving to the request result
+ */
+function idbRequestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDB-backed cache of provider responses with least-recently-used eviction
+ */
+class ResponseCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxBytes - Approximate size limit; least recently used entries are evicted beyond it
+     */
+    constructor({ maxBytes = 100 * 1024 * 1024 } = {}) {
+        this.maxBytes = maxBytes;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Change the size limit
+     * @param {number} maxBytes - New size limit in bytes
+     */
+    setMaxBytes(maxBytes) {
+        this.maxBytes = maxBytes;
+    }
+
+    /**
+     * Look up a cached response
+     * @param {string} key - Key from buildResponseCacheKey()
+     * @returns {Promise<Object|null>} Promise resolving to the cached value, or null on a miss or error
+     */
+    async get(key) {
+        try {
+            const store = await this.getStore('readonly');
+            const entry = await idbRequestToPromise(store.get(key));
+            if (!entry) return null;
+
+            // Refresh the entry's position for LRU eviction
+            entry.lastUsedAt = Date.now();
+            this.getStore('readwrite').then(writeStore => writeStore.put(entry)).catch(() => {});
+            return entry.value;
+        } catch (error) {
+            console.warn('⚠️ Response cache lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a response, then evict old entries if the cache is over its limit
+     * @param {string} key - Key from buildResponseCacheKey()
+     * @param {Object} value - JSON-serializable value to cache
+     */
+    async put(key, value) {
+        try {
+            const now = Date.now();
+            const store = await this.getStore('readwrite');
+            await idbRequestToPromise(store.put({
+                key,
+                value,
+                size: JSON.stringify(value).length,
+                createdAt: now,
+                lastUsedAt: now
+            }));
+            await this.evict();
+        } catch (error) {
+            console.warn('⚠️ Response cache write failed:', error.message);
+        }
+    }
+
+    /**
+     * Count cached entries and their approximate size
+     * @returns {Promise<Object>} Promise resolving to { entries, bytes }
+     */
+    async getStats() {
+        const entries = await this.getAllEntries();
+        return {
+            entries: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+        };
+    }
+
+    /**
+     * Remove least recently used entries until the cache fits the limit
+     * @param {number} maxBytes - Size limit, defaults to the configured limit
+     * @returns {Promise<number>} Promise resolving to the number of removed entries
+     */
+    async evict(maxBytes = this.maxBytes) {
+        const entries = await this.getAllEntries();
+        let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        if (totalBytes <= maxBytes) return 0;
+
+        entries.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+        const store = await this.getStore('readwrite');
+        let removed = 0;
+        for (const entry of entries) {
+            if (totalBytes <= maxBytes) break;
+            store.delete(entry.key);
+            totalBytes -= entry.size;
+            removed++;
+        }
+
+        console.log(`🧹 Evicted ${removed} cached responses`);
+        return removed;
+    }
+
+    /**
+     * Remove every cached response
+     */
+    async clear() {
+        const store = await this.getStore('readwrite');
+        await idbRequestToPromise(store.clear());
+    }
+
+    /**
+     * Read key, size and last use of every entry
+     * @private
+     */
+    async getAllEntries() {
+        const store = await this.getStore('readonly');
+        const entries = [];
+        await new Promise((resolve, reject) => {
+            const cursorRequest = store.openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                const { key, size, lastUsedAt } = cursor.value;
+                entries.push({ key, size, lastUsedAt });
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+        return entries;
+    }
+
+    /**
+     * Open the database (once) and return the object store
+     * @private
+     */
+    async getStore(mode) {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const openRequest = indexedDB.open(RESPONSE_CACHE_DB_NAME, 1);
+                openRequest.onupgradeneeded = () => {
+                    openRequest.result.createObjectStore(RESPONSE_CACHE_STORE, { keyPath: 'key' });
+                };
+                openRequest.onsuccess = () => resolve(openRequest.result);
+                openRequest.onerror = () => reject(openRequest.error);
+            });
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        const db = await this.dbPromise;
+        return db.transaction(RESPONSE_CACHE_STORE, mode).objectStore(RESPONSE_CACHE_STORE);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RESPONSE_CACHE_DB_NAME,
+        ResponseCache,
+        hashText,
+        getImageContentHash,
+        buildResponseCacheKey
+    };
+}
+
+// Expose globally for browser compatibility
+window.RESPONSE_CACHE_DB_NAME = RESPONSE_CACHE_DB_NAME;
+window.ResponseCache = ResponseCache;
+window.hashText = hashText;
+window.getImageContentHash = getImageContentHash;
+window.buildResponseCacheKey = buildResponseCacheKey;
@@ -0,0 +1,339 @@
+/**
+ * Retry Policy Module
+ * Classifies API failures, decides which ones are worth retrying, computes
+ * retry delays from server hints, and trips a circuit breaker when the
+ * endpoint is clearly down
+ */
+
+const API_ERROR_KINDS = {
+    AUTH: 'auth',
+    BAD_REQUEST: 'bad_request',
+    CONTENT_FILTER: 'content_filter',
+    RATE_LIMIT: 'rate_limit',
+    TIMEOUT: 'timeout',
+    SERVER: 'server',
+    NETWORK: 'network',
+    CIRCUIT_OPEN: 'circuit_open',
+    CONFIG: 'config'
+};
+
+const RETRYABLE_ERROR_KINDS = [
+    API_ERROR_KINDS.RATE_LIMIT,
+    API_ERROR_KINDS.TIMEOUT,
+    API_ERROR_KINDS.SERVER,
+    API_ERROR_KINDS.NETWORK
+];
+
+// Failures that say something about the endpoint rather than the individual image
+const CIRCUIT_BREAKER_ERROR_KINDS = [
+    API_ERROR_KINDS.AUTH,
+    API_ERROR_KINDS.TIMEOUT,
+    API_ERROR_KINDS.SERVER,
+    API_ERROR_KINDS.NETWORK
+];
+
+// Finish reasons providers report when output was withheld by a safety system
+const CONTENT_FILTER_FINISH_REASONS = ['content_filter', 'SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'refusal'];
+
+/**
+ * Error raised for a failed API call, carrying its classification
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Error details
+     * @param {string} details.kind - One of API_ERROR_KINDS
+     * @param {number} details.status - HTTP status, if any
+     * @param {number} details.retryAfterMs - Server-suggested retry delay, if any
+     */
+    constructor(message, { kind = API_ERROR_KINDS.SERVER, status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Classify an HTTP error response
+ * @param {number} status - HTTP status code
+ * @param {string} bodyText - Response body
+ * @returns {string} One of API_ERROR_KINDS
+ */
+function classifyHttpError(status, bodyText = '') {
+    if (/content_filter|ResponsibleAIPolicyViolation|content management policy/i.test(bodyText)) {
+        return API_ERROR_KINDS.CONTENT_FILTER;
+    }
+    if (status === 401 || status === 403) return API_ERROR_KINDS.AUTH;
+    if (status === 429) return API_ERROR_KINDS.RATE_LIMIT;
+    if (status === 408 || status === 504) return API_ERROR_KINDS.TIMEOUT;
+    if (status >= 500) return API_ERROR_KINDS.SERVER;
+    return API_ERROR_KINDS.BAD_REQUEST;
+}
+
+/**
+ * Parse a duration such as "1s", "6m0s", "250ms" or "1h2m3.5s"
+ * @param {string} value - Duration string
+ * @returns {number|null} Milliseconds, or null if the value is not a duration
+ */
+function parseDurationHeader(value) {
+    if (!value) return null;
+    const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+    let total = 0;
+    let matched = false;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+        matched = true;
+        const amount = parseFloat(match[1]);
+        total += { ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2]] * amount;
+    }
+    return matched ? Math.round(total) : null;
+}
+
+/**
+ * Read the retry delay a server suggests in its response headers
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null if the server gave no hint
+ */
+function parseRetryAfter(headers) {
+    if (!headers || typeof headers.get !== 'function') return null;
+
+    const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+    if (!isNaN(retryAfterMs)) return retryAfterMs;
+
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter) {
+        const seconds = parseFloat(retryAfter);
+        if (!isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(retryAfter);
+        if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    // OpenAI-style rate limit headers report when the exhausted window resets
+    const resets = [];
+    if (headers.get('x-ratelimit-remaining-requests') === '0') {
+        resets.push(parseDurationHeader(headers.get('x-ratelimit-reset-requests')));
+    }
+    if (headers.get('x-ratelimit-remaining-tokens') === '0') {
+        resets.push(parseDurationHeader(headers.get('x-ratelimit-reset-tokens')));
+    }
+    const validResets = resets.filter(value => value !== null);
+    return validResets.length > 0 ? Math.max(...validResets) : null;
+}
+
+/**
+ * Build an ApiError from a failed HTTP response
+ * @param {Response} response - Fetch response
+ * @param {string} bodyText - Response body
+ * @returns {ApiError} Classified error
+ */
+function createHttpApiError(response, bodyText) {
+    return new ApiError(`HTTP ${response.status}: ${response.statusText} - ${bodyText}`, {
+        kind: classifyHttpError(response.status, bodyText),
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers)
+    });
+}
+
+/**
+ * Convert any error thrown during a request into a classified ApiError
+ * @param {Error} error - Original error
+ * @param {boolean} timedOut - True if the request was aborted by the timeout
+ * @returns {ApiError} Classified error
+ */
+function toApiError(error, timedOut = false) {
+    if (error instanceof ApiError) return error;
+    if (timedOut || error.name === 'AbortError') {
+        return new ApiError('Request timed out', { kind: API_ERROR_KINDS.TIMEOUT });
+    }
+    if (error instanceof TypeError) {
+        // fetch() rejects with a TypeError for DNS, connection and CORS failures
+        return new ApiError(`Network error: ${error.message}`, { kind: API_ERROR_KINDS.NETWORK });
+    }
+    if (error instanceof SyntaxError) {
+        return new ApiError(`Invalid JSON response: ${error.message}`, { kind: API_ERROR_KINDS.SERVER });
+    }
+    return new ApiError(error.message, { kind: API_ERROR_KINDS.SERVER });
+}
+
+/**
+ * Check whether a finish reason means the output was blocked by a content filter
+ * @param {string} finishReason - Normalized finish reason from a provider adapter
+ * @returns {boolean} True if the output was filtered
+ */
+function isContentFilterFinish(finishReason) {
+    return CONTENT_FILTER_FINISH_REASONS.includes(finishReason);
+}
+
+/**
+ * Check whether an error kind is worth retrying
+ * @param {string} kind - One of API_ERROR_KINDS
+ * @returns {boolean} True if the request may succeed when retried
+ */
+function isRetryableError(kind) {
+    return RETRYABLE_ERROR_KINDS.includes(kind);
+}
+
+/**
+ * Compute how long to wait before the next attempt
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {ApiError} error - The classified error
+ * @param {Object} policy - Retry settings
+ * @param {number} policy.retryBaseDelayMs - Base delay for exponential backoff
+ * @param {number} policy.retryMaxDelayMs - Upper bound for a computed backoff delay; a server's hint is not capped
+ * @returns {number} Delay in milliseconds
+ */
+function computeRetryDelay(attempt, error, { retryBaseDelayMs = 1000, retryMaxDelayMs = 60000 } = {}) {
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+        // Honor the server's hint in full, plus a little jitter so parallel requests do not retry in lockstep;
+        // retrying before it just gets throttled again
+        return error.retryAfterMs + Math.random() * 500;
+    }
+
+    // Exponential backoff with equal jitter: at least half the ceiling, so retries never come back-to-back
+    const ceiling = Math.min(retryBaseDelayMs * Math.pow(2, attempt - 1), retryMaxDelayMs);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Wait for a delay unless the signal is aborted first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Promise} Resolves after the delay, rejects with an AbortError if cancelled
+ */
+function sleepWithSignal(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Request cancelled', 'AbortError'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(new DOMException('Request cancelled', 'AbortError'));
+        };
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Opens after too many consecutive endpoint-level failures so a batch stops
+ * sending requests to an endpoint that is down
+ * States: closed (requests pass), open (requests blocked until the cooldown ends) and
+ * half-open (exactly one trial request is in flight; it closes or re-opens the breaker).
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options - Breaker options
+     * @param {number} options.failureThreshold - Consecutive endpoint failures before opening
+     * @param {number} options.cooldownMs - Time after which a single trial request is allowed again
+     */
+    constructor({ failureThreshold = 5, cooldownMs = 60000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.reset();
+    }
+
+    /**
+     * Close the breaker and forget previous failures
+     */
+    reset() {
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastErrorKind = null;
+    }
+
+    /**
+     * Ask to send a request
+     * After the cooldown only the first caller gets through, as the trial; the others stay blocked
+     * until it succeeds or fails.
+     * @returns {string|null} 'closed' for a regular request, 'trial' for the trial request, or null while blocked
+     */
+    acquire() {
+        if (this.state === 'closed') return 'closed';
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = 'half-open';
+            return 'trial';
+        }
+        return null;
+    }
+
+    /**
+     * Hand back a trial request that ended without telling whether the endpoint is up
+     * (cancelled, or failed with an error that does not count, such as a bad request)
+     */
+    releaseTrial() {
+        if (this.state === 'half-open') this.state = 'open';
+    }
+
+    /**
+     * Record a successful request
+     */
+    recordSuccess() {
+        this.reset();
+    }
+
+    /**
+     * Record a failed request
+     * @param {string} kind - One of API_ERROR_KINDS
+     */
+    recordFailure(kind) {
+        if (!CIRCUIT_BREAKER_ERROR_KINDS.includes(kind)) return;
+        this.consecutiveFailures++;
+        this.lastErrorKind = kind;
+        if (this.state === 'half-open') {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            console.warn(`🔌 Circuit breaker re-opened: the trial request failed with ${kind}`);
+        } else if (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            console.warn(`🔌 Circuit breaker opened after ${this.consecutiveFailures} consecutive ${kind} failures`);
+        }
+    }
+
+    /**
+     * Check whether requests are blocked
+     * @returns {boolean} True while open or while the trial request is in flight; false once the
+     *                    cooldown allows a trial request
+     */
+    isOpen() {
+        if (this.state === 'half-open') return true;
+        return this.state === 'open' && Date.now() - this.openedAt < this.cooldownMs;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        API_ERROR_KINDS,
+        ApiError,
+        CircuitBreaker,
+        classifyHttpError,
+        parseRetryAfter,
+        createHttpApiError,
+        toApiError,
+        isContentFilterFinish,
+        isRetryableError,
+        computeRetryDelay,
+        sleepWithSignal
+    };
+}
+
+// Expose globally for browser compatibility
+window.API_ERROR_KINDS = API_ERROR_KINDS;
+window.ApiError = ApiError;
+window.CircuitBreaker = CircuitBreaker;
+window.classifyHttpError = classifyHttpError;
+window.parseRetryAfter = parseRetryAfter;
+window.createHttpApiError = createHttpApiError;
+window.toApiError = toApiError;
+window.isContentFilterFinish = isContentFilterFinish;
+window.isRetryableError = isRetryableError;
+window.computeRetryDelay = computeRetryDelay;
+window.sleepWithSignal = sleepWithSignal;
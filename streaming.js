@@ -0,0 +1,140 @@
+/**
+ * Streaming Module
+ * Reads server-sent event streams and pulls partial values out of JSON
+ * that is still being generated, so fields can fill in as text arrives
+ */
+
+/**
+ * Read a server-sent events response body and hand each event's data to a callback
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Function} onEvent - Called with (data, eventName) for every event; may throw to stop reading
+ * @returns {Promise} Resolves when the stream ends; rejects if reading fails or is aborted
+ */
+async function readEventStream(response, onEvent) {
+    if (!response.body) {
+        throw new Error('Streaming is not supported by this browser');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = rawEvent => {
+        let eventName = 'message';
+        const dataLines = [];
+        rawEvent.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            } else if (line.startsWith('event:')) {
+                eventName = line.slice(6).trim();
+            }
+        });
+        if (dataLines.length > 0) {
+            onEvent(dataLines.join('\n'), eventName);
+        }
+    };
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop();
+            events.forEach(dispatch);
+        }
+        buffer += decoder.decode();
+        if (buffer.trim()) {
+            dispatch(buffer);
+        }
+    } catch (error) {
+        // Stop the underlying request; the partial answer is discarded by the caller
+        reader.cancel().catch(() => {});
+        throw error;
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Read a JSON string literal that may still be unterminated
+ * @private
+ */
+function readPartialJsonString(text, start) {
+    const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+    let value = '';
+    let i = start + 1;
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '"') {
+            return { value, end: i + 1, closed: true };
+        }
+        if (char === '\\') {
+            const next = text[i + 1];
+            if (next === undefined) break;
+            if (next === 'u') {
+                const hex = text.slice(i + 2, i + 6);
+                if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+                value += String.fromCharCode(parseInt(hex, 16));
+                i += 6;
+                continue;
+            }
+            value += escapes[next] ?? next;
+            i += 2;
+            continue;
+        }
+        value += char;
+        i++;
+    }
+    return { value, end: text.length, closed: false };
+}
+
+/**
+ * Extract the string (or string array) values of the given keys from incomplete JSON
+ * @param {string} text - JSON text received so far
+ * @param {Array<string>} keys - Keys to look for (matched case-insensitively)
+ * @returns {Object} Partial values by key; arrays are joined with ", "
+ */
+function extractPartialJsonValues(text, keys) {
+    const values = {};
+    keys.forEach(key => {
+        const escapedKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = new RegExp(`"${escapedKey}"\\s*:\\s*`, 'i').exec(text);
+        if (!match) return;
+
+        let i = match.index + match[0].length;
+        if (text[i] === '"') {
+            values[key] = readPartialJsonString(text, i).value;
+        } else if (text[i] === '[') {
+            const items = [];
+            i++;
+            while (i < text.length) {
+                const char = text[i];
+                if (char === ']') break;
+                if (char === '"') {
+                    const item = readPartialJsonString(text, i);
+                    items.push(item.value);
+                    if (!item.closed) break;
+                    i = item.end;
+                } else {
+                    i++;
+                }
+            }
+            values[key] = items.join(', ');
+        }
+    });
+    return values;
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        readEventStream,
+        extractPartialJsonValues
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.readEventStream = readEventStream;
+window.extractPartialJsonValues = extractPartialJsonValues;
@@ -0,0 +1,652 @@
+/**
+ * Taxonomy Module
+ * Loads a controlled vocabulary (CSV, JSON or SKOS) of AEM tags, constrains
+ * keyword prompts to it and maps generated keywords to tag IDs
+ */
+
+const TAXONOMY_STORAGE_KEY = 'taxonomy';
+
+// Larger vocabularies are truncated in the prompt; mapping still uses every tag
+const TAXONOMY_PROMPT_TERM_LIMIT = 300;
+
+// Minimum similarity (0 - 1) for a fuzzy match
+const TAXONOMY_FUZZY_THRESHOLD = 0.85;
+
+const SKOS_NAMESPACE = 'http://www.w3.org/2004/02/skos/core#';
+const RDF_NAMESPACE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+// Loaded taxonomy ({ name, loadedAt, tags: [{ id, title, synonyms }] }) and its lookup index
+let activeTaxonomy = null;
+let taxonomyIndex = null;
+
+/**
+ * Normalize a term for matching: lower case, no accents or punctuation, singular words
+ * Letters of every script are kept (combining marks too, which Indic scripts need inside words);
+ * the plural rule only applies to Latin-script words.
+ * @param {string} term - Term to normalize
+ * @returns {string} Match key, empty if the term has no letters or digits
+ */
+function normalizeTerm(term) {
+    return String(term || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+        .trim()
+        .split(' ')
+        .map(word => (word.length > 3 && /^\p{Script=Latin}+$/u.test(word) && word.endsWith('s') && !word.endsWith('ss'))
+            ? word.slice(0, -1)
+            : word)
+        .join(' ');
+}
+
+/**
+ * Derive a display title from a tag ID (e.g., "brand:product/running-shoes" → "running shoes")
+ * @param {string} id - Tag ID
+ * @returns {string} Title
+ */
+function tagTitleFromId(id) {
+    return id.split(/[:/]/).filter(Boolean).pop().replace(/[-_]+/g, ' ');
+}
+
+/**
+ * Create a tag entry, filling in the title and cleaning up synonyms
+ * @private
+ */
+function createTag(id, title, synonyms = []) {
+    const tagId = String(id || '').trim();
+    if (!tagId) return null;
+    return {
+        id: tagId,
+        title: String(title || '').trim() || tagTitleFromId(tagId),
+        synonyms: synonyms.map(s => String(s).trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells
+ * The delimiter (comma or semicolon) is detected from the first line.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsvRows(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim()));
+}
+
+/**
+ * Parse a CSV taxonomy
+ * Columns are found by header name (id / tag id, title / name / label, synonyms / aliases);
+ * without a header the columns are read as id, title, synonyms. Synonyms are separated by "|".
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Tags
+ */
+function parseTaxonomyCsv(text) {
+    const rows = parseCsvRows(text);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const findColumn = names => header.findIndex(cell => names.includes(cell));
+    let columns = {
+        id: findColumn(['id', 'tag id', 'tagid', 'tag', 'tag_id']),
+        title: findColumn(['title', 'name', 'label', 'jcr:title', 'preflabel']),
+        synonyms: findColumn(['synonyms', 'synonym', 'aliases', 'altlabel', 'altlabels'])
+    };
+    const hasHeader = columns.id !== -1;
+    if (!hasHeader) {
+        columns = { id: 0, title: 1, synonyms: 2 };
+    }
+
+    return rows.slice(hasHeader ? 1 : 0)
+        .map(row => createTag(
+            row[columns.id],
+            columns.title !== -1 ? row[columns.title] : '',
+            columns.synonyms !== -1 && row[columns.synonyms] ? row[columns.synonyms].split('|') : []
+        ))
+        .filter(Boolean);
+}
+
+/**
+ * Parse a JSON taxonomy
+ * Accepts an array of { id, title, synonyms } (optionally nested under "children" or wrapped
+ * in { tags: [...] }), or an AEM tag tree export (e.g., /content/cq:tags.infinity.json).
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} Tags
+ */
+function parseTaxonomyJson(text) {
+    const data = JSON.parse(text);
+    const tags = [];
+
+    const walkList = items => {
+        items.forEach(item => {
+            if (typeof item === 'string') {
+                tags.push(createTag(item));
+                return;
+            }
+            tags.push(createTag(
+                item.id || item.tagID || item.tagId,
+                item.title || item.name || item['jcr:title'],
+                item.synonyms || item.aliases || []
+            ));
+            if (Array.isArray(item.children)) walkList(item.children);
+        });
+    };
+
+    // AEM tag trees nest cq:Tag nodes by name: namespace → path segments
+    const walkAemTree = (node, segments) => {
+        Object.entries(node).forEach(([key, child]) => {
+            if (!child || typeof child !== 'object' || child['jcr:primaryType'] !== 'cq:Tag') return;
+            const path = [...segments, key];
+            if (path.length > 1) {
+                const localizedTitles = Object.keys(child)
+                    .filter(k => k.startsWith('jcr:title.'))
+                    .map(k => child[k]);
+                tags.push(createTag(`${path[0]}:${path.slice(1).join('/')}`, child['jcr:title'], localizedTitles));
+            }
+            walkAemTree(child, path);
+        });
+    };
+
+    if (Array.isArray(data)) {
+        walkList(data);
+    } else if (Array.isArray(data.tags)) {
+        walkList(data.tags);
+    } else {
+        walkAemTree(data, []);
+    }
+    return tags.filter(Boolean);
+}
+
+/**
+ * Parse a SKOS taxonomy in RDF/XML
+ * The tag ID is the concept's skos:notation, or its rdf:about URI when it has none;
+ * alternative, hidden and additional preferred labels become synonyms.
+ * @param {string} text - RDF/XML text
+ * @returns {Array<Object>} Tags
+ */
+function parseTaxonomySkos(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('SKOS file is not valid XML');
+    }
+
+    const labels = (concept, name) => Array.from(concept.getElementsByTagNameNS(SKOS_NAMESPACE, name))
+        .map(el => ({ text: el.textContent.trim(), lang: el.getAttribute('xml:lang') || '' }))
+        .filter(label => label.text);
+
+    return Array.from(doc.getElementsByTagNameNS(SKOS_NAMESPACE, 'Concept'))
+        .map(concept => {
+            const notation = concept.getElementsByTagNameNS(SKOS_NAMESPACE, 'notation')[0];
+            const id = notation ? notation.textContent : concept.getAttributeNS(RDF_NAMESPACE, 'about');
+            const prefLabels = labels(concept, 'prefLabel');
+            const preferred = prefLabels.find(label => label.lang.startsWith('en')) || prefLabels[0];
+            const synonyms = [
+                ...prefLabels.filter(label => label !== preferred),
+                ...labels(concept, 'altLabel'),
+                ...labels(concept, 'hiddenLabel')
+            ].map(label => label.text);
+            return createTag(id, preferred ? preferred.text : '', synonyms);
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Parse a taxonomy file by its extension
+ * @param {string} text - File contents
+ * @param {string} filename - File name (.csv, .json, .rdf, .xml or .skos)
+ * @returns {Object} Taxonomy { name, loadedAt, tags }
+ */
+function parseTaxonomyFile(text, filename) {
+    const extension = filename.split('.').pop().toLowerCase();
+    let tags;
+    if (extension === 'csv' || extension === 'txt') {
+        tags = parseTaxonomyCsv(text);
+    } else if (extension === 'json') {
+        tags = parseTaxonomyJson(text);
+    } else if (['rdf', 'xml', 'skos', 'owl'].includes(extension)) {
+        tags = parseTaxonomySkos(text);
+    } else {
+        throw new Error(`Unsupported taxonomy format ".${extension}" (use CSV, JSON or SKOS RDF/XML)`);
+    }
+
+    // Keep the first entry for duplicate IDs
+    const seen = new Set();
+    tags = tags.filter(tag => {
+        if (seen.has(tag.id)) return false;
+        seen.add(tag.id);
+        return true;
+    });
+    if (tags.length === 0) {
+        throw new Error('No tags found in the taxonomy file');
+    }
+
+    return { name: filename, loadedAt: new Date().toISOString(), tags };
+}
+
+/**
+ * Build the lookup maps used for matching
+ * @private
+ */
+function buildTaxonomyIndex(taxonomy) {
+    const exact = new Map();
+    const synonyms = new Map();
+    const candidates = [];
+
+    taxonomy.tags.forEach(tag => {
+        [tag.title, tagTitleFromId(tag.id), tag.id].forEach(term => {
+            const key = normalizeTerm(term);
+            if (key && !exact.has(key)) exact.set(key, tag);
+        });
+        tag.synonyms.forEach(term => {
+            const key = normalizeTerm(term);
+            if (key && !synonyms.has(key)) synonyms.set(key, tag);
+        });
+        [tag.title, ...tag.synonyms].forEach(term => {
+            const key = normalizeTerm(term);
+            if (key) candidates.push({ key, tag });
+        });
+    });
+
+    return { exact, synonyms, candidates };
+}
+
+/**
+ * Get the loaded taxonomy, reading it from localStorage on first use
+ * @returns {Object|null} Taxonomy, or null when none is loaded
+ */
+function getActiveTaxonomy() {
+    if (activeTaxonomy === null) {
+        try {
+            const saved = localStorage.getItem(TAXONOMY_STORAGE_KEY);
+            activeTaxonomy = saved ? JSON.parse(saved) : false;
+        } catch (error) {
+            console.error('Error loading taxonomy:', error);
+            activeTaxonomy = false;
+        }
+    }
+    return activeTaxonomy || null;
+}
+
+/**
+ * Replace the loaded taxonomy and persist it
+ * @param {Object|null} taxonomy - Taxonomy from parseTaxonomyFile(), or null to remove it
+ */
+function setActiveTaxonomy(taxonomy) {
+    activeTaxonomy = taxonomy || false;
+    taxonomyIndex = null;
+    if (taxonomy) {
+        localStorage.setItem(TAXONOMY_STORAGE_KEY, JSON.stringify(taxonomy));
+        console.log(`🏷️ Loaded taxonomy ${taxonomy.name} with ${taxonomy.tags.length} tags`);
+    } else {
+        localStorage.removeItem(TAXONOMY_STORAGE_KEY);
+        console.log('🗑️ Taxonomy cleared');
+    }
+}
+
+/**
+ * Compute the similarity of two match keys from their edit distance
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {number} Similarity between 0 and 1
+ */
+function termSimilarity(a, b) {
+    if (a === b) return 1;
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / longest;
+}
+
+/**
+ * Map one keyword to a tag: exact title/ID match first, then synonyms, then the closest fuzzy match
+ * @param {string} term - Generated keyword
+ * @param {Object} taxonomy - Taxonomy to match against (defaults to the loaded one)
+ * @returns {Object|null} { term, id, title, match: 'exact'|'synonym'|'fuzzy', score }, or null when unmapped
+ */
+function mapTermToTag(term, taxonomy = getActiveTaxonomy()) {
+    if (!taxonomy) return null;
+    if (!taxonomyIndex || taxonomyIndex.taxonomy !== taxonomy) {
+        taxonomyIndex = { taxonomy, ...buildTaxonomyIndex(taxonomy) };
+    }
+
+    const key = normalizeTerm(term);
+    if (!key) return null;
+
+    const toResult = (tag, match, score) => ({ term, id: tag.id, title: tag.title, match, score });
+    if (taxonomyIndex.exact.has(key)) return toResult(taxonomyIndex.exact.get(key), 'exact', 1);
+    if (taxonomyIndex.synonyms.has(key)) return toResult(taxonomyIndex.synonyms.get(key), 'synonym', 1);
+
+    // Short terms produce too many accidental near-matches
+    if (key.length < 4) return null;
+
+    let best = null;
+    taxonomyIndex.candidates.forEach(candidate => {
+        // Skip candidates whose length alone rules out the threshold
+        if (Math.abs(candidate.key.length - key.length) > key.length * (1 - TAXONOMY_FUZZY_THRESHOLD) + 1) return;
+        const score = termSimilarity(key, candidate.key);
+        if (score >= TAXONOMY_FUZZY_THRESHOLD && (!best || score > best.score)) {
+            best = { tag: candidate.tag, score };
+        }
+    });
+    return best ? toResult(best.tag, 'fuzzy', Math.round(best.score * 100) / 100) : null;
+}
+
+/**
+ * Map a generated keyword list to tags
+ * @param {string} value - Generated list value
+ * @param {Object} schema - Property schema of the list (for its separator)
+ * @param {Object} taxonomy - Taxonomy to match against (defaults to the loaded one)
+ * @returns {Object} { mapped: [...], unmapped: [terms] }; tags are not repeated
+ */
+function mapKeywordsToTaxonomy(value, schema, taxonomy = getActiveTaxonomy()) {
+    const { value: normalizedList } = validatePropertyValue(value, { ...schema, type: 'list' });
+    const separator = normalizePropertySchema({ ...schema, type: 'list' }).separator;
+    const terms = normalizedList ? normalizedList.split(separator).filter(Boolean) : [];
+
+    const mapped = [];
+    const unmapped = [];
+    terms.forEach(term => {
+        const tag = mapTermToTag(term, taxonomy);
+        if (!tag) {
+            unmapped.push(term);
+        } else if (!mapped.some(existing => existing.id === tag.id)) {
+            mapped.push(tag);
+        }
+    });
+    return { mapped, unmapped };
+}
+
+/**
+ * Describe the vocabulary so it can be appended to a keyword prompt
+ * @param {Object|null} taxonomy - Taxonomy (defaults to the loaded one)
+ * @returns {string} Instruction, or an empty string when no taxonomy is loaded
+ */
+function describeTaxonomyForPrompt(taxonomy = getActiveTaxonomy()) {
+    if (!taxonomy || taxonomy.tags.length === 0) return '';
+
+    const titles = taxonomy.tags.slice(0, TAXONOMY_PROMPT_TERM_LIMIT).map(tag => tag.title);
+    if (taxonomy.tags.length > TAXONOMY_PROMPT_TERM_LIMIT) {
+        return `Prefer terms from this controlled vocabulary: ${titles.join(', ')}.`;
+    }
+    return `Use only terms from this controlled vocabulary: ${titles.join(', ')}.`;
+}
+
+/**
+ * Get the custom prompts whose list values are mapped to the taxonomy
+ * @returns {Array} Custom prompt objects
+ */
+function getTaxonomyPrompts() {
+    return getStoredCustomPrompts().filter(p => {
+        const schema = normalizePropertySchema(p.schema);
+        return schema.type === 'list' && schema.taxonomy;
+    });
+}
+
+/**
+ * Map the taxonomy properties of one stored metadata version and keep the result under entry.tags
+ * @param {Object} entry - imageMetadata entry
+ * @param {string} versionKey - Metadata version key
+ * @returns {Object} { [property]: { mapped, unmapped } } for the version
+ */
+function applyTaxonomyToEntry(entry, versionKey) {
+    const taxonomy = getActiveTaxonomy();
+    const values = entry[versionKey] || {};
+    const tags = {};
+
+    if (taxonomy) {
+        getTaxonomyPrompts().forEach(p => {
+            const value = values[p.property];
+            if (value && !isErrorValue(value)) {
+                tags[p.property] = mapKeywordsToTaxonomy(value, p.schema, taxonomy);
+            }
+        });
+    }
+
+    entry.tags = { ...entry.tags, [versionKey]: tags };
+    return tags;
+}
+
+/**
+ * Re-map every stored metadata version, e.g. after the taxonomy or keywords changed
+ */
+function refreshTaxonomyMappings() {
+    Object.values(imageMetadata).forEach(entry => {
+        Object.keys(entry)
+            .filter(key => /^version\d+$/.test(key))
+            .forEach(versionKey => applyTaxonomyToEntry(entry, versionKey));
+    });
+}
+
+/**
+ * Collect the keywords that did not map to any tag, most frequent first
+ * @returns {Array<Object>} { term, count, filenames }
+ */
+function collectUnmappedTerms() {
+    const terms = new Map();
+    Object.values(imageMetadata).forEach(entry => {
+        Object.values(entry.tags || {}).forEach(versionTags => {
+            Object.values(versionTags).forEach(({ unmapped }) => {
+                unmapped.forEach(term => {
+                    const key = term.toLowerCase();
+                    const item = terms.get(key) || { term, count: 0, filenames: [] };
+                    item.count++;
+                    if (!item.filenames.includes(entry.filename)) item.filenames.push(entry.filename);
+                    terms.set(key, item);
+                });
+            });
+        });
+    });
+    return Array.from(terms.values()).sort((a, b) => b.count - a.count || a.term.localeCompare(b.term));
+}
+
+/**
+ * Show the loaded taxonomy and the unmapped terms in the taxonomy section
+ */
+function renderTaxonomySection() {
+    const status = document.getElementById('taxonomyStatus');
+    const list = document.getElementById('unmappedTermsList');
+    if (!status || !list) return;
+
+    const taxonomy = getActiveTaxonomy();
+    status.textContent = taxonomy
+        ? `${taxonomy.name} – ${taxonomy.tags.length} tags (loaded ${new Date(taxonomy.loadedAt).toLocaleString()})`
+        : 'No taxonomy loaded. Keyword lists marked "Map to taxonomy" stay unmapped.';
+
+    const unmapped = taxonomy ? collectUnmappedTerms() : [];
+    list.innerHTML = '';
+    if (taxonomy && unmapped.length === 0) {
+        list.textContent = 'All generated keywords map to tags.';
+    }
+    unmapped.forEach(item => {
+        const chip = document.createElement('span');
+        chip.className = 'unmapped-term';
+        chip.textContent = `${item.term} (${item.count})`;
+        chip.title = item.filenames.join('\n');
+        list.appendChild(chip);
+    });
+}
+
+/**
+ * Load a taxonomy file chosen in the file input
+ * @param {Event} event - File input change event
+ */
+async function importTaxonomyFromFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        const taxonomy = parseTaxonomyFile(await file.text(), file.name);
+        setActiveTaxonomy(taxonomy);
+        refreshTaxonomyMappings();
+        renderTaxonomySection();
+        showNotification(`✅ Loaded ${taxonomy.tags.length} tags from ${file.name}`);
+    } catch (error) {
+        console.error('Error loading taxonomy:', error);
+        showNotification('❌ Error reading taxonomy file: ' + error.message, 'error');
+    }
+
+    // Reset file input
+    event.target.value = '';
+}
+
+/**
+ * Remove the loaded taxonomy
+ */
+function clearTaxonomy() {
+    setActiveTaxonomy(null);
+    refreshTaxonomyMappings();
+    renderTaxonomySection();
+    showNotification('✅ Taxonomy cleared');
+}
+
+/**
+ * Export the unmapped terms as CSV for curators
+ */
+function exportUnmappedTermsAsCsv() {
+    refreshTaxonomyMappings();
+    const unmapped = collectUnmappedTerms();
+    if (unmapped.length === 0) {
+        showNotification('No unmapped terms to export', 'error');
+        return;
+    }
+
+    const csvData = [
+        ['Term', 'Count', 'Files'],
+        ...unmapped.map(item => [item.term, item.count, item.filenames.join('; ')])
+    ];
+    const csvContent = csvData.map(row =>
+        row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')
+    ).join('\n');
+
+    downloadFile(csvContent, generateTimestampedFilename('unmapped-terms', '.csv'), 'text/csv');
+    showNotification(`✅ Exported ${unmapped.length} unmapped terms`);
+}
+
+/**
+ * Initialize taxonomy section event handlers
+ */
+function initializeTaxonomyHandlers() {
+    const loadTaxonomyBtn = document.getElementById('loadTaxonomyBtn');
+    const taxonomyFileInput = document.getElementById('taxonomyFileInput');
+    const clearTaxonomyBtn = document.getElementById('clearTaxonomyBtn');
+    const exportUnmappedBtn = document.getElementById('exportUnmappedBtn');
+
+    if (loadTaxonomyBtn) {
+        loadTaxonomyBtn.addEventListener('click', () => taxonomyFileInput.click());
+    }
+
+    if (taxonomyFileInput) {
+        taxonomyFileInput.addEventListener('change', importTaxonomyFromFile);
+    }
+
+    if (clearTaxonomyBtn) {
+        clearTaxonomyBtn.addEventListener('click', clearTaxonomy);
+    }
+
+    if (exportUnmappedBtn) {
+        exportUnmappedBtn.addEventListener('click', exportUnmappedTermsAsCsv);
+    }
+
+    renderTaxonomySection();
+    console.log('🏷️ Taxonomy event handlers initialized');
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeTerm,
+        tagTitleFromId,
+        parseCsvRows,
+        parseTaxonomyCsv,
+        parseTaxonomyJson,
+        parseTaxonomySkos,
+        parseTaxonomyFile,
+        getActiveTaxonomy,
+        setActiveTaxonomy,
+        termSimilarity,
+        mapTermToTag,
+        mapKeywordsToTaxonomy,
+        describeTaxonomyForPrompt,
+        getTaxonomyPrompts,
+        applyTaxonomyToEntry,
+        refreshTaxonomyMappings,
+        collectUnmappedTerms,
+        renderTaxonomySection,
+        importTaxonomyFromFile,
+        clearTaxonomy,
+        exportUnmappedTermsAsCsv,
+        initializeTaxonomyHandlers
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.normalizeTerm = normalizeTerm;
+window.tagTitleFromId = tagTitleFromId;
+window.parseCsvRows = parseCsvRows;
+window.parseTaxonomyCsv = parseTaxonomyCsv;
+window.parseTaxonomyJson = parseTaxonomyJson;
+window.parseTaxonomySkos = parseTaxonomySkos;
+window.parseTaxonomyFile = parseTaxonomyFile;
+window.getActiveTaxonomy = getActiveTaxonomy;
+window.setActiveTaxonomy = setActiveTaxonomy;
+window.termSimilarity = termSimilarity;
+window.mapTermToTag = mapTermToTag;
+window.mapKeywordsToTaxonomy = mapKeywordsToTaxonomy;
+window.describeTaxonomyForPrompt = describeTaxonomyForPrompt;
+window.getTaxonomyPrompts = getTaxonomyPrompts;
+window.applyTaxonomyToEntry = applyTaxonomyToEntry;
+window.refreshTaxonomyMappings = refreshTaxonomyMappings;
+window.collectUnmappedTerms = collectUnmappedTerms;
+window.renderTaxonomySection = renderTaxonomySection;
+window.importTaxonomyFromFile = importTaxonomyFromFile;
+window.clearTaxonomy = clearTaxonomy;
+window.exportUnmappedTermsAsCsv = exportUnmappedTermsAsCsv;
+window.initializeTaxonomyHandlers = initializeTaxonomyHandlers;
@@ -119,6 +119,59 @@ async function copyToClipboard(text) {
     }
 }
 
+// Pending or completed loads keyed by script URL
+const externalScriptLoads = {};
+
+// A script that has neither loaded nor failed by then (e.g. a stalled server) is given up on
+const EXTERNAL_SCRIPT_TIMEOUT_MS = 30000;
+
+/**
+ * Load a third-party library on demand
+ * Libraries are vendored under vendor/ and pinned by their Subresource Integrity hash, since they run in
+ * the page that holds the API key and the unlocked key vault.
+ * @param {string} src - Script URL
+ * @param {string} globalName - Optional global the script defines; skips loading if it already exists
+ * @param {Object} options - Load options
+ * @param {string} options.integrity - SRI hash the script must match (e.g. 'sha384-...')
+ * @param {boolean} options.module - Load as an ES module (the module must set its global itself)
+ * @param {number} options.timeoutMs - Time after which the load is rejected
+ * @returns {Promise<*>} Promise resolving to the global (or undefined) once the script has loaded
+ */
+function loadExternalScript(src, globalName = null, { integrity = null, module = false, timeoutMs = EXTERNAL_SCRIPT_TIMEOUT_MS } = {}) {
+    if (globalName && window[globalName]) {
+        return Promise.resolve(window[globalName]);
+    }
+
+    if (!externalScriptLoads[src]) {
+        externalScriptLoads[src] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            const fail = message => {
+                clearTimeout(timer);
+                // Allow a later retry, e.g. once the network is back
+                delete externalScriptLoads[src];
+                script.remove();
+                reject(new Error(message));
+            };
+            const timer = setTimeout(() => fail(`Timed out loading ${src}`), timeoutMs);
+            if (module) script.type = 'module';
+            if (integrity) {
+                script.integrity = integrity;
+                script.crossOrigin = 'anonymous';
+            }
+            script.src = src;
+            script.async = true;
+            script.onload = () => {
+                clearTimeout(timer);
+                resolve(globalName ? window[globalName] : undefined);
+            };
+            // Also fired when the file does not match its integrity hash
+            script.onerror = () => fail(`Failed to load ${src}`);
+            document.head.appendChild(script);
+        });
+    }
+    return externalScriptLoads[src];
+}
+
 /**
  * Check if a file is a valid image based on its extension
  * @param {string} filename - Name of the file
@@ -130,6 +183,27 @@ function isValidImage(filename) {
     return IMAGE_EXTENSIONS.includes(extension);
 }
 
+/**
+ * Get a file's path within the folder it was loaded from
+ * Folder inputs set webkitRelativePath; files read from a folder handle or a drop get relativePath on ingest.
+ * @param {File} file - Loaded file
+ * @returns {string} Path such as "Photos/2024/beach.jpg", or just the name for a single file
+ */
+function getFileRelativePath(file) {
+    return file.relativePath || file.webkitRelativePath || file.name;
+}
+
+/**
+ * Get the kind of asset a processed entry holds
+ * @param {Object} imageData - Processed image entry from processedImages
+ * @returns {string} 'video', 'document' (PDFs and multi-page TIFFs) or 'image'
+ */
+function getAssetMediaType(imageData) {
+    if (imageData.video) return 'video';
+    if (imageData.document) return 'document';
+    return 'image';
+}
+
 /**
  * Concatenate imageInfo properties with customPrompt in property_name=value format
  * @param {Object} imageInfo - Image information object
@@ -187,6 +261,9 @@ if (typeof module !== 'undefined' && module.exports) {
         scrollToElement,
         copyToClipboard,
         isValidImage,
+        getFileRelativePath,
+        getAssetMediaType,
+        loadExternalScript,
         concatenateImageInfoWithPrompt
     };
 }
@@ -200,4 +277,7 @@ window.debounce = debounce;
 window.scrollToElement = scrollToElement;
 window.copyToClipboard = copyToClipboard;
 window.isValidImage = isValidImage;
+window.getFileRelativePath = getFileRelativePath;
+window.getAssetMediaType = getAssetMediaType;
+window.loadExternalScript = loadExternalScript;
 window.concatenateImageInfoWithPrompt = concatenateImageInfoWithPrompt; 
\ No newline at end of file
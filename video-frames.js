@@ -0,0 +1,344 @@
+/**
+ * Video Frames Module
+ * Extracts representative keyframes from video clips in the browser, at a
+ * fixed interval or at scene changes, so a video can be described in one
+ * multi-image request, and captures the poster frame shown on its card
+ */
+
+// Keyframes are capped at this edge so a request with several of them stays within provider limits
+const KEYFRAME_MAX_EDGE = 1024;
+
+// Scene detection compares tiny grayscale renditions of frames sampled across the clip
+const SCENE_SAMPLE_EDGE = 32;
+const SCENE_MAX_SAMPLES = 120;
+// Mean brightness difference (0–1) between neighbouring samples that counts as a cut
+const SCENE_CHANGE_THRESHOLD = 0.15;
+
+// Loading or seeking a video the browser cannot decode may never finish
+const VIDEO_LOAD_TIMEOUT_MS = 30000;
+const VIDEO_SEEK_TIMEOUT_MS = 10000;
+
+/**
+ * Check whether a file is a video clip
+ * @param {File} file - File to check
+ * @returns {boolean} True if the extension is a supported video format
+ */
+function isVideoFile(file) {
+    return VIDEO_EXTENSIONS.includes(file.name.split('.').pop().toLowerCase());
+}
+
+/**
+ * Format a duration for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Duration as m:ss or h:mm:ss
+ */
+function formatDuration(seconds) {
+    const total = Math.floor(seconds || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Read the keyframe settings from an API configuration
+ * @param {Object} config - MetadataAPI configuration
+ * @returns {Object} Settings with keyframeMode, keyframeInterval, maxKeyframes and the upload encoding settings
+ */
+function getKeyframeSettings(config = {}) {
+    return {
+        ...getPreprocessSettings(config),
+        keyframeMode: config.keyframeMode === 'scene' ? 'scene' : 'interval',
+        keyframeInterval: config.keyframeInterval || DEFAULT_CONFIG.keyframeInterval,
+        maxKeyframes: Math.max(1, config.maxKeyframes || DEFAULT_CONFIG.maxKeyframes)
+    };
+}
+
+/**
+ * Load a video file into a detached video element
+ * @param {File} file - Video file
+ * @returns {Promise<Object>} Promise resolving to { video, url } once the first frame can be drawn; pass both to
+ *                            releaseVideoElement() when done
+ * @private
+ */
+function loadVideoElement(file) {
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        const url = URL.createObjectURL(file);
+        const fail = message => {
+            clearTimeout(timer);
+            video.onloadeddata = null;
+            video.onerror = null;
+            releaseVideoElement(video, url);
+            reject(new Error(message));
+        };
+        const timer = setTimeout(() => fail(`Timed out loading ${file.name}`), VIDEO_LOAD_TIMEOUT_MS);
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.onloadeddata = () => {
+            clearTimeout(timer);
+            resolve({ video, url });
+        };
+        video.onerror = () => fail('The browser cannot decode this video format');
+        video.src = url;
+    });
+}
+
+/**
+ * Stop a video element from loading and free its decoder and object URL
+ * Detached elements keep their media buffered until the source is removed.
+ * @private
+ */
+function releaseVideoElement(video, url) {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Seek a video element and wait until the frame at that time can be drawn
+ * @private
+ */
+function seekVideo(video, time) {
+    return new Promise((resolve, reject) => {
+        const onSeeked = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            video.removeEventListener('seeked', onSeeked);
+            reject(new Error(`Timed out seeking to ${formatDuration(time)}`));
+        }, VIDEO_SEEK_TIMEOUT_MS);
+        video.addEventListener('seeked', onSeeked, { once: true });
+        video.currentTime = time;
+    });
+}
+
+/**
+ * Get a video's duration, or 0 when the file does not state it (e.g. some recorded WebM files)
+ * @private
+ */
+function getVideoDuration(video) {
+    return Number.isFinite(video.duration) ? video.duration : 0;
+}
+
+/**
+ * Pick keyframe times at a fixed interval, thinned out evenly to the maximum
+ * @param {number} duration - Clip length in seconds
+ * @param {number} interval - Seconds between keyframes
+ * @param {number} maxFrames - Maximum number of keyframes
+ * @returns {Array<number>} Times in seconds
+ */
+function pickIntervalTimes(duration, interval, maxFrames) {
+    if (!duration) return [0];
+
+    // Start slightly after 0, where many clips are still black
+    const offset = Math.min(0.5, duration / 2);
+    const times = [];
+    for (let time = offset; time < duration; time += interval) times.push(time);
+    if (times.length <= maxFrames) return times;
+
+    const step = times.length / maxFrames;
+    return Array.from({ length: maxFrames }, (_, i) => times[Math.floor(i * step)]);
+}
+
+/**
+ * Pick keyframe times at scene changes
+ * Samples the clip at small size and keeps the strongest cuts; a clip without cuts falls back to the interval.
+ * @param {HTMLVideoElement} video - Loaded video
+ * @param {Object} settings - Settings from getKeyframeSettings()
+ * @returns {Promise<Array<number>>} Times in seconds
+ * @private
+ */
+async function pickSceneChangeTimes(video, settings) {
+    const duration = getVideoDuration(video);
+    if (!duration) return [0];
+
+    const count = Math.min(SCENE_MAX_SAMPLES, Math.max(settings.maxKeyframes * 4, Math.ceil(duration * 2)));
+    const step = duration / count;
+    const size = fitToMaxEdge(video.videoWidth, video.videoHeight, SCENE_SAMPLE_EDGE);
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+
+    const cuts = [];
+    let previous = null;
+    for (let i = 0; i < count; i++) {
+        const time = i * step + step / 2;
+        await seekVideo(video, time);
+        context.drawImage(video, 0, 0, size.width, size.height);
+        const pixels = context.getImageData(0, 0, size.width, size.height).data;
+        const luma = new Float32Array(pixels.length / 4);
+        for (let p = 0; p < luma.length; p++) {
+            luma[p] = (0.299 * pixels[p * 4] + 0.587 * pixels[p * 4 + 1] + 0.114 * pixels[p * 4 + 2]) / 255;
+        }
+        if (previous) {
+            const difference = luma.reduce((sum, value, p) => sum + Math.abs(value - previous[p]), 0) / luma.length;
+            if (difference >= SCENE_CHANGE_THRESHOLD) {
+                // A fade crosses the threshold on several samples in a row; keep its strongest one
+                const last = cuts[cuts.length - 1];
+                if (last && last.index === i - 1) {
+                    if (difference > last.difference) Object.assign(last, { time, difference });
+                    last.index = i;
+                } else {
+                    cuts.push({ time, difference, index: i });
+                }
+            }
+        }
+        previous = luma;
+    }
+
+    if (cuts.length === 0) {
+        return pickIntervalTimes(duration, settings.keyframeInterval, settings.maxKeyframes);
+    }
+
+    // The opening shot plus the strongest cuts, in playback order
+    const strongest = cuts.sort((a, b) => b.difference - a.difference).slice(0, settings.maxKeyframes - 1);
+    return [step / 2, ...strongest.map(cut => cut.time)].sort((a, b) => a - b);
+}
+
+/**
+ * Capture the current frame of a video
+ * @private
+ */
+function captureVideoFrame(video, maxEdge, mimeType, quality) {
+    const target = fitToMaxEdge(video.videoWidth, video.videoHeight, maxEdge);
+    return { dataUrl: encodeImage(video, target.width, target.height, mimeType, quality), ...target };
+}
+
+/**
+ * Capture the poster frame shown on a video's card
+ * @param {File} file - Video file
+ * @returns {Promise<Object>} Promise resolving to { dataUrl, width, height, duration } with the video's dimensions
+ */
+async function createVideoPoster(file) {
+    const { video, url } = await loadVideoElement(file);
+    try {
+        const duration = getVideoDuration(video);
+        // A moment in, past fades from black
+        if (duration) await seekVideo(video, Math.min(1, duration * 0.1));
+        const frame = captureVideoFrame(video, FALLBACK_RASTER_EDGE, 'image/jpeg', 0.85);
+        return { dataUrl: frame.dataUrl, width: video.videoWidth, height: video.videoHeight, duration };
+    } finally {
+        releaseVideoElement(video, url);
+    }
+}
+
+/**
+ * Extract keyframes from a video
+ * @param {File} file - Video file
+ * @param {Object} settings - Settings from getKeyframeSettings()
+ * @returns {Promise<Object>} Promise resolving to { frames, times, bytes, originalBytes, width, height }
+ */
+async function extractVideoKeyframes(file, settings) {
+    const { video, url } = await loadVideoElement(file);
+    try {
+        const duration = getVideoDuration(video);
+        const times = settings.keyframeMode === 'scene'
+            ? await pickSceneChangeTimes(video, settings)
+            : pickIntervalTimes(duration, settings.keyframeInterval, settings.maxKeyframes);
+        const maxEdge = settings.maxImageEdge > 0 ? Math.min(settings.maxImageEdge, KEYFRAME_MAX_EDGE) : KEYFRAME_MAX_EDGE;
+
+        const frames = [];
+        let size = null;
+        for (const time of times) {
+            await seekVideo(video, time);
+            const frame = captureVideoFrame(video, maxEdge, UPLOAD_MIME_TYPES[settings.imageFormat], settings.imageQuality);
+            frames.push(frame.dataUrl);
+            size = size || frame;
+        }
+
+        return {
+            frames,
+            times,
+            bytes: frames.reduce((sum, frame) => sum + dataUrlByteLength(frame), 0),
+            originalBytes: file.size,
+            width: size.width,
+            height: size.height
+        };
+    } finally {
+        releaseVideoElement(video, url);
+    }
+}
+
+/**
+ * Get the keyframes to upload for a video, extracting them on first use
+ * The result is memoized on the entry until the keyframe or upload settings change.
+ * @param {Object} imageData - Processed video entry from processedImages
+ * @param {Object} config - MetadataAPI configuration
+ * @returns {Promise<Array<string>>} Promise resolving to the keyframe data URLs in playback order
+ */
+async function getVideoUploadFrames(imageData, config = {}) {
+    const settings = getKeyframeSettings(config);
+    const settingsKey = JSON.stringify(settings);
+
+    if (!imageData.uploadCache || imageData.uploadCache.settingsKey !== settingsKey) {
+        const promise = extractVideoKeyframes(imageData.file, settings).then(result => {
+            imageData.upload = result;
+            console.log(`🎬 Extracted ${result.frames.length} keyframes from ${imageData.file.name} (${formatFileSize(result.bytes)})`);
+            return result;
+        });
+        imageData.uploadCache = { settingsKey, promise };
+    }
+
+    try {
+        return (await imageData.uploadCache.promise).frames;
+    } catch (error) {
+        imageData.uploadCache = null;
+        throw new Error(`Could not extract keyframes from ${imageData.file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Build the video details sent alongside prompts
+ * @param {Object} imageData - Processed video entry
+ * @returns {Object} media_type, duration and keyframe times (once extracted)
+ */
+function buildVideoImageInfo(imageData) {
+    return {
+        media_type: 'video',
+        duration: formatDuration(imageData.video.duration),
+        ...(imageData.upload?.times ? { keyframes: imageData.upload.times.map(formatDuration).join(', ') } : {})
+    };
+}
+
+/**
+ * Explain to the model that the images of a request are frames of one video
+ * @param {Object} imageInfo - Image information from buildImageInfo()
+ * @param {number} frameCount - Number of keyframes in the request
+ * @returns {string} Instruction placed ahead of the prompt
+ */
+function buildVideoFramesNote(imageInfo, frameCount) {
+    const times = imageInfo?.keyframes ? ` taken at ${imageInfo.keyframes}` : '';
+    const duration = imageInfo?.duration ? ` ${imageInfo.duration}` : '';
+    return `The ${frameCount} images are keyframes${times}, in playback order, from one${duration} video. ` +
+        'Where the prompt says image, it means the whole video: describe it as one asset, not frame by frame.';
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isVideoFile,
+        formatDuration,
+        getKeyframeSettings,
+        pickIntervalTimes,
+        createVideoPoster,
+        extractVideoKeyframes,
+        getVideoUploadFrames,
+        buildVideoImageInfo,
+        buildVideoFramesNote
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.isVideoFile = isVideoFile;
+window.formatDuration = formatDuration;
+window.getKeyframeSettings = getKeyframeSettings;
+window.pickIntervalTimes = pickIntervalTimes;
+window.createVideoPoster = createVideoPoster;
+window.extractVideoKeyframes = extractVideoKeyframes;
+window.getVideoUploadFrames = getVideoUploadFrames;
+window.buildVideoImageInfo = buildVideoImageInfo;
+window.buildVideoFramesNote = buildVideoFramesNote;
@@ -0,0 +1,718 @@
+/**
+ * XMP Export Module
+ * Writes generated metadata as standard XMP (dc:title, dc:description,
+ * dc:subject, ...) plus a custom namespace for other properties, either as
+ * .xmp sidecar files or embedded into copies of JPEG, PNG and TIFF files,
+ * delivered as a zip that keeps the folder structure
+ */
+
+// JSZip 3.10.1, vendored (see vendor/README.md)
+const JSZIP_SCRIPT_URL = 'vendor/jszip/jszip.min.js';
+const JSZIP_SCRIPT_INTEGRITY = 'sha384-+mbV2IY1Zk/X1p/nWllGySJSUN8uMs+gUAN10Or95UBH0fpj6GfKgPmgC5EXieXG';
+
+const XMP_EXPORT_STORAGE_KEY = 'xmpExportSettings';
+
+const XMP_RDF_NAMESPACE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+const XMP_NAMESPACES = {
+    dc: 'http://purl.org/dc/elements/1.1/',
+    xmp: 'http://ns.adobe.com/xap/1.0/',
+    photoshop: 'http://ns.adobe.com/photoshop/1.0/',
+    Iptc4xmpCore: 'http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/'
+};
+
+// Standard fields a property can be written to; kind is the XMP value type
+const XMP_FIELDS = {
+    'dc:title': { label: 'Title (dc:title)', kind: 'alt' },
+    'dc:description': { label: 'Description (dc:description)', kind: 'alt' },
+    'dc:subject': { label: 'Keywords (dc:subject)', kind: 'bag' },
+    'dc:creator': { label: 'Creator (dc:creator)', kind: 'seq' },
+    'dc:rights': { label: 'Rights (dc:rights)', kind: 'alt' },
+    'photoshop:Headline': { label: 'Headline (photoshop:Headline)', kind: 'text' },
+    'Iptc4xmpCore:AltTextAccessibility': { label: 'Alt text (Iptc4xmpCore:AltTextAccessibility)', kind: 'alt' }
+};
+
+// Standard field for common property names; everything else goes to the custom namespace
+const XMP_DEFAULT_FIELDS = {
+    title: 'dc:title',
+    headline: 'photoshop:Headline',
+    description: 'dc:description',
+    caption: 'dc:description',
+    keywords: 'dc:subject',
+    tags: 'dc:subject',
+    subject: 'dc:subject',
+    creator: 'dc:creator',
+    author: 'dc:creator',
+    copyright: 'dc:rights',
+    rights: 'dc:rights',
+    alt: 'Iptc4xmpCore:AltTextAccessibility',
+    alt_text: 'Iptc4xmpCore:AltTextAccessibility'
+};
+
+const DEFAULT_XMP_EXPORT_SETTINGS = {
+    mode: 'sidecar', // 'sidecar' writes name.xmp next to each file; 'embedded' writes XMP into copies of the files
+    prefix: 'aimeta',
+    namespace: 'https://adobe-rnd.github.io/aem-assets-autometadata-tool/ns/1.0/',
+    mapping: {} // property -> XMP field, 'custom' or 'none'; unmapped properties use their default field
+};
+
+// Identifier that starts the XMP APP1 segment of a JPEG
+const JPEG_XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+// Largest packet that fits a single JPEG APP1 segment
+const JPEG_MAX_XMP_BYTES = 65535 - 2 - JPEG_XMP_HEADER.length;
+
+// Formats XMP can be embedded into, and read back from to keep the properties they already carry
+const XMP_EMBED_FORMATS = ['jpg', 'jpeg', 'png', 'tif', 'tiff'];
+
+/**
+ * Load the XMP export settings
+ * @returns {Object} { mode, prefix, namespace, mapping }
+ */
+function loadXmpExportSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(XMP_EXPORT_STORAGE_KEY));
+        return { ...DEFAULT_XMP_EXPORT_SETTINGS, ...saved, mapping: { ...saved?.mapping } };
+    } catch (error) {
+        console.error('Error loading XMP export settings:', error);
+        return { ...DEFAULT_XMP_EXPORT_SETTINGS, mapping: {} };
+    }
+}
+
+/**
+ * Save the XMP export settings
+ * @param {Object} settings - Settings to save
+ */
+function saveXmpExportSettings(settings) {
+    localStorage.setItem(XMP_EXPORT_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Get the XMP field a property is written to
+ * @param {Object} settings - XMP export settings
+ * @param {string} property - Property name
+ * @returns {string} XMP field name, 'custom' or 'none'
+ */
+function getXmpField(settings, property) {
+    const mapped = settings.mapping[property];
+    if (mapped && (mapped === 'custom' || mapped === 'none' || XMP_FIELDS[mapped])) return mapped;
+    return XMP_DEFAULT_FIELDS[property.trim().toLowerCase().replace(/[\s-]+/g, '_')] || 'custom';
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @private
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Turn a property name into an XML local name for the custom namespace
+ * @private
+ */
+function toXmpLocalName(property) {
+    const name = property.trim().replace(/[^\w.-]+/g, '_');
+    return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Render one XMP property element
+ * @private
+ */
+function renderXmpProperty(name, kind, values) {
+    const items = values.map(value => escapeXml(value));
+    switch (kind) {
+        case 'alt':
+            return `   <${name}>\n    <rdf:Alt>\n     <rdf:li xml:lang="x-default">${items[0]}</rdf:li>\n    </rdf:Alt>\n   </${name}>`;
+        case 'bag':
+        case 'seq': {
+            const container = kind === 'bag' ? 'rdf:Bag' : 'rdf:Seq';
+            const lis = items.map(item => `     <rdf:li>${item}</rdf:li>`).join('\n');
+            return `   <${name}>\n    <${container}>\n${lis}\n    </${container}>\n   </${name}>`;
+        }
+        default:
+            return `   <${name}>${items[0]}</${name}>`;
+    }
+}
+
+/**
+ * Collect the XMP values of an asset
+ * @param {Object} values - Metadata values by property (version data of the asset)
+ * @param {Array} prompts - Custom prompts, used to recognize list properties
+ * @param {Object} settings - XMP export settings
+ * @returns {Array} Fields ({ name, kind, values }) in the order they are first mapped
+ */
+function collectXmpFields(values, prompts, settings) {
+    const fields = new Map();
+
+    Object.entries(values).forEach(([property, value]) => {
+        if (typeof value !== 'string' || !value.trim() || isErrorValue(value)) return;
+        const field = getXmpField(settings, property);
+        if (field === 'none') return;
+
+        const promptConfig = prompts.find(p => p.property === property);
+        const schema = normalizePropertySchema(promptConfig?.schema || (property === 'tags' ? { type: 'list' } : null));
+        const name = field === 'custom' ? `${settings.prefix}:${toXmpLocalName(property)}` : field;
+        const kind = field === 'custom' ? (schema.type === 'list' ? 'bag' : 'text') : XMP_FIELDS[field].kind;
+        const items = kind === 'bag' || kind === 'seq'
+            ? value.split(schema.type === 'list' ? (schema.separator.trim() || ',') : /[,;]/).map(item => item.trim()).filter(Boolean)
+            : [value.trim()];
+
+        // Several properties mapped to one list field add up; single values keep the first one
+        const existing = fields.get(name);
+        if (!existing) {
+            fields.set(name, { name, kind, values: items });
+        } else if (kind === 'bag' || kind === 'seq') {
+            existing.values = [...new Set([...existing.values, ...items])];
+        }
+    });
+
+    return [...fields.values()];
+}
+
+/**
+ * Find the XMP packet a file already carries
+ * Looks for the x:xmpmeta element, which is stored as plain UTF-8 in JPEG, PNG and TIFF files.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} The x:xmpmeta element, or null if the file has none
+ */
+function findEmbeddedXmpPacket(bytes) {
+    const indexOf = (text, from) => {
+        const first = text.charCodeAt(0);
+        for (let i = bytes.indexOf(first, from); i !== -1; i = bytes.indexOf(first, i + 1)) {
+            if (bytesStartWith(bytes, i, text)) return i;
+        }
+        return -1;
+    };
+    const start = indexOf('<x:xmpmeta', 0);
+    if (start === -1) return null;
+    const end = indexOf('</x:xmpmeta>', start);
+    if (end === -1) return null;
+    return new TextDecoder().decode(bytes.subarray(start, end + '</x:xmpmeta>'.length));
+}
+
+/**
+ * Read the XMP packet of an image file, for the formats XMP is embedded into
+ * @param {File} file - Image file
+ * @returns {Promise<string|null>} Promise resolving to the packet, or null
+ */
+async function readExistingXmpPacket(file) {
+    if (!XMP_EMBED_FORMATS.includes(file.name.split('.').pop().toLowerCase())) return null;
+    return findEmbeddedXmpPacket(new Uint8Array(await file.arrayBuffer()));
+}
+
+/**
+ * Get the properties of an existing XMP packet that an export does not write
+ * Attribute-form properties (e.g. xmp:Rating="3") are turned into elements.
+ * @param {string} packet - Existing packet from findEmbeddedXmpPacket()
+ * @param {Object} namespaces - Namespace URI by prefix of the written properties
+ * @param {Array<string>} writtenNames - Prefixed names of the written properties
+ * @returns {Array<string>} Serialized property elements, each declaring the namespaces it uses
+ * @private
+ */
+function getRetainedXmpProperties(packet, namespaces, writtenNames) {
+    const doc = new DOMParser().parseFromString(packet, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        console.warn('⚠️ Ignoring the existing XMP packet, it is not well-formed');
+        return [];
+    }
+
+    // Properties are identified by namespace URI, whatever prefix the file uses
+    const written = new Set(writtenNames.map(name => {
+        const [prefix, localName] = name.split(':');
+        return `${namespaces[prefix]} ${localName}`;
+    }));
+    const isWritten = node => written.has(`${node.namespaceURI} ${node.localName}`);
+    const serializer = new XMLSerializer();
+    const retained = [];
+
+    [...doc.getElementsByTagNameNS(XMP_RDF_NAMESPACE, 'Description')].forEach(description => {
+        [...description.attributes].forEach(attribute => {
+            if (!attribute.namespaceURI || !attribute.prefix || attribute.prefix === 'xmlns') return;
+            if (attribute.namespaceURI === XMP_RDF_NAMESPACE || isWritten(attribute)) return;
+            const name = `${attribute.prefix}:${attribute.localName}`;
+            retained.push(`<${name} xmlns:${attribute.prefix}="${escapeXml(attribute.namespaceURI)}">${escapeXml(attribute.value)}</${name}>`);
+        });
+        [...description.children].forEach(child => {
+            if (!isWritten(child)) retained.push(serializer.serializeToString(child));
+        });
+    });
+    return retained;
+}
+
+/**
+ * Build an XMP packet
+ * @param {Array} fields - Fields from collectXmpFields()
+ * @param {Object} settings - XMP export settings (prefix and namespace of the custom namespace)
+ * @param {number} padding - Bytes of whitespace that let other tools edit an embedded packet in place
+ * @param {string} existingPacket - Packet the file already carries; its other properties are kept
+ * @returns {string} XMP packet
+ */
+function buildXmpPacket(fields, settings, padding = 0, existingPacket = null) {
+    const namespaces = { ...XMP_NAMESPACES, [settings.prefix]: settings.namespace };
+    const declarations = Object.entries(namespaces)
+        .map(([prefix, uri]) => `    xmlns:${prefix}="${escapeXml(uri)}"`)
+        .join('\n');
+    const properties = [
+        renderXmpProperty('xmp:MetadataDate', 'text', [new Date().toISOString()]),
+        renderXmpProperty('xmp:CreatorTool', 'text', ['AEM Assets Auto Metadata Tool']),
+        ...fields.map(field => renderXmpProperty(field.name, field.kind, field.values)),
+        ...(existingPacket
+            ? getRetainedXmpProperties(existingPacket, namespaces, ['xmp:MetadataDate', 'xmp:CreatorTool', ...fields.map(field => field.name)])
+                .map(property => `   ${property}`)
+            : [])
+    ].join('\n');
+    const whitespace = padding > 0 ? `${' '.repeat(99)}\n`.repeat(Math.ceil(padding / 100)) : '';
+
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="${XMP_RDF_NAMESPACE}">
+  <rdf:Description rdf:about=""
+${declarations}>
+${properties}
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+${whitespace}<?xpacket end="w"?>`;
+}
+
+/**
+ * Concatenate byte arrays
+ * @private
+ */
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+/**
+ * Check whether bytes at an offset spell a string
+ * @private
+ */
+function bytesStartWith(bytes, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+/**
+ * Write an XMP packet into a copy of a JPEG file
+ * Replaces an existing XMP segment; the packet goes after the JFIF and EXIF segments.
+ * @param {Uint8Array} bytes - JPEG file
+ * @param {string} packet - XMP packet
+ * @returns {Uint8Array} JPEG file with the packet
+ */
+function embedXmpInJpeg(bytes, packet) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) throw new Error('Not a JPEG file');
+    const payload = new TextEncoder().encode(packet);
+    if (payload.length > JPEG_MAX_XMP_BYTES) throw new Error('XMP packet is too large for a JPEG segment');
+
+    const removed = [];
+    let insertAt = 2;
+    let offset = 2;
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) throw new Error('Invalid JPEG segment');
+        const marker = bytes[offset + 1];
+        if (marker === 0xDA || marker === 0xD9) break; // Image data follows
+        const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+        const isXmp = marker === 0xE1 && bytesStartWith(bytes, offset + 4, JPEG_XMP_HEADER);
+        if (isXmp) removed.push([offset, end]);
+        if ((marker === 0xE0 || marker === 0xE1) && insertAt === offset) insertAt = end;
+        offset = end;
+    }
+
+    const length = 2 + JPEG_XMP_HEADER.length + payload.length;
+    const segment = concatBytes([
+        new Uint8Array([0xFF, 0xE1, length >> 8, length & 0xFF]),
+        new TextEncoder().encode(JPEG_XMP_HEADER),
+        payload
+    ]);
+
+    const parts = [];
+    let cursor = 0;
+    [...removed.map(([start, end]) => ({ start, end })), { start: insertAt, end: insertAt, segment }]
+        .sort((a, b) => a.start - b.start || (a.segment ? -1 : 1))
+        .forEach(cut => {
+            if (cut.start > cursor) parts.push(bytes.subarray(cursor, cut.start));
+            if (cut.segment) parts.push(cut.segment);
+            cursor = Math.max(cursor, cut.end);
+        });
+    parts.push(bytes.subarray(cursor));
+    return concatBytes(parts);
+}
+
+// CRC-32 table for PNG chunks
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 of a PNG chunk's type and data
+ * @private
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = Array.from({ length: 256 }, (_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            return c >>> 0;
+        });
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Write an XMP packet into a copy of a PNG file, as the iTXt chunk "XML:com.adobe.xmp"
+ * @param {Uint8Array} bytes - PNG file
+ * @param {string} packet - XMP packet
+ * @returns {Uint8Array} PNG file with the packet
+ */
+function embedXmpInPng(bytes, packet) {
+    if (!bytesStartWith(bytes, 1, 'PNG')) throw new Error('Not a PNG file');
+    const keyword = 'XML:com.adobe.xmp';
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // Keyword, no compression, empty language tag and translated keyword, then the UTF-8 text
+    const data = concatBytes([
+        new TextEncoder().encode(keyword),
+        new Uint8Array([0, 0, 0, 0, 0]),
+        new TextEncoder().encode(packet)
+    ]);
+    const typeAndData = concatBytes([new TextEncoder().encode('iTXt'), data]);
+    const chunk = new Uint8Array(12 + data.length);
+    const chunkView = new DataView(chunk.buffer);
+    chunkView.setUint32(0, data.length);
+    chunk.set(typeAndData, 4);
+    chunkView.setUint32(8 + data.length, crc32(typeAndData));
+
+    const parts = [bytes.subarray(0, 8)];
+    for (let offset = 8; offset + 12 <= bytes.length;) {
+        const length = view.getUint32(offset);
+        const end = offset + 12 + length;
+        const isXmp = bytesStartWith(bytes, offset + 4, 'iTXt') && bytesStartWith(bytes, offset + 8, `${keyword}\0`);
+        if (!isXmp) parts.push(bytes.subarray(offset, end));
+        // The packet goes right after the header chunk
+        if (bytesStartWith(bytes, offset + 4, 'IHDR')) parts.push(chunk);
+        offset = end;
+    }
+    return concatBytes(parts);
+}
+
+/**
+ * Write an XMP packet into a copy of a TIFF file, as tag 700 of the first image directory
+ * The packet and a rewritten directory are appended; the original data stays where it is.
+ * @param {Uint8Array} bytes - TIFF file
+ * @param {string} packet - XMP packet
+ * @returns {Uint8Array} TIFF file with the packet
+ */
+function embedXmpInTiff(bytes, packet) {
+    const littleEndian = bytesStartWith(bytes, 0, 'II');
+    if (!littleEndian && !bytesStartWith(bytes, 0, 'MM')) throw new Error('Not a TIFF file');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint16(2, littleEndian) !== 42) throw new Error('BigTIFF files are not supported');
+
+    const XMP_TAG = 700;
+    const ifdOffset = view.getUint32(4, littleEndian);
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        const entryOffset = ifdOffset + 2 + i * 12;
+        const tag = view.getUint16(entryOffset, littleEndian);
+        if (tag !== XMP_TAG) entries.push({ tag, raw: bytes.subarray(entryOffset, entryOffset + 12) });
+    }
+    const nextIfd = view.getUint32(ifdOffset + 2 + entryCount * 12, littleEndian);
+
+    // Word-aligned: original file, XMP data, new directory
+    const payload = new TextEncoder().encode(packet);
+    const xmpOffset = bytes.length + (bytes.length % 2);
+    const newIfdOffset = xmpOffset + payload.length + (payload.length % 2);
+    const xmpEntry = new Uint8Array(12);
+    const xmpView = new DataView(xmpEntry.buffer);
+    xmpView.setUint16(0, XMP_TAG, littleEndian);
+    xmpView.setUint16(2, 1, littleEndian); // BYTE
+    xmpView.setUint32(4, payload.length, littleEndian);
+    xmpView.setUint32(8, xmpOffset, littleEndian);
+    entries.push({ tag: XMP_TAG, raw: xmpEntry });
+    entries.sort((a, b) => a.tag - b.tag);
+
+    const ifd = new Uint8Array(2 + entries.length * 12 + 4);
+    const ifdView = new DataView(ifd.buffer);
+    ifdView.setUint16(0, entries.length, littleEndian);
+    entries.forEach((entry, i) => ifd.set(entry.raw, 2 + i * 12));
+    ifdView.setUint32(2 + entries.length * 12, nextIfd, littleEndian);
+
+    const result = concatBytes([
+        bytes,
+        new Uint8Array(xmpOffset - bytes.length),
+        payload,
+        new Uint8Array(newIfdOffset - xmpOffset - payload.length),
+        ifd
+    ]);
+    new DataView(result.buffer).setUint32(4, newIfdOffset, littleEndian);
+    return result;
+}
+
+/**
+ * Embed an XMP packet into a copy of an image file
+ * @param {Uint8Array} bytes - Image file
+ * @param {string} extension - File extension
+ * @param {string} packet - XMP packet
+ * @returns {Uint8Array|null} File with the packet, or null for formats that cannot be written
+ */
+function embedXmpPacket(bytes, extension, packet) {
+    switch (extension) {
+        case 'jpg':
+        case 'jpeg':
+            return embedXmpInJpeg(bytes, packet);
+        case 'png':
+            return embedXmpInPng(bytes, packet);
+        case 'tif':
+        case 'tiff':
+            return embedXmpInTiff(bytes, packet);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the sidecar path for an image: named like the image without its extension (photo.jpg -> photo.xmp)
+ * @param {string} path - Image path
+ * @returns {string} Sidecar path
+ */
+function getXmpSidecarPath(path) {
+    return path.replace(/\.[^./]+$/, '') + '.xmp';
+}
+
+/**
+ * Assign sidecar paths to a set of images without two images sharing one
+ * When photo.jpg and photo.png sit in the same folder, the first gets photo.xmp and the
+ * later one photo.png.xmp. Names are compared case-insensitively, as most file systems do.
+ * @param {Array<string>} paths - Image paths, in a stable order (e.g. the load order)
+ * @returns {Map<string, string>} Sidecar path by image path
+ */
+function assignXmpSidecarPaths(paths) {
+    const sidecars = new Map();
+    const taken = new Set();
+    paths.forEach(path => {
+        let sidecar = getXmpSidecarPath(path);
+        if (taken.has(sidecar.toLowerCase())) {
+            sidecar = `${path}.xmp`;
+            console.warn(`⚠️ ${getXmpSidecarPath(path)} is already used by another file; writing ${sidecar} for ${path}`);
+        }
+        taken.add(sidecar.toLowerCase());
+        sidecars.set(path, sidecar);
+    });
+    return sidecars;
+}
+
+/**
+ * Export the generated metadata as XMP in a zip that keeps the folder structure
+ * @param {Object} settings - XMP export settings
+ * @returns {Promise<Object>} { files, sidecars, embedded } counts
+ */
+async function exportAsXmp(settings = loadXmpExportSettings()) {
+    const JSZip = await loadExternalScript(JSZIP_SCRIPT_URL, 'JSZip', { integrity: JSZIP_SCRIPT_INTEGRITY });
+    const zip = new JSZip();
+    const prompts = getStoredCustomPrompts();
+    const counts = { files: 0, sidecars: 0, embedded: 0 };
+    const images = processedImages.filter(Boolean);
+    const sidecarPaths = assignXmpSidecarPaths(images.map(imageData => getFileRelativePath(imageData.file)));
+
+    for (const imageData of images) {
+        const fields = collectXmpFields(imageMetadata[imageData.id]?.version1 || {}, prompts, settings);
+        if (fields.length === 0) continue;
+
+        const path = getFileRelativePath(imageData.file);
+        const extension = path.split('.').pop().toLowerCase();
+        // Properties the file already carries (rights, creator, ...) are kept; generated ones replace their counterparts
+        const bytes = XMP_EMBED_FORMATS.includes(extension) ? new Uint8Array(await imageData.file.arrayBuffer()) : null;
+        const existingPacket = bytes ? findEmbeddedXmpPacket(bytes) : null;
+
+        if (settings.mode === 'embedded' && bytes) {
+            try {
+                const embedded = embedXmpPacket(bytes, extension, buildXmpPacket(fields, settings, 2048, existingPacket));
+                if (embedded) {
+                    zip.file(path, embedded);
+                    counts.embedded++;
+                    counts.files++;
+                    continue;
+                }
+            } catch (error) {
+                console.warn(`⚠️ Writing a sidecar for ${path} instead of embedding XMP:`, error.message);
+            }
+        }
+
+        zip.file(sidecarPaths.get(path), buildXmpPacket(fields, settings, 0, existingPacket));
+        counts.sidecars++;
+        counts.files++;
+    }
+
+    if (counts.files === 0) {
+        showNotification('⚠️ No generated metadata to export', 'warning');
+        return counts;
+    }
+
+    const blob = await zip.generateAsync({ type: 'blob' });
+    downloadFile(blob, generateTimestampedFilename('ai-metadata-xmp', '.zip'), 'application/zip');
+    showNotification(`✅ Exported XMP for ${counts.files} images (${counts.embedded} embedded, ${counts.sidecars} sidecars)`);
+    return counts;
+}
+
+/**
+ * Show the XMP export modal with the property mapping
+ */
+function showXmpExportModal() {
+    const settings = loadXmpExportSettings();
+    document.getElementById('xmpExportModeSelect').value = settings.mode;
+    document.getElementById('xmpNamespacePrefixInput').value = settings.prefix;
+    document.getElementById('xmpNamespaceUriInput').value = settings.namespace;
+
+    // Properties of the custom prompts and of any stored metadata
+    const properties = new Set(getStoredCustomPrompts().map(p => p.property));
+    Object.values(imageMetadata).forEach(item => Object.keys(item.version1 || {}).forEach(property => properties.add(property)));
+
+    const tbody = document.getElementById('xmpMappingList');
+    tbody.innerHTML = '';
+    properties.forEach(property => {
+        const row = document.createElement('tr');
+        const propertyCell = document.createElement('td');
+        propertyCell.textContent = property;
+        const fieldCell = document.createElement('td');
+        const select = document.createElement('select');
+        select.className = 'prompt-type-select xmp-field-select';
+        select.setAttribute('data-property', property);
+        Object.entries(XMP_FIELDS).forEach(([field, { label }]) => select.add(new Option(label, field)));
+        select.add(new Option(`Custom (${settings.prefix}:${toXmpLocalName(property)})`, 'custom'));
+        select.add(new Option('Do not export', 'none'));
+        select.value = getXmpField(settings, property);
+        fieldCell.appendChild(select);
+        row.appendChild(propertyCell);
+        row.appendChild(fieldCell);
+        tbody.appendChild(row);
+    });
+
+    document.getElementById('xmpExportModal').style.display = 'block';
+}
+
+/**
+ * Read the XMP export modal
+ * @returns {Object|null} Settings, or null if the custom namespace is invalid
+ * @private
+ */
+function readXmpExportForm() {
+    const prefix = document.getElementById('xmpNamespacePrefixInput').value.trim();
+    const namespace = document.getElementById('xmpNamespaceUriInput').value.trim();
+    if (!/^[A-Za-z_][\w.-]*$/.test(prefix) || Object.keys(XMP_NAMESPACES).includes(prefix)) {
+        showNotification('❌ The custom namespace prefix must be a plain name other than dc, xmp, photoshop or Iptc4xmpCore', 'error');
+        return null;
+    }
+    if (!/^[a-z][\w+.-]*:\S+$/i.test(namespace)) {
+        showNotification('❌ The custom namespace must be a URI, e.g. https://example.com/ns/1.0/', 'error');
+        return null;
+    }
+
+    const mapping = {};
+    document.querySelectorAll('#xmpMappingList .xmp-field-select').forEach(select => {
+        mapping[select.getAttribute('data-property')] = select.value;
+    });
+    return {
+        mode: document.getElementById('xmpExportModeSelect').value,
+        prefix,
+        namespace,
+        mapping
+    };
+}
+
+/**
+ * Initialize the XMP export button and modal
+ */
+function initializeXmpExportHandlers() {
+    const modal = document.getElementById('xmpExportModal');
+    const exportXmpBtn = document.getElementById('exportXmpBtn');
+    if (!modal || !exportXmpBtn) return;
+
+    const close = () => {
+        modal.style.display = 'none';
+    };
+    exportXmpBtn.addEventListener('click', showXmpExportModal);
+    modal.querySelector('.close').addEventListener('click', close);
+    document.getElementById('cancelXmpExportBtn').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    const runXmpExportBtn = document.getElementById('runXmpExportBtn');
+    runXmpExportBtn.addEventListener('click', async () => {
+        const settings = readXmpExportForm();
+        if (!settings) return;
+        saveXmpExportSettings(settings);
+
+        runXmpExportBtn.disabled = true;
+        runXmpExportBtn.textContent = '⏳ Exporting...';
+        try {
+            await exportAsXmp(settings);
+            close();
+        } catch (error) {
+            console.error('Error exporting XMP:', error);
+            showNotification(`❌ XMP export failed: ${error.message}`, 'error');
+        } finally {
+            runXmpExportBtn.disabled = false;
+            runXmpExportBtn.textContent = '📦 Export zip';
+        }
+    });
+}
+
+// Export functions for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        XMP_FIELDS,
+        loadXmpExportSettings,
+        saveXmpExportSettings,
+        getXmpField,
+        collectXmpFields,
+        buildXmpPacket,
+        embedXmpInJpeg,
+        embedXmpInPng,
+        embedXmpInTiff,
+        embedXmpPacket,
+        findEmbeddedXmpPacket,
+        readExistingXmpPacket,
+        getXmpSidecarPath,
+        assignXmpSidecarPaths,
+        exportAsXmp,
+        showXmpExportModal,
+        initializeXmpExportHandlers
+    };
+}
+
+// Expose functions globally for browser compatibility
+window.XMP_FIELDS = XMP_FIELDS;
+window.loadXmpExportSettings = loadXmpExportSettings;
+window.saveXmpExportSettings = saveXmpExportSettings;
+window.getXmpField = getXmpField;
+window.collectXmpFields = collectXmpFields;
+window.buildXmpPacket = buildXmpPacket;
+window.embedXmpInJpeg = embedXmpInJpeg;
+window.embedXmpInPng = embedXmpInPng;
+window.embedXmpInTiff = embedXmpInTiff;
+window.embedXmpPacket = embedXmpPacket;
+window.findEmbeddedXmpPacket = findEmbeddedXmpPacket;
+window.readExistingXmpPacket = readExistingXmpPacket;
+window.getXmpSidecarPath = getXmpSidecarPath;
+window.assignXmpSidecarPaths = assignXmpSidecarPaths;
+window.exportAsXmp = exportAsXmp;
+window.showXmpExportModal = showXmpExportModal;
+window.initializeXmpExportHandlers = initializeXmpExportHandlers;